@@ -26,6 +26,8 @@ db.cars.createIndex({ "bodyType": 1 });
 db.cars.createIndex({ "status": 1 });
 db.cars.createIndex({ "createdAt": 1 });
 db.cars.createIndex({ "seller.email": 1 });
+db.cars.createIndex({ "owner": 1 });
+db.cars.createIndex({ "location.geo": "2dsphere" });
 
 // Create compound indexes for common queries
 db.cars.createIndex({ "make": 1, "model": 1 });
@@ -33,6 +35,12 @@ db.cars.createIndex({ "location.city": 1, "location.state": 1 });
 db.cars.createIndex({ "price": 1, "year": 1 });
 db.cars.createIndex({ "status": 1, "createdAt": -1 });
 
+// Create weighted text index for full-text search
+db.cars.createIndex(
+  { "make": "text", "model": "text", "features": "text", "color": "text", "description": "text" },
+  { name: "car_text_search", weights: { make: 10, model: 10, features: 4, color: 3, description: 2 } }
+);
+
 // Insert sample data (optional)
 db.cars.insertMany([
   {
@@ -49,7 +57,8 @@ db.cars.insertMany([
     images: ["https://example.com/swift1.jpg"],
     location: {
       city: "Mumbai",
-      state: "Maharashtra"
+      state: "Maharashtra",
+      geo: { type: "Point", coordinates: [72.8777, 19.0760] }
     },
     seller: {
       name: "John Doe",
@@ -75,7 +84,8 @@ db.cars.insertMany([
     images: ["https://example.com/i20.jpg"],
     location: {
       city: "Delhi",
-      state: "Delhi"
+      state: "Delhi",
+      geo: { type: "Point", coordinates: [77.1025, 28.7041] }
     },
     seller: {
       name: "Jane Smith",
@@ -0,0 +1,555 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import Car from '../models/Car.js';
+import Session from '../models/Session.js';
+import UserReport from '../models/UserReport.js';
+import AuditLog from '../models/AuditLog.js';
+import { sendPasswordResetEmail } from '../utils/accountEmails.js';
+import { recordSearchAlertsSafely } from '../utils/searchAlerts.js';
+import { announcePriceDrop } from '../utils/priceHistory.js';
+import { notifySafely } from '../utils/notifications.js';
+import { recordAudit } from '../utils/audit.js';
+
+// Escape user input before using it in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * @desc    Get all users with search and pagination
+ * @route   GET /api/admin/users
+ * @access  Private (admin)
+ */
+export const getUsers = async (req, res, next) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      sort = '-createdAt',
+      q,
+      role,
+      isActive
+    } = req.validatedQuery || req.query;
+
+    // Build filter object
+    const filter = {};
+
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      filter.$or = [
+        { username: pattern },
+        { email: pattern },
+        { 'profile.firstName': pattern },
+        { 'profile.lastName': pattern }
+      ];
+    }
+    if (role) filter.role = role;
+    if (isActive !== undefined) filter.isActive = isActive;
+
+    // Calculate pagination
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(Number(limit))
+        .select('+lockUntil -__v'),
+      User.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / Number(limit));
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages,
+        hasNext: Number(page) < totalPages,
+        hasPrev: Number(page) > 1
+      },
+      data: users
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a single user with their listings
+ * @route   GET /api/admin/users/:id
+ * @access  Private (admin)
+ */
+export const getUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select('+lockUntil -__v');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Include soft-deleted listings so admins see the full history
+    const cars = await Car.find({ owner: user._id })
+      .sort('-createdAt')
+      .select('-__v');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user,
+        cars
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change a user's role
+ * @route   PUT /api/admin/users/:id/role
+ * @access  Private (admin)
+ */
+export const updateUserRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    // Returns the user as it was, for the audit log
+    const previous = await User.findByIdAndUpdate(
+      req.params.id,
+      { role },
+      { runValidators: true }
+    );
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = await User.findById(previous._id);
+    await recordAudit(req, { action: 'user.role_change', targetType: 'User', target: user, before: previous, after: user });
+
+    // Existing access tokens carry the old role
+    await Session.revokeAllForUser(user._id, 'admin');
+
+    res.status(200).json({
+      success: true,
+      message: 'User role updated successfully',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Activate or deactivate a user
+ * @route   PUT /api/admin/users/:id/status
+ * @access  Private (admin)
+ */
+export const updateUserStatus = async (req, res, next) => {
+  try {
+    const { isActive } = req.body;
+
+    if (req.user._id.equals(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own status'
+      });
+    }
+
+    // Returns the user as it was, for the audit log
+    const previous = await User.findByIdAndUpdate(req.params.id, { isActive });
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = await User.findById(previous._id);
+    await recordAudit(req, { action: 'user.status_change', targetType: 'User', target: user, before: previous, after: user });
+
+    // Hide or restore the user's listings without touching their own isActive (soft delete) flag
+    await Car.updateMany({ owner: user._id }, { ownerActive: isActive });
+
+    if (!isActive) {
+      await Session.revokeAllForUser(user._id, 'admin');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Force a user to reset their password
+ * @route   POST /api/admin/users/:id/force-password-reset
+ * @access  Private (admin)
+ */
+export const forcePasswordReset = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id).select('+password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Replace the password with an unknown random one so only the reset link works
+    user.password = crypto.randomBytes(32).toString('hex');
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'admin');
+    await sendPasswordResetEmail(user, { forced: true });
+    await recordAudit(req, { action: 'user.password_reset_forced', targetType: 'User', target: user });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset enforced. The user has been logged out and emailed a reset link.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Unlock a user account locked after failed logins
+ * @route   POST /api/admin/users/:id/unlock
+ * @access  Private (admin)
+ */
+export const unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id).select('+lockUntil +failedLoginAttempts +lastFailedLoginAt');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const previous = user.toObject();
+    user.resetFailedLogins();
+    await user.save({ validateBeforeSave: false });
+    await recordAudit(req, { action: 'user.unlock', targetType: 'User', target: user, before: previous, after: user });
+
+    res.status(200).json({
+      success: true,
+      message: 'User account unlocked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark a user as a trusted seller whose listings skip moderation
+ * @route   PUT /api/admin/users/:id/trusted
+ * @access  Private (admin)
+ */
+export const updateUserTrusted = async (req, res, next) => {
+  try {
+    const { trustedSeller } = req.body;
+
+    // Returns the user as it was, for the audit log
+    const previous = await User.findByIdAndUpdate(req.params.id, { trustedSeller });
+
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = await User.findById(previous._id);
+    await recordAudit(req, { action: 'user.trusted_change', targetType: 'User', target: user, before: previous, after: user });
+
+    res.status(200).json({
+      success: true,
+      message: `User ${trustedSeller ? 'marked' : 'no longer marked'} as a trusted seller`,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get listings waiting for moderation, oldest first
+ * @route   GET /api/admin/listings/pending
+ * @access  Private (admin)
+ */
+export const getPendingListings = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.validatedQuery || req.query;
+
+    const filter = { isActive: true, 'moderation.status': 'pending' };
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [cars, total] = await Promise.all([
+      Car.find(filter)
+        .sort('moderation.submittedAt')
+        .skip(skip)
+        .limit(Number(limit))
+        .populate('owner', 'username email trustedSeller')
+        .select('-__v'),
+      Car.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / Number(limit));
+
+    res.status(200).json({
+      success: true,
+      count: cars.length,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages,
+        hasNext: Number(page) < totalPages,
+        hasPrev: Number(page) > 1
+      },
+      data: cars
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record a moderation decision on a listing and add it to the audit log
+ * @param {Object} req - Express request with the reviewing admin
+ * @param {string} status - 'approved' or 'rejected'
+ * @param {string} [reason] - Why the listing was rejected
+ * @returns {Promise<Object|null>} Updated car, or null if not found
+ */
+const moderateListing = async (req, status, reason) => {
+  const previous = await Car.findOneAndUpdate(
+    { _id: req.params.id, isActive: true },
+    {
+      moderation: {
+        status,
+        reason,
+        reviewedBy: req.user._id,
+        reviewedAt: new Date()
+      }
+    },
+    { runValidators: true }
+  );
+  if (!previous) return null;
+
+  const car = await Car.findById(previous._id).select('-__v');
+  await recordAudit(req, {
+    action: status === 'approved' ? 'car.approve' : 'car.reject',
+    targetType: 'Car',
+    target: car,
+    before: previous,
+    after: car
+  });
+
+  return car;
+};
+
+/**
+ * @desc    Approve a listing
+ * @route   POST /api/admin/listings/:id/approve
+ * @access  Private (admin)
+ */
+export const approveListing = async (req, res, next) => {
+  try {
+    const car = await moderateListing(req, 'approved');
+
+    if (!car) {
+      return res.status(404).json({
+        success: false,
+        message: 'Car not found'
+      });
+    }
+
+    // The listing is now public, so saved searches and followers can be told about it
+    await recordSearchAlertsSafely(car);
+    await notifySafely(announcePriceDrop, car);
+
+    res.status(200).json({
+      success: true,
+      message: 'Listing approved',
+      data: car
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reject a listing with a reason
+ * @route   POST /api/admin/listings/:id/reject
+ * @access  Private (admin)
+ */
+export const rejectListing = async (req, res, next) => {
+  try {
+    const car = await moderateListing(req, 'rejected', req.body.reason);
+
+    if (!car) {
+      return res.status(404).json({
+        success: false,
+        message: 'Car not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Listing rejected',
+      data: car
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get user reports by status, oldest first
+ * @route   GET /api/admin/reports
+ * @access  Private (admin)
+ */
+export const getReports = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status = 'open' } = req.validatedQuery || req.query;
+
+    const filter = { status };
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [reports, total] = await Promise.all([
+      UserReport.find(filter)
+        .sort('createdAt')
+        .skip(skip)
+        .limit(Number(limit))
+        .populate('reporter', 'username email')
+        .populate('reportedUser', 'username email isActive')
+        .select('-__v'),
+      UserReport.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / Number(limit));
+
+    res.status(200).json({
+      success: true,
+      count: reports.length,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages,
+        hasNext: Number(page) < totalPages,
+        hasPrev: Number(page) > 1
+      },
+      data: reports
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark a user report as reviewed or dismissed
+ * @route   PUT /api/admin/reports/:id
+ * @access  Private (admin)
+ */
+export const updateReportStatus = async (req, res, next) => {
+  try {
+    const report = await UserReport.findByIdAndUpdate(
+      req.params.id,
+      {
+        status: req.body.status,
+        reviewedBy: req.user._id,
+        reviewedAt: new Date()
+      },
+      { new: true, runValidators: true }
+    ).select('-__v');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Report ${report.status}`,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Search the audit log, newest first
+ * @route   GET /api/admin/audit
+ * @access  Private (admin)
+ */
+export const getAuditLog = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, actor, targetType, target, action, from, to } = req.validatedQuery || req.query;
+
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (targetType) filter['target.type'] = targetType === 'car' ? 'Car' : 'User';
+    if (target) filter['target.id'] = target;
+    if (action) filter.action = action;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .populate('actor', 'username email role')
+        .select('-__v'),
+      AuditLog.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / Number(limit));
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages,
+        hasNext: Number(page) < totalPages,
+        hasPrev: Number(page) > 1
+      },
+      data: entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
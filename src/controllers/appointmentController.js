@@ -0,0 +1,489 @@
+import Appointment, { ACTIVE_APPOINTMENT_STATUSES } from '../models/Appointment.js';
+import Car from '../models/Car.js';
+import UserBlock from '../models/UserBlock.js';
+import { resolveSlot, isSlotBooked, notifyAppointment } from '../utils/appointments.js';
+import { notifySafely } from '../utils/notifications.js';
+import { recordAudit } from '../utils/audit.js';
+
+// How far ahead booked slots are listed with a car's availability
+const BOOKED_SLOTS_DAYS = 30;
+
+const populateAppointment = (query) => query
+  .populate('car', 'make model year price images status location')
+  .populate('buyer', 'username')
+  .populate('seller', 'username')
+  .select('-__v');
+
+/**
+ * Move an appointment to a new state if it is still in one of the expected states
+ * @param {Object} appointment - Appointment document
+ * @param {string[]} fromStatuses - States the change is allowed from
+ * @param {Object} update - Fields to set
+ * @returns {Promise<Object|null>} Updated, populated appointment, or null if its state changed meanwhile
+ */
+const transition = (appointment, fromStatuses, update) => {
+  return populateAppointment(Appointment.findOneAndUpdate(
+    { _id: appointment._id, status: { $in: fromStatuses } },
+    update,
+    { new: true, runValidators: true }
+  ));
+};
+
+/**
+ * Get a seller's upcoming accepted appointments, which block bookings on all of their cars
+ * @param {string} sellerId - Seller's user ID
+ * @returns {Promise<Object[]>} Appointments with their times only
+ */
+const findBookedSlots = (sellerId) => {
+  const now = new Date();
+
+  return Appointment.find({
+    seller: sellerId,
+    status: 'accepted',
+    endTime: { $gt: now },
+    startTime: { $lt: new Date(now.getTime() + BOOKED_SLOTS_DAYS * 24 * 60 * 60 * 1000) }
+  })
+    .sort('startTime')
+    .select('startTime endTime timezone');
+};
+
+const invalidStatusResponse = (res, action, appointment) => res.status(400).json({
+  success: false,
+  message: `Cannot ${action} an appointment that is ${appointment.status}`
+});
+
+/**
+ * Check whether an existing appointment can still be moved forward: its car must still be
+ * listed publicly and unsold, and neither participant may have blocked the other
+ * @param {Object} appointment - Appointment document
+ * @returns {Promise<Object>} { car } or { status, message } to respond with
+ */
+const checkAppointmentOpen = async (appointment) => {
+  const [car, blocked] = await Promise.all([
+    Car.findById(appointment.car),
+    UserBlock.existsBetween(appointment.buyer, appointment.seller)
+  ]);
+
+  if (blocked) {
+    return { status: 403, message: 'You cannot arrange test drives with this user' };
+  }
+
+  if (!car || !car.isPublic() || car.status === 'sold') {
+    return { status: 400, message: 'This car is no longer available for test drives' };
+  }
+
+  return { car };
+};
+
+/**
+ * @desc    Set when buyers can book test drives of a car
+ * @route   PUT /api/cars/:id/availability
+ * @access  Private (owner or admin)
+ */
+export const setAvailability = async (req, res, next) => {
+  try {
+    // Car is loaded and ownership checked by authorizeOwner middleware
+    const car = await Car.findByIdAndUpdate(
+      req.resource._id,
+      { availability: req.body },
+      { new: true, runValidators: true }
+    );
+    await recordAudit(req, {
+      action: 'car.availability',
+      targetType: 'Car',
+      target: car,
+      before: req.resource,
+      after: car
+    });
+
+    res.status(200).json({
+      success: true,
+      message: car.availability.windows.length
+        ? 'Availability updated'
+        : 'Availability cleared; the car no longer takes bookings',
+      data: car.availability
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a car's availability and the seller's booked slots
+ * @route   GET /api/cars/:id/availability
+ * @access  Public
+ */
+export const getAvailability = async (req, res, next) => {
+  try {
+    const car = await Car.findById(req.params.id).select('availability owner isActive ownerActive moderation');
+
+    if (!car || !car.isPublic()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Car not found'
+      });
+    }
+
+    // Listings created before accounts existed have nobody to book with
+    const booked = car.owner ? await findBookedSlots(car.owner) : [];
+
+    res.status(200).json({
+      success: true,
+      data: {
+        timezone: car.availability.timezone,
+        slotMinutes: car.availability.slotMinutes,
+        windows: car.owner ? car.availability.windows : [],
+        bookedSlots: booked.map(slot => ({
+          startTime: slot.startTime,
+          endTime: slot.endTime,
+          localStartTime: slot.localStartTime,
+          localEndTime: slot.localEndTime
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Request a test drive of a car
+ * @route   POST /api/cars/:id/appointments
+ * @access  Private
+ */
+export const requestAppointment = async (req, res, next) => {
+  try {
+    const car = await Car.findById(req.params.id);
+
+    if (!car || !car.isPublic()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Car not found'
+      });
+    }
+
+    if (!car.owner) {
+      return res.status(400).json({
+        success: false,
+        message: 'This seller is not taking test drive bookings'
+      });
+    }
+
+    if (car.owner.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot book a test drive of your own car'
+      });
+    }
+
+    if (car.status === 'sold') {
+      return res.status(400).json({
+        success: false,
+        message: 'This car has already been sold'
+      });
+    }
+
+    if (await UserBlock.existsBetween(req.user._id, car.owner)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot book a test drive with this seller'
+      });
+    }
+
+    const existing = await Appointment.exists({
+      car: car._id,
+      buyer: req.user._id,
+      status: { $in: ACTIVE_APPOINTMENT_STATUSES }
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have an appointment for this car; reschedule it instead'
+      });
+    }
+
+    const slot = await resolveSlot(car, new Date(req.body.startTime));
+    if (slot.error) {
+      return res.status(400).json({
+        success: false,
+        message: slot.error
+      });
+    }
+
+    const created = await Appointment.create({
+      car: car._id,
+      buyer: req.user._id,
+      seller: car.owner,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      timezone: slot.timezone,
+      requestedBy: req.user._id,
+      note: req.body.note
+    });
+
+    await notifySafely(notifyAppointment, car.owner, created, car, 'New test drive request');
+    const appointment = await populateAppointment(Appointment.findById(created._id));
+
+    res.status(201).json({
+      success: true,
+      message: 'Test drive requested',
+      data: appointment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user's appointments as buyer and seller
+ * @route   GET /api/appointments
+ * @access  Private
+ */
+export const getAppointments = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, role, status, upcoming } = req.validatedQuery || req.query;
+
+    const roles = role ? [role] : ['buyer', 'seller'];
+    const filter = { $or: roles.map(side => ({ [side]: req.user._id })) };
+    if (status) filter.status = status;
+    if (upcoming === true) filter.startTime = { $gt: new Date() };
+
+    // Calculate pagination
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [appointments, total] = await Promise.all([
+      populateAppointment(
+        Appointment.find(filter)
+          .sort(upcoming === true ? { startTime: 1, _id: 1 } : { startTime: -1, _id: -1 })
+          .skip(skip)
+          .limit(Number(limit))
+      ),
+      Appointment.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / Number(limit));
+
+    res.status(200).json({
+      success: true,
+      count: appointments.length,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages,
+        hasNext: Number(page) < totalPages,
+        hasPrev: Number(page) > 1
+      },
+      data: appointments
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get an appointment
+ * @route   GET /api/appointments/:id
+ * @access  Private (participants)
+ */
+export const getAppointment = async (req, res, next) => {
+  try {
+    const appointment = await populateAppointment(Appointment.findById(req.resource._id));
+
+    res.status(200).json({
+      success: true,
+      data: appointment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accept the proposed time of an appointment
+ * @route   POST /api/appointments/:id/accept
+ * @access  Private (participant who did not propose the time)
+ */
+export const acceptAppointment = async (req, res, next) => {
+  try {
+    const appointment = req.resource;
+
+    if (appointment.status !== 'pending') {
+      return invalidStatusResponse(res, 'accept', appointment);
+    }
+
+    if (!appointment.awaitingResponseFrom().equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You proposed this time; the other party has to accept it'
+      });
+    }
+
+    const { status, message } = await checkAppointmentOpen(appointment);
+    if (message) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    if (appointment.startTime <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This appointment time has already passed; reschedule it instead'
+      });
+    }
+
+    if (await isSlotBooked(appointment.seller, appointment.startTime, appointment.endTime, appointment._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This time slot is already booked'
+      });
+    }
+
+    const updated = await transition(appointment, ['pending'], { status: 'accepted', respondedAt: new Date() });
+    if (!updated) {
+      return invalidStatusResponse(res, 'accept', await Appointment.findById(appointment._id));
+    }
+
+    await notifySafely(notifyAppointment, appointment.requestedBy, updated, updated.car, 'Test drive accepted');
+
+    res.status(200).json({
+      success: true,
+      message: 'Appointment accepted',
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Decline the proposed time of an appointment
+ * @route   POST /api/appointments/:id/decline
+ * @access  Private (participant who did not propose the time)
+ */
+export const declineAppointment = async (req, res, next) => {
+  try {
+    const appointment = req.resource;
+
+    if (appointment.status !== 'pending') {
+      return invalidStatusResponse(res, 'decline', appointment);
+    }
+
+    if (!appointment.awaitingResponseFrom().equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You proposed this time; cancel the appointment instead'
+      });
+    }
+
+    const updated = await transition(appointment, ['pending'], {
+      status: 'declined',
+      respondedAt: new Date(),
+      cancelledBy: req.user._id,
+      cancelReason: req.body?.reason
+    });
+    if (!updated) {
+      return invalidStatusResponse(res, 'decline', await Appointment.findById(appointment._id));
+    }
+
+    await notifySafely(notifyAppointment, appointment.requestedBy, updated, updated.car, 'Test drive declined');
+
+    res.status(200).json({
+      success: true,
+      message: 'Appointment declined',
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Propose a new time for an appointment; the other party has to accept it
+ * @route   POST /api/appointments/:id/reschedule
+ * @access  Private (participants)
+ */
+export const rescheduleAppointment = async (req, res, next) => {
+  try {
+    const appointment = req.resource;
+
+    if (!ACTIVE_APPOINTMENT_STATUSES.includes(appointment.status)) {
+      return invalidStatusResponse(res, 'reschedule', appointment);
+    }
+
+    const { car, status, message } = await checkAppointmentOpen(appointment);
+    if (message) {
+      return res.status(status).json({
+        success: false,
+        message
+      });
+    }
+
+    const slot = await resolveSlot(car, new Date(req.body.startTime), appointment._id);
+    if (slot.error) {
+      return res.status(400).json({
+        success: false,
+        message: slot.error
+      });
+    }
+
+    const updated = await transition(appointment, ACTIVE_APPOINTMENT_STATUSES, {
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      timezone: slot.timezone,
+      status: 'pending',
+      requestedBy: req.user._id,
+      respondedAt: null
+    });
+    if (!updated) {
+      return invalidStatusResponse(res, 'reschedule', await Appointment.findById(appointment._id));
+    }
+
+    await notifySafely(notifyAppointment, updated.awaitingResponseFrom(), updated, car, 'New time proposed for test drive');
+
+    res.status(200).json({
+      success: true,
+      message: 'New time proposed',
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel an appointment
+ * @route   POST /api/appointments/:id/cancel
+ * @access  Private (participants)
+ */
+export const cancelAppointment = async (req, res, next) => {
+  try {
+    const appointment = req.resource;
+
+    if (!ACTIVE_APPOINTMENT_STATUSES.includes(appointment.status)) {
+      return invalidStatusResponse(res, 'cancel', appointment);
+    }
+
+    const updated = await transition(appointment, ACTIVE_APPOINTMENT_STATUSES, {
+      status: 'cancelled',
+      respondedAt: new Date(),
+      cancelledBy: req.user._id,
+      cancelReason: req.body?.reason
+    });
+    if (!updated) {
+      return invalidStatusResponse(res, 'cancel', await Appointment.findById(appointment._id));
+    }
+
+    const otherParty = appointment.roleOf(req.user._id) === 'buyer' ? appointment.seller : appointment.buyer;
+    await notifySafely(notifyAppointment, otherParty, updated, updated.car, 'Test drive cancelled');
+
+    res.status(200).json({
+      success: true,
+      message: 'Appointment cancelled',
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,5 +1,119 @@
-import User from '../models/User.js';
-import { generateTokens } from '../utils/jwt.js';
+import User, { hashToken } from '../models/User.js';
+import Session, { SESSION_TTL_MS } from '../models/Session.js';
+import { generateTokens, generateTwoFactorChallenge, verifyToken } from '../utils/jwt.js';
+import { sendVerificationEmail, sendPasswordResetEmail, sendLockoutEmail } from '../utils/accountEmails.js';
+import { generateSecret, verifyTotp, buildOtpauthUri } from '../utils/totp.js';
+import { recordAudit } from '../utils/audit.js';
+
+/**
+ * Start a new session (refresh token family) for a user
+ * @param {Object} user - User object
+ * @param {Object} req - Express request, used for device and IP details
+ * @returns {Promise<Object>} Created session
+ */
+const startSession = (user, req) => {
+  return Session.create({
+    user: user._id,
+    tokenId: Session.generateTokenId(),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+  });
+};
+
+/**
+ * Respond with 423 or 429 if the account is locked or must wait before another attempt
+ * @param {Object} user - User loaded with lockout fields
+ * @param {Object} res - Express response
+ * @returns {boolean} True if a response was sent
+ */
+const rejectThrottledLogin = (user, res) => {
+  if (user.isLocked) {
+    res.set('Retry-After', Math.ceil((user.lockUntil - Date.now()) / 1000));
+    res.status(423).json({
+      success: false,
+      message: 'Account is temporarily locked due to too many failed login attempts. Please try again later or reset your password.'
+    });
+    return true;
+  }
+
+  // Progressive delay between attempts after repeated failures
+  const delay = user.getLoginDelay();
+  if (delay > 0) {
+    res.set('Retry-After', delay);
+    res.status(429).json({
+      success: false,
+      message: `Too many failed login attempts. Please wait ${delay} seconds before trying again.`
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Count a failed password or two-factor attempt, notifying the user if it locks the account
+ * @param {Object} user - User loaded with lockout fields
+ * @param {Object} req - Express request, for the audit log
+ * @param {string} reason - What was wrong, e.g. 'invalid password'
+ * @returns {Promise<void>}
+ */
+const recordFailedLogin = async (user, req, reason) => {
+  const justLocked = await user.registerFailedLogin();
+  await recordAudit(req, {
+    action: 'auth.login_failed',
+    targetType: 'User',
+    target: user,
+    actor: user,
+    details: { reason, locked: justLocked }
+  });
+
+  if (justLocked) {
+    await sendLockoutEmail(user);
+  }
+};
+
+/**
+ * Start a session and send the login response with a fresh token pair
+ * @param {Object} user - Authenticated user
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<void>}
+ */
+const completeLogin = async (user, req, res) => {
+  // Generate tokens
+  const session = await startSession(user, req);
+  const tokens = generateTokens(user, session);
+
+  // Update last login and forget earlier failures
+  user.resetFailedLogins();
+  await user.updateLastLogin();
+  await recordAudit(req, {
+    action: 'auth.login',
+    targetType: 'User',
+    target: user,
+    actor: user,
+    details: { twoFactor: user.twoFactorEnabled }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        role: user.role,
+        profile: user.profile,
+        fullName: user.fullName,
+        lastLogin: user.lastLogin
+      },
+      ...tokens
+    }
+  });
+};
 
 /**
  * @desc    Register new user
@@ -32,20 +146,25 @@ export const register = async (req, res, next) => {
       profile
     });
 
+    // Account works right away, but listings need a verified email
+    await sendVerificationEmail(user);
+
     // Generate tokens
-    const tokens = generateTokens(user);
+    const session = await startSession(user, req);
+    const tokens = generateTokens(user, session);
 
     // Update last login
     await user.updateLastLogin();
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your address.',
       data: {
         user: {
           id: user._id,
           username: user.username,
           email: user.email,
+          emailVerified: user.emailVerified,
           role: user.role,
           profile: user.profile,
           fullName: user.fullName
@@ -67,47 +186,126 @@ export const login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
-    // Find user and include password for comparison
-    const user = await User.findOne({ email, isActive: true }).select('+password');
+    // Find user and include password and lockout state for comparison
+    const user = await User.findOne({ email, isActive: true })
+      .select('+password +failedLoginAttempts +lastFailedLoginAt +lockUntil');
 
     if (!user) {
+      await recordAudit(req, {
+        action: 'auth.login_failed',
+        targetType: 'User',
+        target: null,
+        actor: null,
+        details: { reason: 'unknown email', email }
+      });
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
+    if (rejectThrottledLogin(user, res)) return;
+
     // Check password
     const isPasswordValid = await user.comparePassword(password);
 
     if (!isPasswordValid) {
+      await recordFailedLogin(user, req, 'invalid password');
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Generate tokens
-    const tokens = generateTokens(user);
+    // Second factor required before any tokens are issued
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          ...generateTwoFactorChallenge(user)
+        }
+      });
+    }
 
-    // Update last login
-    await user.updateLastLogin();
+    await completeLogin(user, req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new token pair
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+export const refreshTokens = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyToken(refreshToken, 'refresh');
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // Rotate atomically so the same refresh token can only be used once
+    const now = new Date();
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: decoded.sid,
+        user: decoded.id,
+        tokenId: decoded.jti,
+        revokedAt: null,
+        expiresAt: { $gt: now }
+      },
+      {
+        tokenId: Session.generateTokenId(),
+        lastUsedAt: now,
+        expiresAt: new Date(now.getTime() + SESSION_TTL_MS),
+        ip: req.ip
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      // A live family whose current token differs means this token was
+      // already rotated, i.e. it has been replayed: revoke the whole family
+      const family = decoded.sid && await Session.findById(decoded.sid);
+      if (family && family.isValid() && family.tokenId !== decoded.jti) {
+        await family.revoke('reuse');
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findById(session.user);
+
+    if (!user || !user.isActive) {
+      await session.revoke('inactive');
+
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. User not found or inactive.'
+      });
+    }
+
+    const tokens = generateTokens(user, session);
 
     res.status(200).json({
       success: true,
-      message: 'Login successful',
-      data: {
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          role: user.role,
-          profile: user.profile,
-          fullName: user.fullName,
-          lastLogin: user.lastLogin
-        },
-        ...tokens
-      }
+      message: 'Token refreshed successfully',
+      data: tokens
     });
   } catch (error) {
     next(error);
@@ -130,9 +328,11 @@ export const getMe = async (req, res, next) => {
           id: user._id,
           username: user.username,
           email: user.email,
+          emailVerified: user.emailVerified,
           role: user.role,
           profile: user.profile,
           fullName: user.fullName,
+          twoFactorEnabled: user.twoFactorEnabled,
           lastLogin: user.lastLogin,
           createdAt: user.createdAt
         }
@@ -169,6 +369,7 @@ export const updateProfile = async (req, res, next) => {
           id: user._id,
           username: user.username,
           email: user.email,
+          emailVerified: user.emailVerified,
           role: user.role,
           profile: user.profile,
           fullName: user.fullName
@@ -206,9 +407,458 @@ export const changePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
+    await recordAudit(req, { action: 'auth.password_change', targetType: 'User', target: user });
+
+    // Log out everywhere, then start a fresh session for this client
+    await Session.revokeAllForUser(user._id, 'password_change');
+    const session = await startSession(user, req);
+    const tokens = generateTokens(user, session);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully. All other sessions have been logged out.',
+      data: tokens
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Logout from the current session
+ * @route   POST /api/auth/logout
+ * @access  Private
+ */
+export const logout = async (req, res, next) => {
+  try {
+    await Session.updateOne(
+      { _id: req.sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout' }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Logout from all sessions
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+export const logoutAll = async (req, res, next) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'logout_all');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out from all sessions',
+      data: {
+        revokedSessions: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get active sessions of current user
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+export const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort('-lastUsedAt');
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session._id.equals(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke one of the current user's sessions
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+export const revokeSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('logout');
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Request a password reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+export const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email, isActive: true });
+
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+
+    // Same response whether or not the email is registered
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reset password with a token from the reset email
+ * @route   POST /api/auth/reset-password
+ * @access  Public
+ */
+export const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+      isActive: true
+    }).select('+password');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // Update password, consume the token and lift any lockout
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.resetFailedLogins();
+    await user.save();
+
+    // Anyone holding a session may know the old password
+    await Session.revokeAllForUser(user._id, 'password_reset');
+    await recordAudit(req, { action: 'auth.password_reset', targetType: 'User', target: user, actor: user });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Verify email address with a token from the verification email
+ * @route   POST /api/auth/verify-email
+ * @access  Public
+ */
+export const verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resend the email verification link
+ * @route   POST /api/auth/verify-email/resend
+ * @access  Private
+ */
+export const resendVerificationEmail = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('+emailVerificationSentAt');
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const intervalSeconds = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+    const nextAllowedAt = user.emailVerificationSentAt &&
+      new Date(user.emailVerificationSentAt.getTime() + intervalSeconds * 1000);
+
+    if (nextAllowedAt && nextAllowedAt > new Date()) {
+      res.set('Retry-After', Math.ceil((nextAllowedAt - Date.now()) / 1000));
+      return res.status(429).json({
+        success: false,
+        message: 'Please wait before requesting another verification email'
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start two-factor setup and get the authenticator secret
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+export const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // Stored now, but only takes effect once confirmed with a code
+    const secret = generateSecret();
+    user.twoFactorSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the secret with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({
+          secret,
+          accountName: user.email,
+          issuer: process.env.TOTP_ISSUER || 'Car Listing'
+        })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Confirm a code from the authenticator app and enable two-factor authentication
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ */
+export const enableTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user._id).select('+twoFactorSecret');
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor setup has not been started'
+      });
+    }
+
+    const step = verifyTotp(user.twoFactorSecret, code);
+
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    user.twoFactorEnabled = true;
+    user.twoFactorLastStep = step;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+    await recordAudit(req, { action: 'auth.two_factor_enable', targetType: 'User', target: user });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe, they will not be shown again.',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check an authenticator code and mark its time step as used. A code can only be used once,
+ * so it must be newer than the last accepted one
+ * @param {Object} user - User with twoFactorSecret and twoFactorLastStep selected
+ * @param {string} code - Code from the authenticator app
+ * @returns {boolean} Whether the code was accepted
+ */
+const useTotpCode = (user, code) => {
+  const step = verifyTotp(user.twoFactorSecret, code);
+  if (step === null || (user.twoFactorLastStep != null && step <= user.twoFactorLastStep)) return false;
+
+  user.twoFactorLastStep = step;
+  return true;
+};
+
+/**
+ * @desc    Complete a two-factor login with an authenticator or recovery code
+ * @route   POST /api/auth/2fa/verify
+ * @access  Public
+ */
+export const verifyTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyToken(challengeToken, '2fa_challenge');
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const user = await User.findOne({ _id: decoded.id, isActive: true })
+      .select('+failedLoginAttempts +lastFailedLoginAt +lockUntil +twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes');
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor challenge'
+      });
+    }
+
+    if (rejectThrottledLogin(user, res)) return;
+
+    const isValid = code ? useTotpCode(user, code) : user.useRecoveryCode(recoveryCode);
+
+    if (!isValid) {
+      await recordFailedLogin(user, req, 'invalid two-factor code');
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Disable two-factor authentication
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+export const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password +twoFactorSecret +twoFactorLastStep');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+
+    // A code already used to log in cannot be replayed here
+    if (!isPasswordValid || !useTotpCode(user, code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or verification code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorLastStep = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    await user.save({ validateBeforeSave: false });
+    await recordAudit(req, { action: 'auth.two_factor_disable', targetType: 'User', target: user });
+
     res.status(200).json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Two-factor authentication disabled'
     });
   } catch (error) {
     next(error);
@@ -1,4 +1,168 @@
-import Car from '../models/Car.js';
+import crypto from 'crypto';
+import Car, { MODERATED_FIELDS, MAX_CAR_IMAGES, publicListingFilter } from '../models/Car.js';
+import Favorite from '../models/Favorite.js';
+import {
+  DEFAULT_PRICE_BUCKETS,
+  DEFAULT_MILEAGE_BUCKETS,
+  DEFAULT_YEAR_BUCKETS
+} from '../utils/validation.js';
+import { getSortKeys, encodeCursor, decodeCursor, buildCursorCondition } from '../utils/cursor.js';
+import { distanceExpression } from '../utils/geo.js';
+import { buildCarQuery, carQueryFilter } from '../utils/carQuery.js';
+import { getStorageDriver } from '../utils/storage.js';
+import { EXPORT_COLUMNS, exportProjection, streamExport } from '../utils/carExport.js';
+import { recordPriceSafely, announcePriceDrop } from '../utils/priceHistory.js';
+import { notifySafely } from '../utils/notifications.js';
+import { cancelCarAppointments } from '../utils/appointments.js';
+import { declineOpenOffers } from '../utils/offers.js';
+import { recordAudit } from '../utils/audit.js';
+import { requiresModeration, pendingModeration, withGeoPoint, createListing } from '../utils/listings.js';
+import { recordRevision, captureCurrentRevision, snapshotOf, publicSnapshot, diffSnapshots } from '../utils/revisions.js';
+import PriceHistory from '../models/PriceHistory.js';
+import CarRevision, { REVISION_FIELDS } from '../models/CarRevision.js';
+import { detectImageType } from '../utils/imageType.js';
+
+/**
+ * Check whether a user may see and manage a listing regardless of its public visibility
+ * @param {Object} car - Car document
+ * @param {Object} [user] - Authenticated user
+ * @returns {boolean} True for the owner and admins
+ */
+const canManageCar = (car, user) => {
+  if (!user) return false;
+  return user.role === 'admin' || Boolean(car.owner && car.owner.equals(user._id));
+};
+
+/**
+ * Check whether an update changes any field that needs re-moderation
+ * @param {Object} car - Current car document
+ * @param {Object} update - Validated update body, or a revert that may $unset fields
+ * @returns {boolean} True if price, images or description changed
+ */
+const moderatedFieldsChanged = (car, update) => {
+  const current = car.toObject();
+
+  return MODERATED_FIELDS.some(field => {
+    if (!(field in update) && !update.$unset?.[field]) return false;
+
+    const before = field === 'images'
+      ? (current.images || []).map(({ url, alt }) => ({ url, alt: alt || '' }))
+      : current[field] ?? '';
+    const after = field === 'images'
+      ? (update.images || []).map(({ url, alt }) => ({ url, alt: alt || '' }))
+      : update[field] ?? '';
+
+    return JSON.stringify(before) !== JSON.stringify(after);
+  });
+};
+
+/**
+ * Add an isFavorited flag to each car for the given user
+ * @param {Object[]} cars - Car documents
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object[]>} Plain car objects with isFavorited
+ */
+const flagFavorites = async (cars, user) => {
+  const favorites = await Favorite.find({ user: user._id, car: { $in: cars.map(car => car._id) } }).select('car');
+  const favoriteIds = new Set(favorites.map(favorite => favorite.car.toString()));
+
+  return cars.map(car => ({ ...car.toJSON(), isFavorited: favoriteIds.has(car._id.toString()) }));
+};
+
+/**
+ * Delete uploaded image files from storage, logging rather than failing on errors
+ * @param {Object[]} images - Image entries; those without a storage key are skipped
+ * @returns {Promise<void>}
+ */
+const removeStoredImages = async (images) => {
+  const storage = getStorageDriver();
+
+  await Promise.all(images.filter(image => image.key).map(async (image) => {
+    try {
+      await storage.remove(image.key);
+    } catch (error) {
+      console.error(`Failed to remove stored image ${image.key}:`, error.message);
+    }
+  }));
+};
+
+/**
+ * Apply an edit to a listing and record it as a new revision
+ * @param {Object} req - Express request with the editing user
+ * @param {Object} car - Car document before the edit
+ * @param {Object} changes - Fields to set; may include $unset
+ * @param {Object} [options]
+ * @param {string} [options.type] - Revision type, 'edited' or 'reverted'
+ * @param {number} [options.revertedFrom] - Revision a revert restores
+ * @returns {Promise<Object>} { updatedCar, submittedForReview }
+ */
+const applyCarUpdate = async (req, car, changes, { type = 'edited', revertedFrom } = {}) => {
+  const update = { ...changes };
+
+  // Clients send images back without storage keys; keep the keys of uploaded images they kept.
+  // Files of dropped images stay in storage because earlier revisions still show them
+  if (update.images) {
+    const keysByUrl = new Map(car.images.filter(image => image.key).map(image => [image.url, image.key]));
+    update.images = update.images.map(image =>
+      keysByUrl.has(image.url) ? { ...image, key: keysByUrl.get(image.url) } : image
+    );
+  }
+
+  // Keep the old price so buyers can see the change
+  const priceChanged = update.price !== undefined && update.price !== car.price;
+  if (priceChanged) {
+    update.previousPrice = car.price;
+    update.priceChangedAt = new Date();
+  }
+
+  // Changing key details, or editing a rejected listing, sends it back to the moderation queue
+  const isRejected = car.moderation?.status === 'rejected';
+  if (requiresModeration(req.user) && (isRejected || moderatedFieldsChanged(car, update))) {
+    update.moderation = pendingModeration(car);
+  }
+
+  await captureCurrentRevision(car);
+
+  const updatedCar = await Car.findByIdAndUpdate(
+    car._id,
+    update,
+    {
+      new: true,
+      runValidators: true
+    }
+  ).select('-__v');
+
+  await recordRevision(updatedCar, { type, user: req.user, revertedFrom });
+  await recordAudit(req, {
+    action: type === 'reverted' ? 'car.revert' : 'car.update',
+    targetType: 'Car',
+    target: car,
+    before: car,
+    after: updatedCar,
+    details: revertedFrom ? { revertedFrom } : undefined
+  });
+
+  if (priceChanged) {
+    await recordPriceSafely(updatedCar, car.price, req.user);
+    await notifySafely(announcePriceDrop, updatedCar);
+  }
+
+  return { updatedCar, submittedForReview: Boolean(update.moderation) };
+};
+
+/**
+ * Build the stages adding computed fields to listing search results: relevance of
+ * full-text matches and distance from the search point
+ * @param {Object} params - Validated q, lat and lng query parameters
+ * @returns {Object[]} An $addFields stage, or none when nothing is computed
+ */
+const computedFieldStages = ({ q, lat, lng }) => {
+  const computed = {};
+  if (q) computed.score = { $meta: 'textScore' };
+  if (lat !== undefined) computed.distance = distanceExpression({ lat, lng });
+
+  return Object.keys(computed).length ? [{ $addFields: computed }] : [];
+};
 
 /**
  * @desc    Get all cars with filtering, sorting, and pagination
@@ -14,67 +178,245 @@ export const getCars = async (req, res, next) => {
       page = 1,
       limit = 10,
       sort = '-createdAt',
-      make,
-      model,
-      minPrice,
-      maxPrice,
-      minYear,
-      maxYear,
-      fuelType,
-      transmission,
-      bodyType,
-      city,
-      state,
-      status = 'available'
+      q,
+      lat,
+      lng,
+      after,
+      before,
+      includeTotal
     } = queryParams;
 
     // Build filter object
-    const filter = { isActive: true, status };
-
-    if (make) filter.make = new RegExp(make, 'i');
-    if (model) filter.model = new RegExp(model, 'i');
-    if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = Number(minPrice);
-      if (maxPrice) filter.price.$lte = Number(maxPrice);
-    }
-    if (minYear || maxYear) {
-      filter.year = {};
-      if (minYear) filter.year.$gte = Number(minYear);
-      if (maxYear) filter.year.$lte = Number(maxYear);
+    const filter = carQueryFilter(queryParams);
+
+    // Cursor mode is used when the client sends an after/before cursor
+    const cursor = after || before;
+    const withTotal = includeTotal ?? !cursor;
+
+    let position;
+    if (cursor) {
+      try {
+        position = decodeCursor(cursor, sort);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
     }
-    if (fuelType) filter.fuelType = fuelType;
-    if (transmission) filter.transmission = transmission;
-    if (bodyType) filter.bodyType = bodyType;
-    if (city) filter['location.city'] = new RegExp(city, 'i');
-    if (state) filter['location.state'] = new RegExp(state, 'i');
 
-    // Calculate pagination
-    const skip = (Number(page) - 1) * Number(limit);
+    // Sort keys always end with _id so pages never overlap or skip ties
+    const sortKeys = getSortKeys(sort);
+    const sortBy = Object.fromEntries(sortKeys);
 
-    // Execute query
-    const cars = await Car.find(filter)
-      .sort(sort)
-      .skip(skip)
-      .limit(Number(limit))
-      .select('-__v');
+    // Walking backwards queries in reverse order, then flips the page
+    const sortStage = before
+      ? Object.fromEntries(sortKeys.map(([field, direction]) => [field, -direction]))
+      : sortBy;
 
-    // Get total count for pagination
-    const total = await Car.countDocuments(filter);
-    const totalPages = Math.ceil(total / Number(limit));
+    const docs = await Car.aggregate([
+      { $match: filter },
+      ...computedFieldStages({ q, lat, lng }),
+      ...(cursor
+        ? [{ $match: buildCursorCondition(sort, position, before ? 'before' : 'after') }]
+        : []),
+      { $sort: sortStage },
+      // Calculate pagination
+      ...(cursor ? [] : [{ $skip: (Number(page) - 1) * Number(limit) }]),
+      // Fetch one extra document to know whether another page exists
+      { $limit: Number(limit) + 1 },
+      { $project: { __v: 0 } }
+    ]);
+
+    let cars = docs.map(doc => Car.hydrate(doc));
+
+    const hasMore = cars.length > Number(limit);
+    cars = cars.slice(0, Number(limit));
+    if (before) cars.reverse();
+
+    const hasNext = before ? true : hasMore;
+    const hasPrev = cursor ? (before ? hasMore : true) : Number(page) > 1;
+
+    const pagination = {
+      limit: Number(limit),
+      hasNext,
+      hasPrev,
+      nextCursor: hasNext && cars.length ? encodeCursor(sort, cars[cars.length - 1]) : null,
+      prevCursor: hasPrev && cars.length ? encodeCursor(sort, cars[0]) : null
+    };
+
+    if (!cursor) {
+      pagination.page = Number(page);
+    }
+
+    // Total count is optional because it scans every match
+    if (withTotal) {
+      pagination.total = await Car.countDocuments(filter);
+      pagination.totalPages = Math.ceil(pagination.total / Number(limit));
+    }
 
     res.status(200).json({
       success: true,
       count: cars.length,
-      pagination: {
-        page: Number(page),
-        limit: Number(limit),
-        total,
-        totalPages,
-        hasNext: Number(page) < totalPages,
-        hasPrev: Number(page) > 1
-      },
-      data: cars
+      pagination,
+      // Flag the caller's favorites when optionalAuth identified them
+      data: req.user ? await flagFavorites(cars, req.user) : cars
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Hand an export error to the error handler, or cut the download short once streaming has begun
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
+ * @param {Error} error - Error raised while exporting
+ */
+const exportFailed = (res, next, error) => {
+  if (!res.headersSent) return next(error);
+
+  // The status line is already sent, so a truncated download is the only way to signal the failure
+  console.error('Listing export failed:', error.message);
+  res.destroy();
+};
+
+/**
+ * @desc    Export every car matching the listing filters as CSV or NDJSON, in the requested sort order
+ * @route   GET /api/cars/export
+ * @access  Public
+ */
+export const exportCars = async (req, res, next) => {
+  try {
+    const queryParams = req.validatedQuery || req.query;
+    const {
+      sort = '-createdAt',
+      q,
+      lat,
+      lng,
+      format = 'csv',
+      columns = Object.keys(EXPORT_COLUMNS)
+    } = queryParams;
+
+    // Results are read through a cursor so large exports never sit in memory
+    const cursor = Car.aggregate([
+      { $match: carQueryFilter(queryParams) },
+      ...computedFieldStages({ q, lat, lng }),
+      { $sort: Object.fromEntries(getSortKeys(sort)) },
+      exportProjection(columns)
+    ])
+      .allowDiskUse(true)
+      .cursor();
+
+    await streamExport(res, cursor, { format, columns, fileName: 'cars' });
+  } catch (error) {
+    exportFailed(res, next, error);
+  }
+};
+
+// Upper bound used to make the last facet bucket open-ended
+const OPEN_BUCKET_LIMIT = Number.MAX_SAFE_INTEGER;
+
+/**
+ * Build a $bucket stage counting documents between the given boundaries
+ * @param {string} field - Field to bucket
+ * @param {number[]} boundaries - Ascending lower bounds of each bucket
+ * @returns {Object} $bucket stage
+ */
+const bucketStage = (field, boundaries) => ({
+  $bucket: {
+    groupBy: `$${field}`,
+    boundaries: [...boundaries, OPEN_BUCKET_LIMIT],
+    default: 'below',
+    output: { count: { $sum: 1 } }
+  }
+});
+
+/**
+ * Turn $bucket output into { min, max, count } ranges, including empty buckets
+ * @param {Object[]} results - $bucket results
+ * @param {number[]} boundaries - Ascending lower bounds of each bucket
+ * @returns {Object[]} Ranges with counts; max is null for the open-ended last bucket
+ */
+const formatBuckets = (results, boundaries) => {
+  const counts = new Map(results.map(({ _id, count }) => [_id, count]));
+  const buckets = boundaries.map((min, index) => ({
+    min,
+    max: boundaries[index + 1] ?? null,
+    count: counts.get(min) || 0
+  }));
+
+  if (counts.get('below')) {
+    buckets.unshift({ min: null, max: boundaries[0], count: counts.get('below') });
+  }
+
+  return buckets;
+};
+
+/**
+ * @desc    Get filter counts (facets) for the current car search
+ * @route   GET /api/cars/facets
+ * @access  Public
+ */
+export const getCarFacets = async (req, res, next) => {
+  try {
+    const queryParams = req.validatedQuery || req.query;
+    const {
+      priceBuckets = DEFAULT_PRICE_BUCKETS,
+      mileageBuckets = DEFAULT_MILEAGE_BUCKETS,
+      yearBuckets = DEFAULT_YEAR_BUCKETS
+    } = queryParams;
+
+    const { base, facetable } = buildCarQuery(queryParams);
+
+    // Every active filter except the facet's own, so its other values stay selectable
+    const matchExcept = (facet) => ({
+      $match: Object.assign({}, ...Object.entries(facetable)
+        .filter(([name]) => name !== facet)
+        .map(([, condition]) => condition))
+    });
+
+    const countBy = (facet, field, limit) => [
+      matchExcept(facet),
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      ...(limit ? [{ $limit: limit }] : [])
+    ];
+
+    const [result] = await Car.aggregate([
+      { $match: base },
+      {
+        $facet: {
+          total: [matchExcept(null), { $count: 'count' }],
+          fuelType: countBy('fuelType', 'fuelType'),
+          transmission: countBy('transmission', 'transmission'),
+          bodyType: countBy('bodyType', 'bodyType'),
+          make: countBy('make', 'make', 50),
+          city: countBy('city', 'location.city', 50),
+          year: [matchExcept('year'), bucketStage('year', yearBuckets)],
+          price: [matchExcept('price'), bucketStage('price', priceBuckets)],
+          mileage: [matchExcept('mileage'), bucketStage('mileage', mileageBuckets)]
+        }
+      }
+    ]);
+
+    const toValues = (items) => items.map(({ _id, count }) => ({ value: _id, count }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        total: result.total[0]?.count || 0,
+        facets: {
+          fuelType: toValues(result.fuelType),
+          transmission: toValues(result.transmission),
+          bodyType: toValues(result.bodyType),
+          make: toValues(result.make),
+          city: toValues(result.city),
+          year: formatBuckets(result.year, yearBuckets),
+          price: formatBuckets(result.price, priceBuckets),
+          mileage: formatBuckets(result.mileage, mileageBuckets)
+        }
+      }
     });
   } catch (error) {
     next(error);
@@ -90,7 +432,8 @@ export const getCar = async (req, res, next) => {
   try {
     const car = await Car.findById(req.params.id).select('-__v');
 
-    if (!car || !car.isActive) {
+    // Listings awaiting review or rejected are only visible to their owner and admins
+    if (!car || (!car.isPublic() && !(car.isActive && canManageCar(car, req.user)))) {
       return res.status(404).json({
         success: false,
         message: 'Car not found'
@@ -102,7 +445,42 @@ export const getCar = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      data: car
+      data: req.user ? (await flagFavorites([car], req.user))[0] : car
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the price history of a car
+ * @route   GET /api/cars/:id/price-history
+ * @access  Public
+ */
+export const getPriceHistory = async (req, res, next) => {
+  try {
+    const car = await Car.findById(req.params.id);
+
+    // Same visibility rules as the listing itself
+    if (!car || (!car.isPublic() && !(car.isActive && canManageCar(car, req.user)))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Car not found'
+      });
+    }
+
+    const history = await PriceHistory.find({ car: car._id })
+      .sort({ changedAt: 1, _id: 1 })
+      .select('price previousPrice changedAt');
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: {
+        currentPrice: car.price,
+        priceDrop: car.priceDrop,
+        history
+      }
     });
   } catch (error) {
     next(error);
@@ -116,20 +494,20 @@ export const getCar = async (req, res, next) => {
  */
 export const createCar = async (req, res, next) => {
   try {
-    // Ensure seller information is set from authenticated user
-    const carData = {
-      ...req.body,
-      seller: {
-        ...req.body.seller,
-        email: req.user.email // Set seller email from authenticated user
-      }
-    };
+    if (req.body.status && req.body.status !== 'available') {
+      return res.status(400).json({
+        success: false,
+        message: 'New listings are always available; reserve or sell them afterwards'
+      });
+    }
 
-    const car = await Car.create(carData);
+    const car = await createListing(req, req.body);
 
     res.status(201).json({
       success: true,
-      message: 'Car listing created successfully',
+      message: car.moderation.status === 'pending'
+        ? 'Car listing created and submitted for review'
+        : 'Car listing created successfully',
       data: car
     });
   } catch (error) {
@@ -140,31 +518,201 @@ export const createCar = async (req, res, next) => {
 /**
  * @desc    Update car listing
  * @route   PUT /api/cars/:id
- * @access  Private (requires authentication)
+ * @access  Private (owner or admin)
  */
 export const updateCar = async (req, res, next) => {
   try {
-    const car = await Car.findById(req.params.id);
+    // Car is loaded and ownership checked by authorizeOwner middleware
+    const car = req.resource;
+
+    // Status only changes through the transition endpoints, which enforce the allowed moves
+    if (req.body.status && req.body.status !== car.status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use the reserve, release, mark-sold and relist endpoints to change the status'
+      });
+    }
+
+    const update = { ...req.body };
+    delete update.status;
+    if (update.location) {
+      update.location = withGeoPoint(update.location);
+    }
 
-    if (!car) {
+    const { updatedCar, submittedForReview } = await applyCarUpdate(req, car, update);
+
+    res.status(200).json({
+      success: true,
+      message: submittedForReview
+        ? 'Car listing updated and submitted for review'
+        : 'Car listing updated successfully',
+      data: updatedCar
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete car listing (soft delete)
+ * @route   DELETE /api/cars/:id
+ * @access  Private (owner or admin)
+ */
+export const deleteCar = async (req, res, next) => {
+  try {
+    // Car is loaded and ownership checked by authorizeOwner middleware
+    const car = req.resource;
+
+    // Soft delete; only the request that deletes the listing records it and cancels its appointments and offers
+    const deleted = await Car.findOneAndUpdate({ _id: car._id, isActive: true }, { isActive: false });
+    if (!deleted) {
       return res.status(404).json({
         success: false,
         message: 'Car not found'
       });
     }
 
-    const updatedCar = await Car.findByIdAndUpdate(
-      req.params.id,
-      req.body,
+    await recordAudit(req, {
+      action: 'car.delete',
+      targetType: 'Car',
+      target: car,
+      before: { isActive: true },
+      after: { isActive: false }
+    });
+    await cancelCarAppointments(car, 'listing removed');
+    await declineOpenOffers(car, { reason: 'listing removed' });
+
+    res.status(200).json({
+      success: true,
+      message: 'Car listing deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Upload images to a car listing
+ * @route   POST /api/cars/:id/images
+ * @access  Private (owner or admin)
+ */
+export const uploadCarImages = async (req, res, next) => {
+  try {
+    // Car is loaded and ownership checked by authorizeOwner middleware
+    const car = req.resource;
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No images uploaded'
+      });
+    }
+
+    // Check the actual file contents rather than the client-supplied type
+    const types = files.map(file => detectImageType(file.buffer));
+    if (types.some(type => !type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only JPEG, PNG and WebP images are allowed'
+      });
+    }
+
+    if (car.images.length + files.length > MAX_CAR_IMAGES) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot have more than ${MAX_CAR_IMAGES} images`
+      });
+    }
+
+    const { alt } = req.body;
+    const altFor = (index) => (Array.isArray(alt) ? alt[index] : alt) || '';
+
+    const storage = getStorageDriver();
+    const images = [];
+
+    try {
+      for (const [index, file] of files.entries()) {
+        const key = `cars/${car._id}/${crypto.randomBytes(16).toString('hex')}.${types[index].extension}`;
+        const url = await storage.save(key, file.buffer, types[index].mime);
+        images.push({ url, alt: altFor(index), key });
+      }
+    } catch (error) {
+      await removeStoredImages(images);
+      throw error;
+    }
+
+    // New photos need review before they are shown
+    const update = { $push: { images: { $each: images } } };
+    if (requiresModeration(req.user)) {
+      update.moderation = pendingModeration(car);
+    }
+
+    // Only push while there is room, in case another upload finished first
+    const updatedCar = await Car.findOneAndUpdate(
+      { _id: car._id, [`images.${MAX_CAR_IMAGES - images.length}`]: { $exists: false } },
+      update,
       {
         new: true,
         runValidators: true
       }
     ).select('-__v');
 
+    if (!updatedCar) {
+      await removeStoredImages(images);
+      return res.status(400).json({
+        success: false,
+        message: `Cannot have more than ${MAX_CAR_IMAGES} images`
+      });
+    }
+
+    await recordAudit(req, { action: 'car.image_upload', targetType: 'Car', target: car, before: car, after: updatedCar });
+
+    res.status(201).json({
+      success: true,
+      message: update.moderation
+        ? 'Images uploaded and submitted for review'
+        : 'Images uploaded successfully',
+      data: updatedCar
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete an image from a car listing
+ * @route   DELETE /api/cars/:id/images/:imageId
+ * @access  Private (owner or admin)
+ */
+export const deleteCarImage = async (req, res, next) => {
+  try {
+    const car = req.resource;
+    const image = car.images.id(req.params.imageId);
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    const updatedCar = await Car.findByIdAndUpdate(
+      car._id,
+      { $pull: { images: { _id: image._id } } },
+      { new: true }
+    ).select('-__v');
+
+    // Earlier revisions may still show the image, in which case its file is kept for reverts
+    const inRevisions = image.key && await CarRevision.exists({ car: car._id, 'snapshot.images.key': image.key });
+    if (!inRevisions) {
+      await removeStoredImages([image]);
+    }
+    await recordAudit(req, { action: 'car.image_delete', targetType: 'Car', target: car, before: car, after: updatedCar });
+
     res.status(200).json({
       success: true,
-      message: 'Car listing updated successfully',
+      message: 'Image deleted successfully',
       data: updatedCar
     });
   } catch (error) {
@@ -173,27 +721,73 @@ export const updateCar = async (req, res, next) => {
 };
 
 /**
- * @desc    Delete car listing (soft delete)
- * @route   DELETE /api/cars/:id
- * @access  Private (requires authentication)
+ * @desc    Reorder the images of a car listing
+ * @route   PUT /api/cars/:id/images/order
+ * @access  Private (owner or admin)
  */
-export const deleteCar = async (req, res, next) => {
+export const reorderCarImages = async (req, res, next) => {
   try {
-    const car = await Car.findById(req.params.id);
+    const car = req.resource;
+    const { order } = req.body;
 
-    if (!car) {
+    // The new order must list every current image exactly once
+    const currentIds = car.images.map(image => image._id.toString());
+    if (order.length !== currentIds.length || !order.every(id => currentIds.includes(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Image order must contain every image of the listing exactly once'
+      });
+    }
+
+    const updatedCar = await Car.findByIdAndUpdate(
+      car._id,
+      { images: order.map(id => car.images.id(id).toObject()) },
+      { new: true }
+    ).select('-__v');
+
+    await recordAudit(req, { action: 'car.image_reorder', targetType: 'Car', target: car, before: car, after: updatedCar });
+
+    res.status(200).json({
+      success: true,
+      message: 'Images reordered successfully',
+      data: updatedCar
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Make an image the cover (first) image of a car listing
+ * @route   PUT /api/cars/:id/images/:imageId/cover
+ * @access  Private (owner or admin)
+ */
+export const setCoverImage = async (req, res, next) => {
+  try {
+    const car = req.resource;
+    const cover = car.images.id(req.params.imageId);
+
+    if (!cover) {
       return res.status(404).json({
         success: false,
-        message: 'Car not found'
+        message: 'Image not found'
       });
     }
 
-    // Soft delete by setting isActive to false
-    await Car.findByIdAndUpdate(req.params.id, { isActive: false });
+    const images = [cover, ...car.images.filter(image => !image._id.equals(cover._id))];
+
+    const updatedCar = await Car.findByIdAndUpdate(
+      car._id,
+      { images: images.map(image => image.toObject()) },
+      { new: true }
+    ).select('-__v');
+
+    await recordAudit(req, { action: 'car.cover_image', targetType: 'Car', target: car, before: car, after: updatedCar });
 
     res.status(200).json({
       success: true,
-      message: 'Car listing deleted successfully'
+      message: 'Cover image updated successfully',
+      data: updatedCar
     });
   } catch (error) {
     next(error);
@@ -207,17 +801,11 @@ export const deleteCar = async (req, res, next) => {
  */
 export const getMyCars = async (req, res, next) => {
   try {
-    // Get cars created by the current user
-    // Handle both cases: cars with email set and cars without email (legacy)
+    // Get cars owned by the current user
+    // Legacy listings without an owner are backfilled by migrateCars.js
     const query = {
       isActive: true,
-      $or: [
-        { 'seller.email': req.user.email },
-        {
-          'seller.email': { $in: ['', null] },
-          'seller.name': req.user.username
-        }
-      ]
+      owner: req.user._id
     };
 
     const cars = await Car.find(query)
@@ -234,6 +822,29 @@ export const getMyCars = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Export the current user's car listings as CSV or NDJSON, newest first
+ * @route   GET /api/cars/my-listings/export
+ * @access  Private (requires authentication)
+ */
+export const exportMyCars = async (req, res, next) => {
+  try {
+    const { format = 'csv', columns = Object.keys(EXPORT_COLUMNS) } = req.validatedQuery || req.query;
+
+    const cursor = Car.aggregate([
+      { $match: { isActive: true, owner: req.user._id } },
+      { $sort: { createdAt: -1, _id: -1 } },
+      exportProjection(columns)
+    ])
+      .allowDiskUse(true)
+      .cursor();
+
+    await streamExport(res, cursor, { format, columns, fileName: 'my-listings' });
+  } catch (error) {
+    exportFailed(res, next, error);
+  }
+};
+
 /**
  * @desc    Get car statistics
  * @route   GET /api/cars/stats
@@ -243,7 +854,7 @@ export const getCarStats = async (req, res, next) => {
   try {
     const stats = await Car.aggregate([
       {
-        $match: { isActive: true, status: 'available' }
+        $match: { ...publicListingFilter(), status: 'available' }
       },
       {
         $group: {
@@ -260,7 +871,7 @@ export const getCarStats = async (req, res, next) => {
 
     const makeStats = await Car.aggregate([
       {
-        $match: { isActive: true, status: 'available' }
+        $match: { ...publicListingFilter(), status: 'available' }
       },
       {
         $group: {
@@ -279,7 +890,7 @@ export const getCarStats = async (req, res, next) => {
 
     const fuelTypeStats = await Car.aggregate([
       {
-        $match: { isActive: true, status: 'available' }
+        $match: { ...publicListingFilter(), status: 'available' }
       },
       {
         $group: {
@@ -304,3 +915,168 @@ export const getCarStats = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Find one revision of the car loaded by authorizeOwner
+ * @param {Object} req - Express request with the car in req.resource
+ * @param {string|number} number - Revision number
+ * @returns {Promise<Object|null>} Revision, or null if the number is not one of the car's revisions
+ */
+const findRevision = (req, number) => {
+  const revision = Number(number);
+  if (!Number.isInteger(revision) || revision < 1) return null;
+
+  return CarRevision.findOne({ car: req.resource._id, revision }).populate('editedBy', 'username');
+};
+
+const revisionSummary = (revision) => ({
+  revision: revision.revision,
+  type: revision.type,
+  editedBy: revision.editedBy,
+  revertedFrom: revision.revertedFrom,
+  createdAt: revision.createdAt
+});
+
+const revisionNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Revision not found'
+});
+
+/**
+ * @desc    Get the revisions of a car listing, newest first, with the fields each one changed
+ * @route   GET /api/cars/:id/revisions
+ * @access  Private (owner or admin)
+ */
+export const getRevisions = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.validatedQuery || req.query;
+    const filter = { car: req.resource._id };
+    const skip = (Number(page) - 1) * Number(limit);
+
+    // One extra revision gives the last one on the page something to compare with
+    const [revisions, total] = await Promise.all([
+      CarRevision.find(filter)
+        .sort({ revision: -1 })
+        .skip(skip)
+        .limit(Number(limit) + 1)
+        .populate('editedBy', 'username'),
+      CarRevision.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / Number(limit));
+
+    const data = revisions.slice(0, Number(limit)).map((revision, index) => ({
+      ...revisionSummary(revision),
+      changedFields: [...new Set(diffSnapshots(revisions[index + 1]?.snapshot, revision.snapshot)
+        .map(change => change.path.split('.')[0]))]
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages,
+        hasNext: Number(page) < totalPages,
+        hasPrev: Number(page) > 1
+      },
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get one revision of a car listing with its saved fields
+ * @route   GET /api/cars/:id/revisions/:revision
+ * @access  Private (owner or admin)
+ */
+export const getRevision = async (req, res, next) => {
+  try {
+    const revision = await findRevision(req, req.params.revision);
+    if (!revision) return revisionNotFound(res);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...revisionSummary(revision),
+        snapshot: publicSnapshot(revision.snapshot)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Compare two revisions of a car listing field by field
+ * @route   GET /api/cars/:id/revisions/diff
+ * @access  Private (owner or admin)
+ */
+export const compareRevisions = async (req, res, next) => {
+  try {
+    const { from, to } = req.validatedQuery || req.query;
+
+    const [older, newer] = await Promise.all([findRevision(req, from), findRevision(req, to)]);
+    if (!older || !newer) return revisionNotFound(res);
+
+    const changes = diffSnapshots(older.snapshot, newer.snapshot);
+
+    res.status(200).json({
+      success: true,
+      count: changes.length,
+      data: {
+        from: revisionSummary(older),
+        to: revisionSummary(newer),
+        changes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Restore a car listing to an earlier revision, saved as a new revision
+ * @route   POST /api/cars/:id/revisions/:revision/revert
+ * @access  Private (owner or admin)
+ */
+export const revertCar = async (req, res, next) => {
+  try {
+    const car = req.resource;
+    const revision = await findRevision(req, req.params.revision);
+    if (!revision) return revisionNotFound(res);
+
+    const { snapshot } = revision;
+    if (!diffSnapshots(snapshotOf(car), snapshot).length) {
+      return res.status(400).json({
+        success: false,
+        message: `The listing already matches revision ${revision.revision}`
+      });
+    }
+
+    // Fields the revision did not have are cleared
+    const update = Object.fromEntries(REVISION_FIELDS.filter(field => field in snapshot).map(field => [field, snapshot[field]]));
+    const unset = REVISION_FIELDS.filter(field => !(field in snapshot));
+    if (unset.length) {
+      update.$unset = Object.fromEntries(unset.map(field => [field, 1]));
+    }
+
+    const { updatedCar, submittedForReview } = await applyCarUpdate(req, car, update, {
+      type: 'reverted',
+      revertedFrom: revision.revision
+    });
+
+    res.status(200).json({
+      success: true,
+      message: submittedForReview
+        ? `Car listing reverted to revision ${revision.revision} and submitted for review`
+        : `Car listing reverted to revision ${revision.revision}`,
+      data: updatedCar
+    });
+  } catch (error) {
+    next(error);
+  }
+};
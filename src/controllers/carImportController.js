@@ -0,0 +1,166 @@
+import ImportJob from '../models/ImportJob.js';
+import { parseCsvRows } from '../utils/csv.js';
+import {
+  mapImportHeader,
+  rowToCar,
+  maxImportRows,
+  syncImportRows,
+  runImportJob
+} from '../utils/carImport.js';
+
+/**
+ * @desc    Import car listings from a CSV file
+ * @route   POST /api/cars/import
+ * @access  Private (requires authentication)
+ */
+export const importCars = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No CSV file uploaded'
+      });
+    }
+
+    let table;
+    try {
+      table = parseCsvRows(req.file.buffer.toString('utf8'));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid CSV: ${error.message}`
+      });
+    }
+
+    const [header, ...dataRows] = table;
+    if (dataRows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The CSV file must have a header row and at least one car'
+      });
+    }
+
+    const maxRows = maxImportRows();
+    if (dataRows.length > maxRows) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot import more than ${maxRows} cars at once`
+      });
+    }
+
+    const { fields, error } = mapImportHeader(header.cells);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const rows = dataRows.map(({ line, cells }) => ({ line, ...rowToCar(fields, cells) }));
+    const dryRun = Boolean(req.body?.dryRun);
+
+    const job = await ImportJob.create({
+      owner: req.user._id,
+      fileName: req.file.originalname,
+      dryRun,
+      totalRows: rows.length
+    });
+
+    // Small files are processed before responding; the rest continue after the response
+    if (rows.length <= syncImportRows()) {
+      const finished = await runImportJob(job, rows, req);
+
+      return res.status(200).json({
+        success: true,
+        message: dryRun
+          ? `Dry run finished: ${finished.succeeded} of ${finished.totalRows} rows are valid`
+          : `Import finished: ${finished.succeeded} of ${finished.totalRows} cars imported`,
+        data: finished
+      });
+    }
+
+    // The request object is not kept once the response is sent
+    const context = { user: req.user, ip: req.ip, id: req.id };
+    runImportJob(job, rows, context).catch(jobError => {
+      console.error(`Failed to finish import job ${job._id}:`, jobError.message);
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Import started; check its progress at the job URL',
+      data: {
+        id: job._id,
+        status: job.status,
+        dryRun,
+        totalRows: job.totalRows,
+        url: `/api/cars/imports/${job._id}`
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user's import jobs, newest first, without their row reports
+ * @route   GET /api/cars/imports
+ * @access  Private (requires authentication)
+ */
+export const getImportJobs = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.validatedQuery || req.query;
+    const filter = { owner: req.user._id };
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [jobs, total] = await Promise.all([
+      ImportJob.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .select('-rows -__v'),
+      ImportJob.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / Number(limit));
+
+    res.status(200).json({
+      success: true,
+      count: jobs.length,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages,
+        hasNext: Number(page) < totalPages,
+        hasPrev: Number(page) > 1
+      },
+      data: jobs
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get an import job's progress and per-row report
+ * @route   GET /api/cars/imports/:id
+ * @access  Private (job owner or admin)
+ */
+export const getImportJob = async (req, res, next) => {
+  try {
+    const job = await ImportJob.findById(req.params.id).select('-__v');
+
+    if (!job || (!job.owner.equals(req.user._id) && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import job not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
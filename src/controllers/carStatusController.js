@@ -0,0 +1,136 @@
+import StatusHistory from '../models/StatusHistory.js';
+import {
+  STATUS_TRANSITIONS,
+  MAX_RESERVATION_DAYS,
+  changeCarStatus,
+  defaultReservationExpiry
+} from '../utils/carStatus.js';
+
+/**
+ * Apply a status transition to the car loaded by authorizeOwner and send the response
+ * @param {Object} req - Express request with the car in req.resource
+ * @param {Object} res - Express response
+ * @param {string} action - Key of STATUS_TRANSITIONS
+ * @param {string} verb - Action as shown in error messages, e.g. 'mark as sold'
+ * @param {string} message - Success message
+ * @param {Object} [options] - Extra options for changeCarStatus
+ */
+const respondWithTransition = async (req, res, action, verb, message, options = {}) => {
+  const car = req.resource;
+
+  if (!STATUS_TRANSITIONS[action].from.includes(car.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot ${verb} a car that is ${car.status}`
+    });
+  }
+
+  const updated = await changeCarStatus(car, action, {
+    user: req.user,
+    req,
+    reason: req.body?.reason,
+    ...options
+  });
+
+  // Someone else changed the status between loading the car and updating it
+  if (!updated) {
+    return res.status(400).json({
+      success: false,
+      message: 'The car status changed while processing the request; reload and try again'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message,
+    data: updated
+  });
+};
+
+/**
+ * @desc    Reserve a car until a given time
+ * @route   POST /api/cars/:id/reserve
+ * @access  Private (owner or admin)
+ */
+export const reserveCar = async (req, res, next) => {
+  try {
+    const expiresAt = req.body?.expiresAt ? new Date(req.body.expiresAt) : defaultReservationExpiry();
+    const maxExpiry = new Date(Date.now() + MAX_RESERVATION_DAYS * 24 * 60 * 60 * 1000);
+
+    if (expiresAt <= new Date() || expiresAt > maxExpiry) {
+      return res.status(400).json({
+        success: false,
+        message: `Reservation must expire within the next ${MAX_RESERVATION_DAYS} days`
+      });
+    }
+
+    await respondWithTransition(req, res, 'reserve', 'reserve', 'Car reserved', { expiresAt });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Release a reservation, making the car available again
+ * @route   POST /api/cars/:id/release
+ * @access  Private (owner or admin)
+ */
+export const releaseCar = async (req, res, next) => {
+  try {
+    await respondWithTransition(req, res, 'release', 'release', 'Reservation released');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark a car as sold
+ * @route   POST /api/cars/:id/mark-sold
+ * @access  Private (owner or admin)
+ */
+export const markCarSold = async (req, res, next) => {
+  try {
+    await respondWithTransition(req, res, 'markSold', 'mark as sold', 'Car marked as sold');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Put a sold car back on sale
+ * @route   POST /api/cars/:id/relist
+ * @access  Private (owner or admin)
+ */
+export const relistCar = async (req, res, next) => {
+  try {
+    await respondWithTransition(req, res, 'relist', 'relist', 'Car relisted');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a car's status changes, oldest first
+ * @route   GET /api/cars/:id/status-history
+ * @access  Private (owner or admin)
+ */
+export const getStatusHistory = async (req, res, next) => {
+  try {
+    const history = await StatusHistory.find({ car: req.resource._id })
+      .sort({ changedAt: 1, _id: 1 })
+      .populate('changedBy', 'username')
+      .select('-__v -car');
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: {
+        status: req.resource.status,
+        reservation: req.resource.status === 'reserved' ? req.resource.reservation : null,
+        history
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,319 @@
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import UserBlock from '../models/UserBlock.js';
+import Car from '../models/Car.js';
+
+// Length of the last-message preview shown in thread lists
+const PREVIEW_LENGTH = 200;
+
+// Car fields shown with a conversation
+const CAR_SUMMARY_FIELDS = 'make model year price images status';
+
+const otherRole = (role) => (role === 'buyer' ? 'seller' : 'buyer');
+
+/**
+ * Add a message to a conversation and update both sides' read state
+ * @param {Object} conversation - Conversation document
+ * @param {Object} sender - Participant sending the message
+ * @param {string} body - Message text
+ * @returns {Promise<Object>} Created message
+ */
+const postMessage = async (conversation, sender, body) => {
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: sender._id,
+    body
+  });
+
+  // Replying counts as having read the thread; the other side gets one more unread message
+  const role = conversation.roleOf(sender._id);
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    {
+      $set: {
+        lastMessage: {
+          body: body.slice(0, PREVIEW_LENGTH),
+          sender: sender._id,
+          sentAt: message.createdAt
+        },
+        [`${role}Unread`]: 0
+      },
+      $max: {
+        lastMessageAt: message.createdAt,
+        [`${role}LastReadAt`]: message.createdAt
+      },
+      $inc: { [`${otherRole(role)}Unread`]: 1 }
+    }
+  );
+
+  return message;
+};
+
+/**
+ * Shape a message for one participant, with a read receipt
+ * @param {Object} message - Message document
+ * @param {Object} conversation - Conversation the message belongs to
+ * @param {string} userId - Participant viewing the message
+ * @returns {Object} Message with isMine and read flags
+ */
+const formatMessage = (message, conversation, userId) => {
+  const isMine = message.sender.equals(userId);
+  const senderRole = conversation.roleOf(message.sender);
+  const recipientLastReadAt = conversation[`${otherRole(senderRole)}LastReadAt`];
+
+  return {
+    _id: message._id,
+    sender: message.sender,
+    body: message.body,
+    createdAt: message.createdAt,
+    isMine,
+    read: Boolean(recipientLastReadAt && recipientLastReadAt >= message.createdAt)
+  };
+};
+
+/**
+ * Shape a conversation for one participant
+ * @param {Object} conversation - Conversation with car, buyer and seller populated
+ * @param {string} userId - Participant viewing the conversation
+ * @returns {Object} Conversation from the user's side
+ */
+const formatConversation = (conversation, userId) => {
+  const role = conversation.roleOf(userId);
+
+  return {
+    _id: conversation._id,
+    car: conversation.car,
+    role,
+    otherParticipant: conversation.otherParticipant(userId),
+    lastMessage: conversation.lastMessage,
+    lastMessageAt: conversation.lastMessageAt,
+    unreadCount: conversation[`${role}Unread`],
+    otherLastReadAt: conversation[`${otherRole(role)}LastReadAt`],
+    createdAt: conversation.createdAt
+  };
+};
+
+const populateConversation = (query) => query
+  .populate('car', CAR_SUMMARY_FIELDS)
+  .populate('buyer', 'username')
+  .populate('seller', 'username');
+
+const blockedResponse = (res) => res.status(403).json({
+  success: false,
+  message: 'You cannot message this user'
+});
+
+/**
+ * @desc    Send an inquiry about a car to its owner, starting or continuing a conversation
+ * @route   POST /api/cars/:id/inquiries
+ * @access  Private
+ */
+export const createInquiry = async (req, res, next) => {
+  try {
+    const car = await Car.findById(req.params.id);
+
+    if (!car || !car.isPublic()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Car not found'
+      });
+    }
+
+    // Listings created before accounts existed have nobody to message
+    if (!car.owner) {
+      return res.status(400).json({
+        success: false,
+        message: 'This listing does not accept messages'
+      });
+    }
+
+    if (car.owner.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot send an inquiry about your own listing'
+      });
+    }
+
+    if (car.status === 'sold') {
+      return res.status(400).json({
+        success: false,
+        message: 'This car has already been sold'
+      });
+    }
+
+    if (await UserBlock.existsBetween(req.user._id, car.owner)) {
+      return blockedResponse(res);
+    }
+
+    // A buyer has one thread per car; asking again continues it
+    const key = { car: car._id, buyer: req.user._id };
+    let conversation;
+    try {
+      conversation = await Conversation.findOneAndUpdate(
+        key,
+        { $setOnInsert: { ...key, seller: car.owner } },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // A concurrent inquiry created the thread first
+      if (error.code !== 11000) throw error;
+      conversation = await Conversation.findOne(key);
+    }
+
+    const message = await postMessage(conversation, req.user, req.body.message);
+    const updated = await populateConversation(Conversation.findById(conversation._id));
+
+    res.status(201).json({
+      success: true,
+      message: 'Inquiry sent',
+      data: {
+        conversation: formatConversation(updated, req.user._id),
+        message: formatMessage(message, updated, req.user._id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user's conversations, most recent first
+ * @route   GET /api/conversations
+ * @access  Private
+ */
+export const getConversations = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, role, unread } = req.validatedQuery || req.query;
+    const userId = req.user._id;
+
+    // One clause per side of the conversation the user can be on
+    const roles = role ? [role] : ['buyer', 'seller'];
+    const filter = {
+      $or: roles.map(side => ({
+        [side]: userId,
+        ...(unread === true && { [`${side}Unread`]: { $gt: 0 } })
+      }))
+    };
+
+    // Calculate pagination
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [conversations, total, unreadTotals] = await Promise.all([
+      populateConversation(
+        Conversation.find(filter)
+          .sort({ lastMessageAt: -1, _id: -1 })
+          .skip(skip)
+          .limit(Number(limit))
+      ),
+      Conversation.countDocuments(filter),
+      Conversation.aggregate([
+        { $match: { $or: [{ buyer: userId }, { seller: userId }] } },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: { $cond: [{ $eq: ['$buyer', userId] }, '$buyerUnread', '$sellerUnread'] } }
+          }
+        }
+      ])
+    ]);
+    const totalPages = Math.ceil(total / Number(limit));
+
+    res.status(200).json({
+      success: true,
+      count: conversations.length,
+      unreadCount: unreadTotals[0]?.total || 0,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages,
+        hasNext: Number(page) < totalPages,
+        hasPrev: Number(page) > 1
+      },
+      data: conversations.map(conversation => formatConversation(conversation, userId))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a conversation's messages and mark it as read
+ * @route   GET /api/conversations/:id
+ * @access  Private (participants)
+ */
+export const getConversation = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50 } = req.validatedQuery || req.query;
+    const conversation = req.resource;
+    const role = conversation.roleOf(req.user._id);
+
+    // Viewing the thread reads everything in it
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      {
+        $set: { [`${role}Unread`]: 0 },
+        $max: { [`${role}LastReadAt`]: new Date() }
+      }
+    );
+
+    // Pages run backwards from the newest message; each page is returned oldest first
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [updated, messages, total, isBlocked] = await Promise.all([
+      populateConversation(Conversation.findById(conversation._id)),
+      Message.find({ conversation: conversation._id })
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(Number(limit)),
+      Message.countDocuments({ conversation: conversation._id }),
+      UserBlock.existsBetween(conversation.buyer, conversation.seller)
+    ]);
+    const totalPages = Math.ceil(total / Number(limit));
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages,
+        hasNext: Number(page) < totalPages,
+        hasPrev: Number(page) > 1
+      },
+      data: {
+        conversation: { ...formatConversation(updated, req.user._id), canReply: !isBlocked },
+        messages: messages.reverse().map(message => formatMessage(message, updated, req.user._id))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reply in a conversation
+ * @route   POST /api/conversations/:id/messages
+ * @access  Private (participants)
+ */
+export const sendMessage = async (req, res, next) => {
+  try {
+    const conversation = req.resource;
+
+    if (await UserBlock.existsBetween(conversation.buyer, conversation.seller)) {
+      return blockedResponse(res);
+    }
+
+    const message = await postMessage(conversation, req.user, req.body.message);
+    const updated = await Conversation.findById(conversation._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent',
+      data: formatMessage(message, updated, req.user._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,151 @@
+import Favorite from '../models/Favorite.js';
+import Car, { publicListingFilter } from '../models/Car.js';
+
+/**
+ * @desc    Add a car to the current user's favorites
+ * @route   POST /api/cars/:id/favorite
+ * @access  Private
+ */
+export const addFavorite = async (req, res, next) => {
+  try {
+    const car = await Car.findById(req.params.id);
+
+    if (!car || !car.isPublic()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Car not found'
+      });
+    }
+
+    // Upsert so favoriting twice is harmless; only a new favorite bumps the count
+    let created;
+    try {
+      const result = await Favorite.updateOne(
+        { user: req.user._id, car: car._id },
+        { $setOnInsert: { user: req.user._id, car: car._id } },
+        { upsert: true }
+      );
+      created = result.upsertedCount > 0;
+    } catch (error) {
+      // A concurrent request inserted the same favorite first
+      if (error.code !== 11000) throw error;
+      created = false;
+    }
+
+    const updatedCar = created
+      ? await Car.findByIdAndUpdate(car._id, { $inc: { favoriteCount: 1 } }, { new: true })
+      : car;
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Car added to favorites' : 'Car is already in favorites',
+      data: {
+        isFavorited: true,
+        favoriteCount: updatedCar.favoriteCount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a car from the current user's favorites
+ * @route   DELETE /api/cars/:id/favorite
+ * @access  Private
+ */
+export const removeFavorite = async (req, res, next) => {
+  try {
+    const favorite = await Favorite.findOneAndDelete({ user: req.user._id, car: req.params.id });
+
+    if (!favorite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Car is not in favorites'
+      });
+    }
+
+    const car = await Car.findOneAndUpdate(
+      { _id: favorite.car, favoriteCount: { $gt: 0 } },
+      { $inc: { favoriteCount: -1 } },
+      { new: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Car removed from favorites',
+      data: {
+        isFavorited: false,
+        favoriteCount: car ? car.favoriteCount : 0
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user's favorite cars
+ * @route   GET /api/auth/me/favorites
+ * @access  Private
+ */
+export const getMyFavorites = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.validatedQuery || req.query;
+
+    // Calculate pagination
+    const skip = (Number(page) - 1) * Number(limit);
+
+    // Deleted and hidden listings drop out of the list; sold ones stay but are flagged
+    const visibleCar = Object.fromEntries(
+      Object.entries(publicListingFilter()).map(([field, condition]) => [`car.${field}`, condition])
+    );
+
+    const [result] = await Favorite.aggregate([
+      { $match: { user: req.user._id } },
+      { $sort: { createdAt: -1, _id: -1 } },
+      {
+        $lookup: {
+          from: Car.collection.name,
+          localField: 'car',
+          foreignField: '_id',
+          as: 'car'
+        }
+      },
+      { $unwind: '$car' },
+      { $match: visibleCar },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          favorites: [{ $skip: skip }, { $limit: Number(limit) }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+    const totalPages = Math.ceil(total / Number(limit));
+
+    const favorites = result.favorites.map(({ car, createdAt }) => ({
+      ...Car.hydrate(car).toJSON(),
+      isFavorited: true,
+      isSold: car.status === 'sold',
+      favoritedAt: createdAt
+    }));
+
+    res.status(200).json({
+      success: true,
+      count: favorites.length,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages,
+        hasNext: Number(page) < totalPages,
+        hasPrev: Number(page) > 1
+      },
+      data: favorites
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,99 @@
+import Notification from '../models/Notification.js';
+
+/**
+ * @desc    Get the current user's notifications
+ * @route   GET /api/notifications
+ * @access  Private
+ */
+export const getNotifications = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.validatedQuery || req.query;
+
+    const filter = { user: req.user._id };
+    if (unread === true) filter.readAt = null;
+
+    // Calculate pagination
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .select('-__v'),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: req.user._id, readAt: null })
+    ]);
+    const totalPages = Math.ceil(total / Number(limit));
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      unreadCount,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages,
+        hasNext: Number(page) < totalPages,
+        hasPrev: Number(page) > 1
+      },
+      data: notifications
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark a notification as read
+ * @route   POST /api/notifications/:id/read
+ * @access  Private
+ */
+export const markNotificationRead = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id }).select('-__v');
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification marked as read',
+      data: notification
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark all of the current user's notifications as read
+ * @route   POST /api/notifications/read-all
+ * @access  Private
+ */
+export const markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { updated: result.modifiedCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
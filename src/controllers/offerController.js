@@ -0,0 +1,455 @@
+import Offer, { OPEN_OFFER_STATUSES } from '../models/Offer.js';
+import Car from '../models/Car.js';
+import UserBlock from '../models/UserBlock.js';
+import { offerExpiry, notifyOffer, declineOpenOffers, expireOffer } from '../utils/offers.js';
+import { changeCarStatus, defaultReservationExpiry } from '../utils/carStatus.js';
+import { notifySafely } from '../utils/notifications.js';
+
+const populateOffer = (query) => query
+  .populate('car', 'make model year price images status')
+  .populate('buyer', 'username')
+  .populate('seller', 'username')
+  .select('-__v');
+
+/**
+ * Check that an offer is open, that it is the user's move and that it has not expired
+ * @param {Object} offer - Offer document with car populated
+ * @param {Object} user - User making the move
+ * @param {string} action - Move as shown in error messages, e.g. 'accept'
+ * @returns {Promise<string|null>} Error message, or null if the user may act
+ */
+const checkTurn = async (offer, user, action) => {
+  if (!offer.isOpen()) {
+    return `Cannot ${action} an offer that is ${offer.status}`;
+  }
+
+  if (offer.expiresAt <= new Date()) {
+    await expireOffer(offer);
+    return 'This offer has expired';
+  }
+
+  if (offer.awaiting !== offer.roleOf(user._id)) {
+    return `It is the ${offer.awaiting}'s turn to respond to this offer`;
+  }
+
+  return null;
+};
+
+/**
+ * Record a move on an offer if it is still in the state the move was checked against
+ * @param {Object} offer - Offer document
+ * @param {Object} update - Fields to set
+ * @param {Object} event - History entry for the move
+ * @returns {Promise<Object|null>} Updated, populated offer, or null if the offer changed meanwhile
+ */
+const applyMove = (offer, update, event) => {
+  return populateOffer(Offer.findOneAndUpdate(
+    { _id: offer._id, status: offer.status },
+    { ...update, $push: { history: { ...event, at: new Date() } } },
+    { new: true, runValidators: true }
+  ));
+};
+
+const offerChangedResponse = (res) => res.status(400).json({
+  success: false,
+  message: 'The offer changed while processing the request; reload and try again'
+});
+
+// Once either party blocks the other the negotiation can only be ended
+const blockedResponse = (res) => res.status(403).json({
+  success: false,
+  message: 'You cannot negotiate with this user; the offer can only be withdrawn or rejected'
+});
+
+/**
+ * @desc    Make an offer below the asking price of a car
+ * @route   POST /api/cars/:id/offers
+ * @access  Private
+ */
+export const createOffer = async (req, res, next) => {
+  try {
+    const car = await Car.findById(req.params.id);
+
+    if (!car || !car.isPublic()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Car not found'
+      });
+    }
+
+    if (!car.owner) {
+      return res.status(400).json({
+        success: false,
+        message: 'This listing does not accept offers'
+      });
+    }
+
+    if (car.owner.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot make an offer on your own car'
+      });
+    }
+
+    if (car.status !== 'available') {
+      return res.status(400).json({
+        success: false,
+        message: `This car is ${car.status} and not taking offers`
+      });
+    }
+
+    const { amount, message } = req.body;
+    if (amount >= car.price) {
+      return res.status(400).json({
+        success: false,
+        message: 'Offer must be below the asking price'
+      });
+    }
+
+    if (await UserBlock.existsBetween(req.user._id, car.owner)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot make an offer to this seller'
+      });
+    }
+
+    const existing = await Offer.exists({
+      car: car._id,
+      buyer: req.user._id,
+      status: { $in: OPEN_OFFER_STATUSES }
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have an open offer on this car; counter or withdraw it instead'
+      });
+    }
+
+    const created = await Offer.create({
+      car: car._id,
+      buyer: req.user._id,
+      seller: car.owner,
+      amount,
+      expiresAt: offerExpiry(),
+      history: [{ action: 'offer', by: req.user._id, amount, message }]
+    });
+
+    await notifySafely(notifyOffer, car.owner, created, car, 'New offer');
+    const offer = await populateOffer(Offer.findById(created._id));
+
+    res.status(201).json({
+      success: true,
+      message: 'Offer sent',
+      data: offer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the offers on a car, newest first
+ * @route   GET /api/cars/:id/offers
+ * @access  Private (owner or admin)
+ */
+export const getCarOffers = async (req, res, next) => {
+  try {
+    const { status } = req.validatedQuery || req.query;
+
+    const filter = { car: req.resource._id };
+    if (status) filter.status = status;
+
+    const offers = await populateOffer(Offer.find(filter).sort({ createdAt: -1, _id: -1 }));
+
+    res.status(200).json({
+      success: true,
+      count: offers.length,
+      data: offers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user's offers as buyer and seller
+ * @route   GET /api/offers
+ * @access  Private
+ */
+export const getOffers = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, role, status } = req.validatedQuery || req.query;
+
+    const roles = role ? [role] : ['buyer', 'seller'];
+    const filter = { $or: roles.map(side => ({ [side]: req.user._id })) };
+    if (status) filter.status = status;
+
+    // Calculate pagination
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [offers, total] = await Promise.all([
+      populateOffer(
+        Offer.find(filter)
+          .sort({ updatedAt: -1, _id: -1 })
+          .skip(skip)
+          .limit(Number(limit))
+      ),
+      Offer.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / Number(limit));
+
+    res.status(200).json({
+      success: true,
+      count: offers.length,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages,
+        hasNext: Number(page) < totalPages,
+        hasPrev: Number(page) > 1
+      },
+      data: offers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get an offer with its negotiation history
+ * @route   GET /api/offers/:id
+ * @access  Private (participants)
+ */
+export const getOffer = async (req, res, next) => {
+  try {
+    const offer = await populateOffer(Offer.findById(req.resource._id));
+
+    res.status(200).json({
+      success: true,
+      data: offer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accept the amount on the table; reserves the car and declines the other open offers
+ * @route   POST /api/offers/:id/accept
+ * @access  Private (seller on pending offers, buyer on counter-offers)
+ */
+export const acceptOffer = async (req, res, next) => {
+  try {
+    const offer = await populateOffer(Offer.findById(req.resource._id));
+
+    const error = await checkTurn(offer, req.user, 'accept');
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (await UserBlock.existsBetween(offer.buyer._id, offer.seller._id)) {
+      return blockedResponse(res);
+    }
+
+    const car = await Car.findById(offer.car._id);
+    if (!car || !car.isPublic() || car.status !== 'available') {
+      return res.status(400).json({
+        success: false,
+        message: 'This car is no longer available'
+      });
+    }
+
+    const accepted = await applyMove(offer, { status: 'accepted' }, {
+      action: 'accept',
+      by: req.user._id,
+      amount: offer.amount,
+      message: req.body?.message
+    });
+    if (!accepted) return offerChangedResponse(res);
+
+    const reserved = await changeCarStatus(car, 'reserve', {
+      user: req.user,
+      req,
+      reason: 'Offer accepted',
+      expiresAt: defaultReservationExpiry()
+    });
+
+    // The car was reserved or sold meanwhile; put the offer back as it was
+    if (!reserved) {
+      await Offer.updateOne(
+        { _id: offer._id, status: 'accepted' },
+        { status: offer.status, $pop: { history: 1 } }
+      );
+      return res.status(400).json({
+        success: false,
+        message: 'This car is no longer available'
+      });
+    }
+
+    await declineOpenOffers(car, { reason: 'another offer was accepted', except: offer._id });
+
+    const otherParty = offer.roleOf(req.user._id) === 'buyer' ? offer.seller._id : offer.buyer._id;
+    await notifySafely(notifyOffer, otherParty, accepted, accepted.car, 'Offer accepted');
+
+    res.status(200).json({
+      success: true,
+      message: 'Offer accepted and car reserved',
+      data: accepted
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reject a buyer's offer
+ * @route   POST /api/offers/:id/reject
+ * @access  Private (seller)
+ */
+export const rejectOffer = async (req, res, next) => {
+  try {
+    const offer = await populateOffer(Offer.findById(req.resource._id));
+
+    if (offer.roleOf(req.user._id) !== 'seller') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only the seller can reject an offer; withdraw it instead'
+      });
+    }
+
+    const error = await checkTurn(offer, req.user, 'reject');
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const rejected = await applyMove(offer, { status: 'rejected' }, {
+      action: 'reject',
+      by: req.user._id,
+      message: req.body?.message
+    });
+    if (!rejected) return offerChangedResponse(res);
+
+    await notifySafely(notifyOffer, offer.buyer._id, rejected, rejected.car, 'Offer rejected');
+
+    res.status(200).json({
+      success: true,
+      message: 'Offer rejected',
+      data: rejected
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Counter the amount on the table; the other party then responds
+ * @route   POST /api/offers/:id/counter
+ * @access  Private (participant whose turn it is)
+ */
+export const counterOffer = async (req, res, next) => {
+  try {
+    const offer = await populateOffer(Offer.findById(req.resource._id));
+
+    const error = await checkTurn(offer, req.user, 'counter');
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (await UserBlock.existsBetween(offer.buyer._id, offer.seller._id)) {
+      return blockedResponse(res);
+    }
+
+    const { amount, message } = req.body;
+
+    if (amount === offer.amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Counter-offer must change the amount; accept the offer instead'
+      });
+    }
+
+    if (amount > offer.car.price) {
+      return res.status(400).json({
+        success: false,
+        message: 'Counter-offer cannot exceed the asking price'
+      });
+    }
+
+    const role = offer.roleOf(req.user._id);
+    const countered = await applyMove(offer, {
+      amount,
+      // Seller counters wait for the buyer and buyer counters for the seller
+      status: role === 'seller' ? 'countered' : 'pending',
+      expiresAt: offerExpiry()
+    }, {
+      action: 'counter',
+      by: req.user._id,
+      amount,
+      message
+    });
+    if (!countered) return offerChangedResponse(res);
+
+    const otherParty = role === 'buyer' ? offer.seller._id : offer.buyer._id;
+    await notifySafely(notifyOffer, otherParty, countered, countered.car, 'Counter-offer');
+
+    res.status(200).json({
+      success: true,
+      message: 'Counter-offer sent',
+      data: countered
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Withdraw an open offer
+ * @route   POST /api/offers/:id/withdraw
+ * @access  Private (buyer)
+ */
+export const withdrawOffer = async (req, res, next) => {
+  try {
+    const offer = await populateOffer(Offer.findById(req.resource._id));
+
+    if (offer.roleOf(req.user._id) !== 'buyer') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only the buyer can withdraw an offer; reject it instead'
+      });
+    }
+
+    if (!offer.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot withdraw an offer that is ${offer.status}`
+      });
+    }
+
+    const withdrawn = await applyMove(offer, { status: 'withdrawn' }, {
+      action: 'withdraw',
+      by: req.user._id,
+      message: req.body?.message
+    });
+    if (!withdrawn) return offerChangedResponse(res);
+
+    await notifySafely(notifyOffer, offer.seller._id, withdrawn, withdrawn.car, 'Offer withdrawn');
+
+    res.status(200).json({
+      success: true,
+      message: 'Offer withdrawn',
+      data: withdrawn
+    });
+  } catch (error) {
+    next(error);
+  }
+};
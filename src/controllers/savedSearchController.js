@@ -0,0 +1,241 @@
+import SavedSearch, { MAX_SAVED_SEARCHES } from '../models/SavedSearch.js';
+import SearchAlert from '../models/SearchAlert.js';
+import { publicListingFilter } from '../models/Car.js';
+
+/**
+ * Count the alerts of a saved search that arrived since it was last viewed
+ * @param {Object} search - Saved search document
+ * @returns {Promise<number>} New alert count
+ */
+const countNewAlerts = (search) => SearchAlert.countDocuments({
+  savedSearch: search._id,
+  matchedAt: { $gt: search.lastViewedAt }
+});
+
+/**
+ * Check whether the user already has another saved search with this name
+ * @param {Object} user - Authenticated user
+ * @param {string} name - Saved search name
+ * @param {Object} [excludeId] - Saved search being renamed
+ * @returns {Promise<boolean>} True if the name is taken
+ */
+const nameTaken = async (user, name, excludeId) => Boolean(await SavedSearch.exists({
+  user: user._id,
+  name,
+  ...(excludeId ? { _id: { $ne: excludeId } } : {})
+}));
+
+/**
+ * @desc    Save a car search
+ * @route   POST /api/saved-searches
+ * @access  Private
+ */
+export const createSavedSearch = async (req, res, next) => {
+  try {
+    const { name, query, alertsEnabled } = req.body;
+
+    if (await SavedSearch.countDocuments({ user: req.user._id }) >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        message: `You cannot have more than ${MAX_SAVED_SEARCHES} saved searches`
+      });
+    }
+
+    if (await nameTaken(req.user, name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a saved search with this name'
+      });
+    }
+
+    const search = await SavedSearch.create({
+      user: req.user._id,
+      name,
+      query,
+      alertsEnabled
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved successfully',
+      data: { ...search.toJSON(), newCount: 0 }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user's saved searches
+ * @route   GET /api/saved-searches
+ * @access  Private
+ */
+export const getSavedSearches = async (req, res, next) => {
+  try {
+    const searches = await SavedSearch.find({ user: req.user._id })
+      .sort('-createdAt')
+      .select('-__v');
+
+    const newCounts = await Promise.all(searches.map(countNewAlerts));
+
+    res.status(200).json({
+      success: true,
+      count: searches.length,
+      data: searches.map((search, index) => ({ ...search.toJSON(), newCount: newCounts[index] }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a saved search
+ * @route   GET /api/saved-searches/:id
+ * @access  Private
+ */
+export const getSavedSearch = async (req, res, next) => {
+  try {
+    const search = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id }).select('-__v');
+
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { ...search.toJSON(), newCount: await countNewAlerts(search) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a saved search
+ * @route   PUT /api/saved-searches/:id
+ * @access  Private
+ */
+export const updateSavedSearch = async (req, res, next) => {
+  try {
+    const search = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id }).select('-__v');
+
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    const { name, query, alertsEnabled } = req.body;
+
+    if (name !== undefined && await nameTaken(req.user, name, search._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a saved search with this name'
+      });
+    }
+
+    if (name !== undefined) search.name = name;
+    if (alertsEnabled !== undefined) search.alertsEnabled = alertsEnabled;
+    if (query !== undefined) {
+      search.query = query;
+      // Earlier alerts were matched against the old filters
+      await SearchAlert.deleteMany({ savedSearch: search._id });
+    }
+
+    await search.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search updated successfully',
+      data: { ...search.toJSON(), newCount: await countNewAlerts(search) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a saved search and its alerts
+ * @route   DELETE /api/saved-searches/:id
+ * @access  Private
+ */
+export const deleteSavedSearch = async (req, res, next) => {
+  try {
+    const search = await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    await SearchAlert.deleteMany({ savedSearch: search._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the alerts of a saved search and mark them as viewed
+ * @route   GET /api/saved-searches/:id/alerts
+ * @access  Private
+ */
+export const getSearchAlerts = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.validatedQuery || req.query;
+
+    const search = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    // Calculate pagination
+    const skip = (Number(page) - 1) * Number(limit);
+    const previousView = search.lastViewedAt;
+
+    const [alerts, total] = await Promise.all([
+      SearchAlert.find({ savedSearch: search._id })
+        .sort({ matchedAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        // Listings that were removed or hidden since they matched come back as null
+        .populate({ path: 'car', match: publicListingFilter(), select: '-__v' })
+        .select('-__v'),
+      SearchAlert.countDocuments({ savedSearch: search._id })
+    ]);
+    const totalPages = Math.ceil(total / Number(limit));
+
+    search.lastViewedAt = new Date();
+    await search.save();
+
+    res.status(200).json({
+      success: true,
+      count: alerts.length,
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        totalPages,
+        hasNext: Number(page) < totalPages,
+        hasPrev: Number(page) > 1
+      },
+      data: alerts.map(alert => ({ ...alert.toJSON(), isNew: alert.matchedAt > previousView }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,161 @@
+import User from '../models/User.js';
+import UserBlock from '../models/UserBlock.js';
+import UserReport from '../models/UserReport.js';
+import Conversation from '../models/Conversation.js';
+
+/**
+ * Load the user identified by req.params.id, rejecting unknown users and the current user
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} action - What the user is trying to do, for the error message
+ * @returns {Promise<Object|null>} Target user, or null once an error response was sent
+ */
+const findOtherUser = async (req, res, action) => {
+  const user = await User.findById(req.params.id).select('username');
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (user._id.equals(req.user._id)) {
+    res.status(400).json({
+      success: false,
+      message: `You cannot ${action} yourself`
+    });
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * @desc    Block a user from messaging the current user
+ * @route   POST /api/users/:id/block
+ * @access  Private
+ */
+export const blockUser = async (req, res, next) => {
+  try {
+    const user = await findOtherUser(req, res, 'block');
+    if (!user) return;
+
+    // Upsert so blocking twice is harmless
+    let created;
+    try {
+      const result = await UserBlock.updateOne(
+        { blocker: req.user._id, blocked: user._id },
+        { $setOnInsert: { blocker: req.user._id, blocked: user._id } },
+        { upsert: true }
+      );
+      created = result.upsertedCount > 0;
+    } catch (error) {
+      // A concurrent request blocked the same user first
+      if (error.code !== 11000) throw error;
+      created = false;
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'User blocked' : 'User is already blocked',
+      data: { user, isBlocked: true }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Unblock a user
+ * @route   DELETE /api/users/:id/block
+ * @access  Private
+ */
+export const unblockUser = async (req, res, next) => {
+  try {
+    const block = await UserBlock.findOneAndDelete({ blocker: req.user._id, blocked: req.params.id });
+
+    if (!block) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not blocked'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User unblocked',
+      data: { isBlocked: false }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the users the current user has blocked
+ * @route   GET /api/users/blocked
+ * @access  Private
+ */
+export const getBlockedUsers = async (req, res, next) => {
+  try {
+    const blocks = await UserBlock.find({ blocker: req.user._id })
+      .sort({ createdAt: -1 })
+      .populate('blocked', 'username');
+
+    res.status(200).json({
+      success: true,
+      count: blocks.length,
+      data: blocks.map(block => ({
+        user: block.blocked,
+        blockedAt: block.createdAt
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Report a user to the admins
+ * @route   POST /api/users/:id/report
+ * @access  Private
+ */
+export const reportUser = async (req, res, next) => {
+  try {
+    const user = await findOtherUser(req, res, 'report');
+    if (!user) return;
+
+    const { reason, details, conversation: conversationId } = req.body;
+
+    // A conversation attached as evidence must be between the reporter and the reported user
+    if (conversationId) {
+      const conversation = await Conversation.findById(conversationId);
+      const role = conversation && conversation.roleOf(req.user._id);
+
+      if (!role || !conversation.otherParticipant(req.user._id).equals(user._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Conversation is not between you and this user'
+        });
+      }
+    }
+
+    const report = await UserReport.create({
+      reporter: req.user._id,
+      reportedUser: user._id,
+      conversation: conversationId,
+      reason,
+      details
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Report submitted',
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
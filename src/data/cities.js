@@ -0,0 +1,80 @@
+/**
+ * Offline city gazetteer used to geocode listings that have no coordinates.
+ * Coordinates are city centres in decimal degrees; aliases cover former or common alternate names.
+ */
+const cities = [
+  { city: 'Mumbai', state: 'Maharashtra', lat: 19.0760, lng: 72.8777, aliases: ['Bombay'] },
+  { city: 'Delhi', state: 'Delhi', lat: 28.7041, lng: 77.1025 },
+  { city: 'New Delhi', state: 'Delhi', lat: 28.6139, lng: 77.2090 },
+  { city: 'Bengaluru', state: 'Karnataka', lat: 12.9716, lng: 77.5946, aliases: ['Bangalore'] },
+  { city: 'Hyderabad', state: 'Telangana', lat: 17.3850, lng: 78.4867 },
+  { city: 'Ahmedabad', state: 'Gujarat', lat: 23.0225, lng: 72.5714 },
+  { city: 'Chennai', state: 'Tamil Nadu', lat: 13.0827, lng: 80.2707, aliases: ['Madras'] },
+  { city: 'Kolkata', state: 'West Bengal', lat: 22.5726, lng: 88.3639, aliases: ['Calcutta'] },
+  { city: 'Pune', state: 'Maharashtra', lat: 18.5204, lng: 73.8567 },
+  { city: 'Jaipur', state: 'Rajasthan', lat: 26.9124, lng: 75.7873 },
+  { city: 'Surat', state: 'Gujarat', lat: 21.1702, lng: 72.8311 },
+  { city: 'Lucknow', state: 'Uttar Pradesh', lat: 26.8467, lng: 80.9462 },
+  { city: 'Kanpur', state: 'Uttar Pradesh', lat: 26.4499, lng: 80.3319 },
+  { city: 'Nagpur', state: 'Maharashtra', lat: 21.1458, lng: 79.0882 },
+  { city: 'Indore', state: 'Madhya Pradesh', lat: 22.7196, lng: 75.8577 },
+  { city: 'Thane', state: 'Maharashtra', lat: 19.2183, lng: 72.9781 },
+  { city: 'Navi Mumbai', state: 'Maharashtra', lat: 19.0330, lng: 73.0297 },
+  { city: 'Bhopal', state: 'Madhya Pradesh', lat: 23.2599, lng: 77.4126 },
+  { city: 'Visakhapatnam', state: 'Andhra Pradesh', lat: 17.6868, lng: 83.2185, aliases: ['Vizag'] },
+  { city: 'Patna', state: 'Bihar', lat: 25.5941, lng: 85.1376 },
+  { city: 'Vadodara', state: 'Gujarat', lat: 22.3072, lng: 73.1812, aliases: ['Baroda'] },
+  { city: 'Ghaziabad', state: 'Uttar Pradesh', lat: 28.6692, lng: 77.4538 },
+  { city: 'Ludhiana', state: 'Punjab', lat: 30.9010, lng: 75.8573 },
+  { city: 'Agra', state: 'Uttar Pradesh', lat: 27.1767, lng: 78.0081 },
+  { city: 'Nashik', state: 'Maharashtra', lat: 19.9975, lng: 73.7898 },
+  { city: 'Faridabad', state: 'Haryana', lat: 28.4089, lng: 77.3178 },
+  { city: 'Gurugram', state: 'Haryana', lat: 28.4595, lng: 77.0266, aliases: ['Gurgaon'] },
+  { city: 'Noida', state: 'Uttar Pradesh', lat: 28.5355, lng: 77.3910 },
+  { city: 'Meerut', state: 'Uttar Pradesh', lat: 28.9845, lng: 77.7064 },
+  { city: 'Rajkot', state: 'Gujarat', lat: 22.3039, lng: 70.8022 },
+  { city: 'Varanasi', state: 'Uttar Pradesh', lat: 25.3176, lng: 82.9739, aliases: ['Benares'] },
+  { city: 'Prayagraj', state: 'Uttar Pradesh', lat: 25.4358, lng: 81.8463, aliases: ['Allahabad'] },
+  { city: 'Srinagar', state: 'Jammu and Kashmir', lat: 34.0837, lng: 74.7973 },
+  { city: 'Jammu', state: 'Jammu and Kashmir', lat: 32.7266, lng: 74.8570 },
+  { city: 'Aurangabad', state: 'Maharashtra', lat: 19.8762, lng: 75.3433, aliases: ['Chhatrapati Sambhajinagar'] },
+  { city: 'Amritsar', state: 'Punjab', lat: 31.6340, lng: 74.8723 },
+  { city: 'Jalandhar', state: 'Punjab', lat: 31.3260, lng: 75.5762 },
+  { city: 'Ranchi', state: 'Jharkhand', lat: 23.3441, lng: 85.3096 },
+  { city: 'Jamshedpur', state: 'Jharkhand', lat: 22.8046, lng: 86.2029 },
+  { city: 'Dhanbad', state: 'Jharkhand', lat: 23.7957, lng: 86.4304 },
+  { city: 'Coimbatore', state: 'Tamil Nadu', lat: 11.0168, lng: 76.9558 },
+  { city: 'Madurai', state: 'Tamil Nadu', lat: 9.9252, lng: 78.1198 },
+  { city: 'Tiruchirappalli', state: 'Tamil Nadu', lat: 10.7905, lng: 78.7047, aliases: ['Trichy'] },
+  { city: 'Salem', state: 'Tamil Nadu', lat: 11.6643, lng: 78.1460 },
+  { city: 'Jabalpur', state: 'Madhya Pradesh', lat: 23.1815, lng: 79.9864 },
+  { city: 'Gwalior', state: 'Madhya Pradesh', lat: 26.2183, lng: 78.1828 },
+  { city: 'Vijayawada', state: 'Andhra Pradesh', lat: 16.5062, lng: 80.6480 },
+  { city: 'Jodhpur', state: 'Rajasthan', lat: 26.2389, lng: 73.0243 },
+  { city: 'Kota', state: 'Rajasthan', lat: 25.2138, lng: 75.8648 },
+  { city: 'Udaipur', state: 'Rajasthan', lat: 24.5854, lng: 73.7125 },
+  { city: 'Raipur', state: 'Chhattisgarh', lat: 21.2514, lng: 81.6296 },
+  { city: 'Guwahati', state: 'Assam', lat: 26.1445, lng: 91.7362 },
+  { city: 'Chandigarh', state: 'Chandigarh', lat: 30.7333, lng: 76.7794 },
+  { city: 'Mysuru', state: 'Karnataka', lat: 12.2958, lng: 76.6394, aliases: ['Mysore'] },
+  { city: 'Mangaluru', state: 'Karnataka', lat: 12.9141, lng: 74.8560, aliases: ['Mangalore'] },
+  { city: 'Hubballi', state: 'Karnataka', lat: 15.3647, lng: 75.1240, aliases: ['Hubli'] },
+  { city: 'Thiruvananthapuram', state: 'Kerala', lat: 8.5241, lng: 76.9366, aliases: ['Trivandrum'] },
+  { city: 'Kochi', state: 'Kerala', lat: 9.9312, lng: 76.2673, aliases: ['Cochin'] },
+  { city: 'Kozhikode', state: 'Kerala', lat: 11.2588, lng: 75.7804, aliases: ['Calicut'] },
+  { city: 'Bhubaneswar', state: 'Odisha', lat: 20.2961, lng: 85.8245 },
+  { city: 'Cuttack', state: 'Odisha', lat: 20.4625, lng: 85.8830 },
+  { city: 'Dehradun', state: 'Uttarakhand', lat: 30.3165, lng: 78.0322 },
+  { city: 'Shimla', state: 'Himachal Pradesh', lat: 31.1048, lng: 77.1734 },
+  { city: 'Panaji', state: 'Goa', lat: 15.4909, lng: 73.8278, aliases: ['Panjim'] },
+  { city: 'Warangal', state: 'Telangana', lat: 17.9689, lng: 79.5941 },
+  { city: 'Puducherry', state: 'Puducherry', lat: 11.9416, lng: 79.8083, aliases: ['Pondicherry'] },
+  { city: 'Siliguri', state: 'West Bengal', lat: 26.7271, lng: 88.3953 },
+  { city: 'Gandhinagar', state: 'Gujarat', lat: 23.2156, lng: 72.6369 },
+  { city: 'Bareilly', state: 'Uttar Pradesh', lat: 28.3670, lng: 79.4304 },
+  { city: 'Aligarh', state: 'Uttar Pradesh', lat: 27.8974, lng: 78.0880 },
+  { city: 'Kolhapur', state: 'Maharashtra', lat: 16.7050, lng: 74.2433 },
+  { city: 'Solapur', state: 'Maharashtra', lat: 17.6599, lng: 75.9064 }
+];
+
+export default cities;
@@ -1,5 +1,27 @@
 import { verifyToken, extractTokenFromHeader } from '../utils/jwt.js';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+
+// Only record session activity once per minute to avoid a write per request
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Find the live session an access token belongs to
+ * @param {Object} decoded - Decoded access token payload
+ * @returns {Promise<Object|null>} Session, or null if missing, revoked or expired
+ */
+const findActiveSession = async (decoded) => {
+  if (!decoded.sid) return null;
+
+  const session = await Session.findOne({ _id: decoded.sid, user: decoded.id });
+  if (!session || !session.isValid()) return null;
+
+  if (Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+    await Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() });
+  }
+
+  return session;
+};
 
 /**
  * Authentication middleware
@@ -17,8 +39,17 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = verifyToken(token);
+    // Verify token (refresh tokens are not accepted as Bearer tokens)
+    const decoded = verifyToken(token, 'access');
+
+    // Check that the session has not been logged out or revoked
+    const session = await findActiveSession(decoded);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. Session has expired or been revoked.'
+      });
+    }
 
     // Check if user still exists and is active
     const user = await User.findById(decoded.id).select('-password');
@@ -29,8 +60,9 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
-    // Attach user to request
+    // Attach user and session to request
     req.user = user;
+    req.sessionId = session._id;
     next();
   } catch (error) {
     return res.status(401).json({
@@ -64,6 +96,103 @@ export const authorize = (...roles) => {
   };
 };
 
+/**
+ * Email verification middleware
+ * Requires a verified email unless REQUIRE_EMAIL_VERIFICATION is set to 'false'
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'false' || req.user.emailVerified) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'Please verify your email address before publishing listings.'
+  });
+};
+
+/**
+ * Ownership middleware
+ * Loads the resource identified by req.params.id and lets its owner through;
+ * anyone else must pass authorize() with one of the given roles.
+ * Soft-deleted resources are only left to admins
+ */
+export const authorizeOwner = (Model, ...roles) => {
+  const authorizeRoles = authorize(...roles);
+
+  return async (req, res, next) => {
+    try {
+      const resource = await Model.findById(req.params.id);
+
+      if (!resource || (resource.isActive === false && req.user.role !== 'admin')) {
+        return res.status(404).json({
+          success: false,
+          message: `${Model.modelName} not found`
+        });
+      }
+
+      // Attach resource to request so controllers don't load it twice
+      req.resource = resource;
+
+      if (resource.owner && resource.owner.equals(req.user._id)) {
+        return next();
+      }
+
+      authorizeRoles(req, res, next);
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Sold listing middleware
+ * Runs after authorizeOwner; once a car is sold only admins can edit the listing
+ */
+export const lockSoldListing = (req, res, next) => {
+  if (req.resource.status === 'sold' && req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Sold listings can only be edited by an admin. Relist the car to edit it.'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Participant middleware
+ * Loads the resource identified by req.params.id and only lets through users
+ * referenced by one of the given fields (e.g. both sides of a conversation)
+ */
+export const authorizeParticipant = (Model, ...fields) => {
+  return async (req, res, next) => {
+    try {
+      const resource = await Model.findById(req.params.id);
+
+      if (!resource) {
+        return res.status(404).json({
+          success: false,
+          message: `${Model.modelName} not found`
+        });
+      }
+
+      if (!fields.some(field => resource[field] && resource[field].equals(req.user._id))) {
+        return res.status(403).json({
+          success: false,
+          message: `Access denied. You are not a participant in this ${Model.modelName.toLowerCase()}.`
+        });
+      }
+
+      // Attach resource to request so controllers don't load it twice
+      req.resource = resource;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 /**
  * Optional authentication middleware
  * Attaches user to request if token is provided, but doesn't require it
@@ -74,11 +203,13 @@ export const optionalAuth = async (req, res, next) => {
     const token = extractTokenFromHeader(authHeader);
 
     if (token) {
-      const decoded = verifyToken(token);
-      const user = await User.findById(decoded.id).select('-password');
-      
+      const decoded = verifyToken(token, 'access');
+      const session = await findActiveSession(decoded);
+      const user = session && await User.findById(decoded.id).select('-password');
+
       if (user && user.isActive) {
         req.user = user;
+        req.sessionId = session._id;
       }
     }
 
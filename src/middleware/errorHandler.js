@@ -1,3 +1,6 @@
+import { MAX_IMAGE_SIZE_MB, MAX_IMPORT_SIZE_MB } from './upload.js';
+import { MAX_CAR_IMAGES } from '../models/Car.js';
+
 /**
  * Global error handling middleware
  */
@@ -67,6 +70,21 @@ export const errorHandler = (err, req, res, next) => {
     };
   }
 
+  // File upload errors
+  if (err.name === 'MulterError') {
+    const messages = {
+      LIMIT_FILE_SIZE: err.field === 'file'
+        ? `CSV file cannot exceed ${MAX_IMPORT_SIZE_MB} MB`
+        : `Image cannot exceed ${MAX_IMAGE_SIZE_MB} MB`,
+      LIMIT_FILE_COUNT: `Cannot upload more than ${MAX_CAR_IMAGES} images`,
+      LIMIT_UNEXPECTED_FILE: `Unexpected file field: ${err.field}`
+    };
+    error = {
+      message: messages[err.code] || err.message,
+      statusCode: 400
+    };
+  }
+
   // Rate limit error
   if (err.status === 429) {
     const message = 'Too many requests, please try again later';
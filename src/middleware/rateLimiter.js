@@ -0,0 +1,54 @@
+import 'dotenv/config'; // limiter options are read at import time, before server.js loads .env
+import rateLimit from 'express-rate-limit';
+import { verifyToken } from '../utils/jwt.js';
+
+/**
+ * Login rate limiter
+ * Throttles attempts per email and IP pair, on top of the global IP limiter
+ */
+export const loginLimiter = rateLimit({
+  windowMs: parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 10, // limit each email + IP to 10 attempts per windowMs
+  keyGenerator: (req) => `${req.ip}:${String(req.body?.email || '').trim().toLowerCase()}`,
+  skipSuccessfulRequests: true,
+  message: {
+    success: false,
+    message: 'Too many login attempts for this account from your IP, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Read the user a two-factor challenge token was issued to
+ * @param {Object} req - Express request
+ * @returns {string|null} User ID, or null when the token is missing or invalid
+ */
+const challengeUserId = (req) => {
+  try {
+    return verifyToken(req.body?.challengeToken, '2fa_challenge').id;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Two-factor verification rate limiter
+ * Throttles code guesses per account whatever the IP, so spreading them over addresses gains nothing
+ */
+export const twoFactorLimiter = rateLimit({
+  windowMs: parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 10, // limit each account to 10 attempts per windowMs
+  // Invalid challenge tokens are rejected anyway; they are counted per IP
+  keyGenerator: (req) => {
+    const userId = challengeUserId(req);
+    return userId ? `user:${userId}` : `ip:${req.ip}`;
+  },
+  skipSuccessfulRequests: true,
+  message: {
+    success: false,
+    message: 'Too many two-factor attempts for this account, please log in again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
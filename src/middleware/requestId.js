@@ -0,0 +1,16 @@
+import crypto from 'crypto';
+
+// Incoming IDs are kept only if they are short and free of unusual characters
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Request ID middleware
+ * Reuses the caller's X-Request-Id (e.g. from a proxy) or generates one, and echoes it in the response
+ */
+export const requestId = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
@@ -0,0 +1,34 @@
+import 'dotenv/config'; // upload limits are read at import time, before server.js loads .env
+import multer from 'multer';
+import { MAX_CAR_IMAGES } from '../models/Car.js';
+
+// Largest accepted image, in megabytes
+export const MAX_IMAGE_SIZE_MB = parseInt(process.env.MAX_IMAGE_SIZE_MB) || 5;
+
+/**
+ * Listing image upload
+ * Buffers up to MAX_CAR_IMAGES files from the multipart "images" field in memory,
+ * so their content can be checked before anything is written to storage
+ */
+export const uploadCarImages = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_SIZE_MB * 1024 * 1024,
+    files: MAX_CAR_IMAGES
+  }
+}).array('images', MAX_CAR_IMAGES);
+
+// Largest accepted CSV import file, in megabytes
+export const MAX_IMPORT_SIZE_MB = parseInt(process.env.MAX_IMPORT_SIZE_MB) || 5;
+
+/**
+ * Listing import upload
+ * Buffers the CSV file from the multipart "file" field in memory
+ */
+export const uploadImportFile = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMPORT_SIZE_MB * 1024 * 1024,
+    files: 1
+  }
+}).single('file');
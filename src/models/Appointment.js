@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+import { formatLocalTime } from '../utils/timezone.js';
+
+// Appointments still holding their time slot
+export const ACTIVE_APPOINTMENT_STATUSES = ['pending', 'accepted'];
+
+/**
+ * A test drive or viewing booked by a buyer with the owner of a listing.
+ * Whoever proposed the current time (requestedBy) waits for the other side to accept it.
+ */
+const appointmentSchema = new mongoose.Schema({
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: [true, 'Appointment car is required']
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Appointment buyer is required']
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Appointment seller is required']
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Start time is required']
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'End time is required']
+  },
+  // Listing time zone when the appointment was booked, for showing local times
+  timezone: {
+    type: String,
+    required: [true, 'Time zone is required']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'accepted', 'declined', 'cancelled'],
+      message: 'Status must be one of: pending, accepted, declined, cancelled'
+    },
+    default: 'pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Requesting user is required']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  respondedAt: {
+    type: Date
+  },
+  // Set when declined or cancelled; null cancelledBy means the system cancelled it
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelReason: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Reason cannot exceed 300 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+appointmentSchema.index({ seller: 1, status: 1, startTime: 1 });
+appointmentSchema.index({ buyer: 1, startTime: -1 });
+appointmentSchema.index({ car: 1, status: 1 });
+
+// Virtuals for the start and end as wall-clock time in the listing's time zone
+appointmentSchema.virtual('localStartTime').get(function() {
+  return this.startTime && this.timezone ? formatLocalTime(this.startTime, this.timezone) : undefined;
+});
+
+appointmentSchema.virtual('localEndTime').get(function() {
+  return this.endTime && this.timezone ? formatLocalTime(this.endTime, this.timezone) : undefined;
+});
+
+// Instance method to get a user's side of the appointment
+appointmentSchema.methods.roleOf = function(userId) {
+  if (this.buyer._id.equals(userId)) return 'buyer';
+  if (this.seller._id.equals(userId)) return 'seller';
+  return null;
+};
+
+// Instance method to get the participant who has to answer the current proposal
+appointmentSchema.methods.awaitingResponseFrom = function() {
+  return this.requestedBy.equals(this.buyer._id) ? this.seller._id : this.buyer._id;
+};
+
+const Appointment = mongoose.model('Appointment', appointmentSchema);
+
+export default Appointment;
@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+
+// Recorded actions: car mutations and sensitive account events
+export const AUDIT_ACTIONS = [
+  'car.create',
+  'car.update',
+  'car.revert',
+  'car.delete',
+  'car.image_upload',
+  'car.image_delete',
+  'car.image_reorder',
+  'car.cover_image',
+  'car.availability',
+  'car.status_change',
+  'car.approve',
+  'car.reject',
+  'auth.login',
+  'auth.login_failed',
+  'auth.password_change',
+  'auth.password_reset',
+  'auth.two_factor_enable',
+  'auth.two_factor_disable',
+  'user.role_change',
+  'user.status_change',
+  'user.password_reset_forced',
+  'user.unlock',
+  'user.trusted_change'
+];
+
+export const AUDIT_TARGET_TYPES = ['Car', 'User'];
+
+// One changed field; paths of nested fields are dotted, e.g. location.city
+const auditChangeSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, { _id: false });
+
+/**
+ * One audited action. Entries are append-only: they can be created but never changed or removed
+ */
+const auditLogSchema = new mongoose.Schema({
+  // Null when the system acted, e.g. an expired reservation, or for failed logins of unknown accounts
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  action: {
+    type: String,
+    required: [true, 'Audit action is required'],
+    enum: AUDIT_ACTIONS
+  },
+  target: {
+    type: {
+      type: String,
+      required: [true, 'Audit target type is required'],
+      enum: AUDIT_TARGET_TYPES
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'target.type'
+    }
+  },
+  changes: {
+    type: [auditChangeSchema],
+    default: []
+  },
+  // Extra context that is not a field change, e.g. a rejection reason
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  requestId: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+/**
+ * Reject any attempt to change or remove audit entries
+ */
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be changed or removed'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  rejectChange
+);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
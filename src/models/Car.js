@@ -1,4 +1,56 @@
 import mongoose from 'mongoose';
+import { DEFAULT_TIMEZONE, isValidTimeZone } from '../utils/timezone.js';
+
+// Most images a listing can have
+export const MAX_CAR_IMAGES = 10;
+
+// 24-hour 'HH:mm' time of day
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const imageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  alt: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Alt text cannot exceed 200 characters']
+  },
+  // Storage key of uploaded images; externally hosted images have none
+  key: {
+    type: String
+  }
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.key;
+      return ret;
+    }
+  }
+});
+
+// Weekly time window in which the seller can show the car, in the listing's time zone
+const availabilityWindowSchema = new mongoose.Schema({
+  // 0 = Sunday ... 6 = Saturday
+  day: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  start: {
+    type: String,
+    required: true,
+    match: [TIME_OF_DAY, 'Start must be a time of day (HH:mm)']
+  },
+  end: {
+    type: String,
+    required: true,
+    match: [TIME_OF_DAY, 'End must be a time of day (HH:mm)']
+  }
+}, { _id: false });
 
 const carSchema = new mongoose.Schema({
   make: {
@@ -28,6 +80,14 @@ const carSchema = new mongoose.Schema({
     min: [0, 'Price must be positive'],
     max: [10000000, 'Price cannot exceed 10 million']
   },
+  // Price before the most recent price change (full timeline in PriceHistory)
+  previousPrice: {
+    type: Number,
+    min: [0, 'Price must be positive']
+  },
+  priceChangedAt: {
+    type: Date
+  },
   mileage: {
     type: Number,
     required: [true, 'Mileage is required'],
@@ -77,18 +137,14 @@ const carSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Feature cannot exceed 100 characters']
   }],
-  images: [{
-    url: {
-      type: String,
-      required: true,
-      trim: true
-    },
-    alt: {
-      type: String,
-      trim: true,
-      maxlength: [200, 'Alt text cannot exceed 200 characters']
+  // The first image is the listing's cover image
+  images: {
+    type: [imageSchema],
+    validate: {
+      validator: (images) => images.length <= MAX_CAR_IMAGES,
+      message: `Cannot have more than ${MAX_CAR_IMAGES} images`
     }
-  }],
+  },
   location: {
     city: {
       type: String,
@@ -108,6 +164,22 @@ const carSchema = new mongoose.Schema({
       trim: true,
       maxlength: [50, 'Country cannot exceed 50 characters'],
       default: 'India'
+    },
+    // GeoJSON point ([lng, lat]) used for radius search
+    geo: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined,
+        validate: {
+          validator: (value) => !value || (value.length === 2 &&
+            value[0] >= -180 && value[0] <= 180 && value[1] >= -90 && value[1] <= 90),
+          message: 'Coordinates must be [longitude, latitude]'
+        }
+      }
     }
   },
   seller: {
@@ -130,6 +202,10 @@ const carSchema = new mongoose.Schema({
       match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email']
     }
   },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   status: {
     type: String,
     enum: {
@@ -138,14 +214,88 @@ const carSchema = new mongoose.Schema({
     },
     default: 'available'
   },
+  // Status only changes through the transitions in utils/carStatus.js (history in StatusHistory)
+  statusChangedAt: {
+    type: Date
+  },
+  // Set while the car is reserved; the reservation is released automatically at expiresAt
+  reservation: {
+    expiresAt: {
+      type: Date
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Reason cannot exceed 300 characters']
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Review state, separate from the sale status
+  moderation: {
+    status: {
+      type: String,
+      enum: {
+        values: ['pending', 'approved', 'rejected'],
+        message: 'Moderation status must be one of: pending, approved, rejected'
+      },
+      default: 'approved'
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Rejection reason cannot exceed 500 characters']
+    },
+    // When the listing last entered the review queue; the queue is ordered by it
+    submittedAt: {
+      type: Date
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: {
+      type: Date
+    }
+  },
+  // False while the owner's account is deactivated; hides the listing without deleting it
+  ownerActive: {
+    type: Boolean,
+    default: true
+  },
+  // When buyers can book test drives; no windows means the seller doesn't take bookings
+  availability: {
+    timezone: {
+      type: String,
+      default: DEFAULT_TIMEZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Time zone must be an IANA time zone such as Asia/Kolkata'
+      }
+    },
+    slotMinutes: {
+      type: Number,
+      default: 30,
+      min: [15, 'Appointments must be at least 15 minutes'],
+      max: [240, 'Appointments cannot exceed 240 minutes']
+    },
+    windows: {
+      type: [availabilityWindowSchema],
+      default: []
+    }
+  },
   viewCount: {
     type: Number,
     default: 0,
     min: 0
+  },
+  // Number of users who saved the listing, kept in step with the Favorite collection
+  favoriteCount: {
+    type: Number,
+    default: 0,
+    min: 0
   }
 }, {
   timestamps: true,
@@ -162,12 +312,53 @@ carSchema.index({ bodyType: 1 });
 carSchema.index({ 'location.city': 1 });
 carSchema.index({ status: 1, isActive: 1 });
 carSchema.index({ createdAt: -1 });
+carSchema.index({ owner: 1, isActive: 1 });
+// Moderation queue, oldest submission first
+carSchema.index({ 'moderation.status': 1, 'moderation.submittedAt': 1 });
+carSchema.index({ 'location.geo': '2dsphere' });
+carSchema.index({ status: 1, 'reservation.expiresAt': 1 });
+// Weighted full-text index for the q search parameter (a collection can only have one)
+carSchema.index(
+  { make: 'text', model: 'text', features: 'text', color: 'text', description: 'text' },
+  {
+    name: 'car_text_search',
+    weights: { make: 10, model: 10, features: 4, color: 3, description: 2 }
+  }
+);
+
+// Fields that send an edited listing back to the moderation queue
+export const MODERATED_FIELDS = ['price', 'images', 'description'];
+
+// Filter for listings the public may see; listings created before moderation have no status
+export const publicListingFilter = () => ({
+  isActive: true,
+  ownerActive: { $ne: false },
+  'moderation.status': { $in: ['approved', null] }
+});
+
+// Instance method to check whether the public may see the listing (matches publicListingFilter)
+carSchema.methods.isPublic = function() {
+  return this.isActive && this.ownerActive !== false &&
+    (!this.moderation?.status || this.moderation.status === 'approved');
+};
 
 // Virtual for car title
 carSchema.virtual('title').get(function() {
   return `${this.year} ${this.make} ${this.model}`;
 });
 
+// Virtual for the most recent price drop, null if the last change was not a drop
+carSchema.virtual('priceDrop').get(function() {
+  if (!this.previousPrice || this.previousPrice <= this.price) return null;
+
+  const amount = this.previousPrice - this.price;
+  return {
+    previousPrice: this.previousPrice,
+    amount,
+    percent: Math.round((amount / this.previousPrice) * 1000) / 10
+  };
+});
+
 // Virtual for formatted price
 carSchema.virtual('formattedPrice').get(function() {
   return new Intl.NumberFormat('en-IN', {
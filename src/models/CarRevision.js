@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+// Listing fields kept in each revision: everything the owner edits with PUT /api/cars/:id except the status
+export const REVISION_FIELDS = [
+  'make',
+  'model',
+  'year',
+  'price',
+  'mileage',
+  'fuelType',
+  'transmission',
+  'bodyType',
+  'color',
+  'description',
+  'features',
+  'images',
+  'location',
+  'seller'
+];
+
+/**
+ * One saved version of a car listing's editable fields
+ */
+const carRevisionSchema = new mongoose.Schema({
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: [true, 'Revision car is required']
+  },
+  // Numbered from 1 per car
+  revision: {
+    type: Number,
+    required: [true, 'Revision number is required'],
+    min: 1
+  },
+  // captured: the listing as it was before an edit, when it had changed outside of edits
+  // (image uploads, or a listing created before revisions were kept)
+  type: {
+    type: String,
+    required: true,
+    enum: ['created', 'edited', 'reverted', 'captured']
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Null for captured revisions, whose author is not known
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Revision that a revert restored
+  revertedFrom: {
+    type: Number
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// Indexes
+carRevisionSchema.index({ car: 1, revision: -1 }, { unique: true });
+
+const CarRevision = mongoose.model('CarRevision', carRevisionSchema);
+
+export default CarRevision;
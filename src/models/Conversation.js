@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+/**
+ * A message thread between a buyer and the owner of a car listing.
+ * Each side keeps its own read position and unread count.
+ */
+const conversationSchema = new mongoose.Schema({
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: [true, 'Conversation car is required']
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Conversation buyer is required']
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Conversation seller is required']
+  },
+  lastMessage: {
+    body: {
+      type: String,
+      maxlength: [200, 'Message preview cannot exceed 200 characters']
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    sentAt: {
+      type: Date
+    }
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Messages sent up to these times have been read by that side (read receipts)
+  buyerLastReadAt: {
+    type: Date,
+    default: null
+  },
+  sellerLastReadAt: {
+    type: Date,
+    default: null
+  },
+  buyerUnread: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sellerUnread: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+// One thread per buyer and car
+conversationSchema.index({ car: 1, buyer: 1 }, { unique: true });
+conversationSchema.index({ buyer: 1, lastMessageAt: -1 });
+conversationSchema.index({ seller: 1, lastMessageAt: -1 });
+
+// Instance method to get a user's side of the conversation (works with populated participants)
+conversationSchema.methods.roleOf = function(userId) {
+  if (this.buyer._id.equals(userId)) return 'buyer';
+  if (this.seller._id.equals(userId)) return 'seller';
+  return null;
+};
+
+// Instance method to get the participant on the other side from the given user
+conversationSchema.methods.otherParticipant = function(userId) {
+  return this.roleOf(userId) === 'buyer' ? this.seller : this.buyer;
+};
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+export default Conversation;
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+/**
+ * A car saved to a buyer's favorites (watchlist)
+ */
+const favoriteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Favorite user is required']
+  },
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: [true, 'Favorite car is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+// A car can only be favorited once per user; also serves the user's favorites list
+favoriteSchema.index({ user: 1, car: 1 }, { unique: true });
+favoriteSchema.index({ user: 1, createdAt: -1 });
+
+const Favorite = mongoose.model('Favorite', favoriteSchema);
+
+export default Favorite;
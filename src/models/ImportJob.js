@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+// Outcome of one CSV data row
+const importRowSchema = new mongoose.Schema({
+  // Line of the file the row starts on; the header is line 1
+  line: {
+    type: Number,
+    required: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  // Created listing; none for dry runs and failed rows
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car'
+  },
+  // Why the row was not imported
+  issues: {
+    type: [{
+      _id: false,
+      field: String,
+      message: String
+    }],
+    default: undefined
+  }
+}, { _id: false });
+
+/**
+ * A bulk CSV import of car listings, processed row by row after the upload is accepted
+ */
+const importJobSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Import owner is required']
+  },
+  fileName: {
+    type: String,
+    trim: true
+  },
+  // Dry runs validate every row without creating listings
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+  totalRows: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  processedRows: {
+    type: Number,
+    default: 0
+  },
+  succeeded: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  rows: {
+    type: [importRowSchema],
+    default: []
+  },
+  // Why the job stopped early, when status is failed
+  error: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+importJobSchema.index({ owner: 1, createdAt: -1 });
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+export default ImportJob;
@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+
+// Offers still under negotiation: pending waits for the seller, countered for the buyer
+export const OPEN_OFFER_STATUSES = ['pending', 'countered'];
+
+// One move in the negotiation; by is null for system moves such as expiry
+const offerEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: ['offer', 'counter', 'accept', 'reject', 'withdraw', 'decline', 'expire']
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  amount: {
+    type: Number
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * A buyer's offer on a car and the negotiation that follows it
+ */
+const offerSchema = new mongoose.Schema({
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: [true, 'Offer car is required']
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Offer buyer is required']
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Offer seller is required']
+  },
+  // Amount currently on the table (the latest offer or counter-offer)
+  amount: {
+    type: Number,
+    required: [true, 'Offer amount is required'],
+    min: [1, 'Offer amount must be positive'],
+    max: [10000000, 'Offer amount cannot exceed 10 million']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'countered', 'accepted', 'rejected', 'withdrawn', 'declined', 'expired'],
+      message: 'Status must be one of: pending, countered, accepted, rejected, withdrawn, declined, expired'
+    },
+    default: 'pending'
+  },
+  // The open offer lapses unless the other party responds by then
+  expiresAt: {
+    type: Date,
+    required: [true, 'Offer expiry is required']
+  },
+  history: {
+    type: [offerEventSchema],
+    default: []
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+offerSchema.index({ car: 1, status: 1 });
+offerSchema.index({ buyer: 1, createdAt: -1 });
+offerSchema.index({ seller: 1, createdAt: -1 });
+offerSchema.index({ status: 1, expiresAt: 1 });
+
+// Virtual for whose move it is in an open negotiation
+offerSchema.virtual('awaiting').get(function() {
+  if (this.status === 'pending') return 'seller';
+  if (this.status === 'countered') return 'buyer';
+  return null;
+});
+
+// Instance method to check whether the offer is still under negotiation
+offerSchema.methods.isOpen = function() {
+  return OPEN_OFFER_STATUSES.includes(this.status);
+};
+
+// Instance method to get a user's side of the offer (works with populated participants)
+offerSchema.methods.roleOf = function(userId) {
+  if (this.buyer._id.equals(userId)) return 'buyer';
+  if (this.seller._id.equals(userId)) return 'seller';
+  return null;
+};
+
+const Offer = mongoose.model('Offer', offerSchema);
+
+export default Offer;
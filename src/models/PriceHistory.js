@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+/**
+ * One price of a car listing: the price it was listed at, then every change
+ */
+const priceHistorySchema = new mongoose.Schema({
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: [true, 'Price history car is required']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0, 'Price must be positive']
+  },
+  // Null for the initial listing price
+  previousPrice: {
+    type: Number,
+    default: null
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // When followers were told about this price drop
+  notifiedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: 'changedAt', updatedAt: false }
+});
+
+// Indexes
+priceHistorySchema.index({ car: 1, changedAt: 1 });
+
+const PriceHistory = mongoose.model('PriceHistory', priceHistorySchema);
+
+export default PriceHistory;
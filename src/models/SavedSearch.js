@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// Most saved searches a user can keep
+export const MAX_SAVED_SEARCHES = 20;
+
+/**
+ * A named GET /api/cars query that a user can re-run and get alerts for
+ */
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Saved search user is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Saved search name is required'],
+    trim: true,
+    maxlength: [100, 'Saved search name cannot exceed 100 characters']
+  },
+  // Filter and sort parameters validated with carQuerySchema (no pagination)
+  query: {
+    type: Object,
+    default: {}
+  },
+  alertsEnabled: {
+    type: Boolean,
+    default: true
+  },
+  // Alerts matched after this time count as new
+  lastViewedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Indexes
+savedSearchSchema.index({ user: 1, name: 1 }, { unique: true });
+savedSearchSchema.index({ alertsEnabled: 1 });
+
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+export default SavedSearch;
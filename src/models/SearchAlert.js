@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+/**
+ * In-app alert that a listing matched a saved search
+ */
+const searchAlertSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Alert user is required']
+  },
+  savedSearch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedSearch',
+    required: [true, 'Saved search is required']
+  },
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: [true, 'Alert car is required']
+  },
+  // Last time the car (re)appeared as a match, e.g. when it was relisted
+  matchedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+// One alert per car and search; a repeat match refreshes matchedAt
+searchAlertSchema.index({ savedSearch: 1, car: 1 }, { unique: true });
+searchAlertSchema.index({ savedSearch: 1, matchedAt: -1 });
+
+const SearchAlert = mongoose.model('SearchAlert', searchAlertSchema);
+
+export default SearchAlert;
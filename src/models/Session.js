@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Refresh tokens (and therefore sessions) live for 7 days after their last use
+export const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * A session is one refresh-token family: it starts at login and every
+ * refresh rotates its current token ID. Presenting a token ID that is no
+ * longer current means the token was replayed, and the whole family is revoked.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Session user is required']
+  },
+  tokenId: {
+    type: String,
+    required: [true, 'Token ID is required']
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: {
+      values: ['reuse', 'inactive', 'logout', 'logout_all', 'password_change', 'password_reset', 'admin'],
+      message: 'Invalid revocation reason'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB remove sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to create a random refresh token ID
+sessionSchema.statics.generateTokenId = function() {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+// Static method to revoke every live session of a user ("log out everywhere")
+sessionSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Instance method to check whether the session can still be used
+sessionSchema.methods.isValid = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Instance method to revoke the whole token family
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
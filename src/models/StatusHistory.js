@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+const CAR_STATUSES = ['available', 'sold', 'reserved'];
+
+/**
+ * One change of a car listing's sale status
+ */
+const statusHistorySchema = new mongoose.Schema({
+  car: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Car',
+    required: [true, 'Status history car is required']
+  },
+  from: {
+    type: String,
+    required: [true, 'Previous status is required'],
+    enum: CAR_STATUSES
+  },
+  to: {
+    type: String,
+    required: [true, 'New status is required'],
+    enum: CAR_STATUSES
+  },
+  // Null when the system made the change, e.g. an expired reservation
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Reason cannot exceed 300 characters']
+  },
+  // When a reservation made by this change runs out
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: { createdAt: 'changedAt', updatedAt: false }
+});
+
+// Indexes
+statusHistorySchema.index({ car: 1, changedAt: 1 });
+
+const StatusHistory = mongoose.model('StatusHistory', statusHistorySchema);
+
+export default StatusHistory;
@@ -1,5 +1,13 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+
+/**
+ * Hash a one-time token so only its digest is stored in the database
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -54,8 +62,65 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  trustedSeller: {
+    type: Boolean,
+    default: false
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerificationSentAt: {
+    type: Date,
+    select: false
+  },
   lastLogin: {
     type: Date
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true,
@@ -63,6 +128,16 @@ const userSchema = new mongoose.Schema({
     virtuals: true,
     transform: function(doc, ret) {
       delete ret.password;
+      delete ret.passwordResetToken;
+      delete ret.passwordResetExpires;
+      delete ret.emailVerificationToken;
+      delete ret.emailVerificationExpires;
+      delete ret.emailVerificationSentAt;
+      delete ret.failedLoginAttempts;
+      delete ret.lastFailedLoginAt;
+      delete ret.twoFactorSecret;
+      delete ret.twoFactorLastStep;
+      delete ret.twoFactorRecoveryCodes;
       return ret;
     }
   },
@@ -73,6 +148,8 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -82,6 +159,11 @@ userSchema.virtual('fullName').get(function() {
   return this.username;
 });
 
+// Virtual for temporary lockout after too many failed logins
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+});
+
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified (or is new)
@@ -112,6 +194,112 @@ userSchema.methods.updateLastLogin = function() {
   return this.save({ validateBeforeSave: false });
 };
 
+// Login throttling settings
+const loginSettings = () => ({
+  delayAfter: parseInt(process.env.LOGIN_DELAY_AFTER_ATTEMPTS) || 3,
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10,
+  lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 15
+});
+
+// Instance method to get how many seconds must pass before the next login attempt
+// Doubles with every failure past the threshold, capped at one minute
+userSchema.methods.getLoginDelay = function() {
+  const { delayAfter } = loginSettings();
+  const lockExpired = this.lockUntil && this.lockUntil <= new Date();
+
+  if (lockExpired || !this.lastFailedLoginAt || this.failedLoginAttempts < delayAfter) {
+    return 0;
+  }
+
+  const delaySeconds = Math.min(2 ** (this.failedLoginAttempts - delayAfter), 60);
+  const elapsedSeconds = (Date.now() - this.lastFailedLoginAt.getTime()) / 1000;
+
+  return Math.max(0, Math.ceil(delaySeconds - elapsedSeconds));
+};
+
+// Instance method to record a failed login, locking the account once the limit is reached
+// Returns true when this attempt caused the lock
+userSchema.methods.registerFailedLogin = async function() {
+  const { maxAttempts, lockMinutes } = loginSettings();
+  const now = new Date();
+
+  // A fresh count starts once a previous lock has run out
+  const lockExpired = this.lockUntil && this.lockUntil <= now;
+  const update = lockExpired
+    ? { $set: { failedLoginAttempts: 1, lastFailedLoginAt: now }, $unset: { lockUntil: 1 } }
+    : { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } };
+
+  const updated = await this.constructor.findByIdAndUpdate(this._id, update, { new: true })
+    .select('+failedLoginAttempts +lockUntil');
+
+  this.failedLoginAttempts = updated.failedLoginAttempts;
+  this.lastFailedLoginAt = now;
+  this.lockUntil = updated.lockUntil;
+
+  if (updated.failedLoginAttempts >= maxAttempts && !updated.lockUntil) {
+    this.lockUntil = new Date(now.getTime() + lockMinutes * 60 * 1000);
+    await this.constructor.updateOne({ _id: this._id }, { lockUntil: this.lockUntil });
+    return true;
+  }
+
+  return false;
+};
+
+// Instance method to clear failed login tracking (saved by the caller)
+userSchema.methods.resetFailedLogins = function() {
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = undefined;
+  this.lockUntil = undefined;
+};
+
+// Instance method to create one-time 2FA recovery codes
+// Only hashes are stored; the raw codes are returned to show the user once
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  this.twoFactorRecoveryCodes = codes.map(code => hashToken(code));
+  return codes;
+};
+
+// Instance method to consume a 2FA recovery code (saved by the caller)
+userSchema.methods.useRecoveryCode = function(code) {
+  const hashed = hashToken(code.trim().toLowerCase());
+  const index = (this.twoFactorRecoveryCodes || []).indexOf(hashed);
+
+  if (index === -1) return false;
+
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Instance method to create a single-use password reset token
+// Only the hash is stored; the raw token is returned to be emailed
+userSchema.methods.createPasswordResetToken = function() {
+  const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return token;
+};
+
+// Instance method to create an email verification token
+// Only the hash is stored; the raw token is returned to be emailed
+userSchema.methods.createEmailVerificationToken = function() {
+  const expiresInHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+  this.emailVerificationSentAt = new Date();
+
+  return token;
+};
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
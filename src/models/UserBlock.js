@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+/**
+ * One user blocking another; blocked pairs cannot message each other
+ */
+const userBlockSchema = new mongoose.Schema({
+  blocker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Blocking user is required']
+  },
+  blocked: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Blocked user is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+userBlockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+userBlockSchema.index({ blocked: 1 });
+
+// Static method to check whether either user has blocked the other
+userBlockSchema.statics.existsBetween = async function(userId, otherUserId) {
+  return Boolean(await this.exists({
+    $or: [
+      { blocker: userId, blocked: otherUserId },
+      { blocker: otherUserId, blocked: userId }
+    ]
+  }));
+};
+
+const UserBlock = mongoose.model('UserBlock', userBlockSchema);
+
+export default UserBlock;
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+/**
+ * A report about a user's behaviour, reviewed by admins
+ */
+const userReportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Reporter is required']
+  },
+  reportedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Reported user is required']
+  },
+  // Conversation the report is about, if any
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+  reason: {
+    type: String,
+    required: [true, 'Report reason is required'],
+    enum: {
+      values: ['spam', 'scam', 'harassment', 'inappropriate', 'other'],
+      message: 'Reason must be one of: spam, scam, harassment, inappropriate, other'
+    }
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Report details cannot exceed 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['open', 'reviewed', 'dismissed'],
+      message: 'Status must be one of: open, reviewed, dismissed'
+    },
+    default: 'open'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+userReportSchema.index({ status: 1, createdAt: 1 });
+userReportSchema.index({ reportedUser: 1 });
+
+const UserReport = mongoose.model('UserReport', userReportSchema);
+
+export default UserReport;
@@ -0,0 +1,565 @@
+import express from 'express';
+import {
+  getUsers,
+  getUser,
+  updateUserRole,
+  updateUserStatus,
+  forcePasswordReset,
+  unlockUser,
+  updateUserTrusted,
+  getPendingListings,
+  approveListing,
+  rejectListing,
+  getReports,
+  updateReportStatus,
+  getAuditLog
+} from '../controllers/adminController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import {
+  validateRequest,
+  validateQuery,
+  adminUserQuerySchema,
+  userRoleSchema,
+  userStatusSchema,
+  userTrustedSchema,
+  moderationQueueQuerySchema,
+  rejectListingSchema,
+  reportQueueQuerySchema,
+  reportStatusSchema,
+  auditQuerySchema
+} from '../utils/validation.js';
+
+const router = express.Router();
+
+// Every admin route requires an authenticated admin
+router.use(authenticate, authorize('admin'));
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: List users with search and pagination
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of users per page
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt, username, -username, lastLogin, -lastLogin]
+ *           default: -createdAt
+ *         description: Sort order
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search username, email and name
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, admin]
+ *         description: Filter by role
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by account status
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 pagination:
+ *                   type: object
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/users', validateQuery(adminUserQuerySchema), getUsers);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}:
+ *   get:
+ *     summary: Get a user with their listings
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/users/:id', getUser);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/role:
+ *   put:
+ *     summary: Change a user's role
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, admin]
+ *     responses:
+ *       200:
+ *         description: User role updated successfully
+ *       400:
+ *         description: Validation error or changing own role
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.put('/users/:id/role', validateRequest(userRoleSchema), updateUserRole);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/status:
+ *   put:
+ *     summary: Activate or deactivate a user
+ *     description: Deactivating logs the user out everywhere and hides their listings.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isActive
+ *             properties:
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: User status updated successfully
+ *       400:
+ *         description: Validation error or changing own status
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.put('/users/:id/status', validateRequest(userStatusSchema), updateUserStatus);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/force-password-reset:
+ *   post:
+ *     summary: Force a user to reset their password
+ *     description: Invalidates the current password, logs the user out everywhere and emails a reset link.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Password reset enforced
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.post('/users/:id/force-password-reset', forcePasswordReset);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock a user account locked after failed logins
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User account unlocked successfully
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.post('/users/:id/unlock', unlockUser);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/trusted:
+ *   put:
+ *     summary: Mark a user as a trusted seller
+ *     description: Listings from trusted sellers are published without moderation.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - trustedSeller
+ *             properties:
+ *               trustedSeller:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Trusted seller status updated
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.put('/users/:id/trusted', validateRequest(userTrustedSchema), updateUserTrusted);
+
+/**
+ * @swagger
+ * /api/admin/listings/pending:
+ *   get:
+ *     summary: Get listings waiting for moderation, oldest first
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of listings per page
+ *     responses:
+ *       200:
+ *         description: Pending listings retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/listings/pending', validateQuery(moderationQueueQuerySchema), getPendingListings);
+
+/**
+ * @swagger
+ * /api/admin/listings/{id}/approve:
+ *   post:
+ *     summary: Approve a listing
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Car ID
+ *     responses:
+ *       200:
+ *         description: Listing approved
+ *       404:
+ *         description: Car not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.post('/listings/:id/approve', approveListing);
+
+/**
+ * @swagger
+ * /api/admin/listings/{id}/reject:
+ *   post:
+ *     summary: Reject a listing
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Car ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Listing rejected
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Car not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.post('/listings/:id/reject', validateRequest(rejectListingSchema), rejectListing);
+
+/**
+ * @swagger
+ * /api/admin/reports:
+ *   get:
+ *     summary: Get user reports, oldest first
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, reviewed, dismissed]
+ *           default: open
+ *         description: Report status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of reports per page
+ *     responses:
+ *       200:
+ *         description: Reports retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/reports', validateQuery(reportQueueQuerySchema), getReports);
+
+/**
+ * @swagger
+ * /api/admin/reports/{id}:
+ *   put:
+ *     summary: Mark a user report as reviewed or dismissed
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [reviewed, dismissed]
+ *     responses:
+ *       200:
+ *         description: Report updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Report not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.put('/reports/:id', validateRequest(reportStatusSchema), updateReportStatus);
+
+/**
+ * @swagger
+ * /api/admin/audit:
+ *   get:
+ *     summary: Search the audit log of listing changes and sensitive account events, newest first
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: ID of the user who acted
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [car, user]
+ *         description: Kind of record acted on
+ *       - in: query
+ *         name: target
+ *         schema:
+ *           type: string
+ *         description: ID of the car or user acted on
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           example: car.update
+ *         description: Audited action, e.g. car.update, auth.login_failed or user.role_change
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only entries at or before this time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: Number of entries per page
+ *     responses:
+ *       200:
+ *         description: Audit entries with actor, action, target, field changes, IP and request ID
+ *       400:
+ *         description: Query validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/audit', validateQuery(auditQuerySchema), getAuditLog);
+
+export default router;
@@ -0,0 +1,299 @@
+import express from 'express';
+import {
+  getAppointments,
+  getAppointment,
+  acceptAppointment,
+  declineAppointment,
+  rescheduleAppointment,
+  cancelAppointment
+} from '../controllers/appointmentController.js';
+import { authenticate, authorizeParticipant } from '../middleware/auth.js';
+import Appointment from '../models/Appointment.js';
+import {
+  validateRequest,
+  validateQuery,
+  appointmentQuerySchema,
+  appointmentRescheduleSchema,
+  appointmentReasonSchema
+} from '../utils/validation.js';
+
+const router = express.Router();
+
+// Appointments are only visible to their buyer and seller
+router.use(authenticate);
+const participantsOnly = authorizeParticipant(Appointment, 'buyer', 'seller');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AvailabilityWindow:
+ *       type: object
+ *       required:
+ *         - day
+ *         - start
+ *         - end
+ *       properties:
+ *         day:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 6
+ *           description: Day of the week, 0 = Sunday
+ *         start:
+ *           type: string
+ *           example: '10:00'
+ *           description: Local start time (HH:mm)
+ *         end:
+ *           type: string
+ *           example: '18:00'
+ *           description: Local end time (HH:mm)
+ *     Appointment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         car:
+ *           type: object
+ *           description: Summary of the car
+ *         buyer:
+ *           type: object
+ *         seller:
+ *           type: object
+ *         startTime:
+ *           type: string
+ *           format: date-time
+ *         endTime:
+ *           type: string
+ *           format: date-time
+ *         timezone:
+ *           type: string
+ *           example: Asia/Kolkata
+ *         localStartTime:
+ *           type: string
+ *           example: '2026-10-20T10:00'
+ *           description: Start as wall-clock time in the listing's time zone
+ *         localEndTime:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, declined, cancelled]
+ *         requestedBy:
+ *           type: string
+ *           description: User who proposed the current time; the other participant accepts or declines it
+ *         note:
+ *           type: string
+ *         cancelledBy:
+ *           type: string
+ *           nullable: true
+ *           description: Null when the system cancelled the appointment (e.g. the car was sold)
+ *         cancelReason:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/appointments:
+ *   get:
+ *     summary: List the current user's appointments as buyer and seller
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [buyer, seller]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, declined, cancelled]
+ *       - in: query
+ *         name: upcoming
+ *         schema:
+ *           type: boolean
+ *         description: Only appointments that haven't started, soonest first (otherwise newest first)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Appointments retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', validateQuery(appointmentQuerySchema), getAppointments);
+
+/**
+ * @swagger
+ * /api/appointments/{id}:
+ *   get:
+ *     summary: Get an appointment
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Appointment retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a participant in the appointment
+ *       404:
+ *         description: Appointment not found
+ */
+router.get('/:id', participantsOnly, getAppointment);
+
+/**
+ * @swagger
+ * /api/appointments/{id}/accept:
+ *   post:
+ *     summary: Accept the proposed time of a pending appointment
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Appointment accepted
+ *       400:
+ *         description: Not pending, proposed by the current user, in the past, or the slot is already booked
+ *       403:
+ *         description: Not a participant in the appointment
+ *       404:
+ *         description: Appointment not found
+ */
+router.post('/:id/accept', participantsOnly, acceptAppointment);
+
+/**
+ * @swagger
+ * /api/appointments/{id}/decline:
+ *   post:
+ *     summary: Decline the proposed time of a pending appointment
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 300
+ *     responses:
+ *       200:
+ *         description: Appointment declined
+ *       400:
+ *         description: Not pending or proposed by the current user
+ *       403:
+ *         description: Not a participant in the appointment
+ *       404:
+ *         description: Appointment not found
+ */
+router.post('/:id/decline', participantsOnly, validateRequest(appointmentReasonSchema), declineAppointment);
+
+/**
+ * @swagger
+ * /api/appointments/{id}/reschedule:
+ *   post:
+ *     summary: Propose a new time; the appointment goes back to pending until the other participant accepts
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startTime
+ *             properties:
+ *               startTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: ISO 8601 date-time with a time zone offset
+ *     responses:
+ *       200:
+ *         description: New time proposed
+ *       400:
+ *         description: Validation error, appointment closed, or slot unavailable or booked
+ *       403:
+ *         description: Not a participant in the appointment
+ *       404:
+ *         description: Appointment not found
+ */
+router.post('/:id/reschedule', participantsOnly, validateRequest(appointmentRescheduleSchema), rescheduleAppointment);
+
+/**
+ * @swagger
+ * /api/appointments/{id}/cancel:
+ *   post:
+ *     summary: Cancel a pending or accepted appointment
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 300
+ *     responses:
+ *       200:
+ *         description: Appointment cancelled
+ *       400:
+ *         description: Appointment already declined or cancelled
+ *       403:
+ *         description: Not a participant in the appointment
+ *       404:
+ *         description: Appointment not found
+ */
+router.post('/:id/cancel', participantsOnly, validateRequest(appointmentReasonSchema), cancelAppointment);
+
+export default router;
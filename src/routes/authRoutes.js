@@ -2,12 +2,40 @@ import express from 'express';
 import {
   register,
   login,
+  refreshTokens,
   getMe,
   updateProfile,
-  changePassword
+  changePassword,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor
 } from '../controllers/authController.js';
+import { getMyFavorites } from '../controllers/favoriteController.js';
 import { authenticate } from '../middleware/auth.js';
-import { validateRequest, userRegistrationSchema, userLoginSchema } from '../utils/validation.js';
+import { loginLimiter, twoFactorLimiter } from '../middleware/rateLimiter.js';
+import {
+  validateRequest,
+  validateQuery,
+  userRegistrationSchema,
+  userLoginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  twoFactorCodeSchema,
+  twoFactorVerifySchema,
+  twoFactorDisableSchema,
+  favoritesQuerySchema
+} from '../utils/validation.js';
 
 const router = express.Router();
 
@@ -31,6 +59,15 @@ const router = express.Router();
  *         email:
  *           type: string
  *           description: User email
+ *         trustedSeller:
+ *           type: boolean
+ *           description: Listings skip moderation
+ *         emailVerified:
+ *           type: boolean
+ *           description: Whether the email address has been confirmed
+ *         twoFactorEnabled:
+ *           type: boolean
+ *           description: Whether login requires an authenticator code
  *         role:
  *           type: string
  *           enum: [user, admin]
@@ -144,15 +181,279 @@ router.post('/register', validateRequest(userRegistrationSchema), register);
  *             $ref: '#/components/schemas/LoginRequest'
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or a two-factor challenge (data.twoFactorRequired and data.challengeToken) when 2FA is enabled
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/AuthResponse'
  *       401:
  *         description: Invalid credentials
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many attempts, retry after the delay in the Retry-After header
+ */
+router.post('/login', loginLimiter, validateRequest(userLoginSchema), login);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access and refresh token
+ *     description: The refresh token is rotated on every use. Reusing an already rotated token revokes the whole session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
+ */
+router.post('/refresh', validateRequest(refreshTokenSchema), refreshTokens);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link
+ *     description: Always responds with success so the endpoint cannot be used to discover registered emails.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Validation error
+ */
+router.post('/forgot-password', validateRequest(forgotPasswordSchema), forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password with a single-use token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired reset token
+ */
+router.post('/reset-password', validateRequest(resetPasswordSchema), resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify email address
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired verification token
+ */
+router.post('/verify-email', validateRequest(verifyEmailSchema), verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/verify-email/resend:
+ *   post:
+ *     summary: Resend the email verification link
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email is already verified
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: Requested too soon after the previous email
+ */
+router.post('/verify-email/resend', authenticate, resendVerificationEmail);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor setup
+ *     description: Returns a TOTP secret and otpauth URI for an authenticator app. 2FA is not active until confirmed with /api/auth/2fa/enable.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                     otpauthUri:
+ *                       type: string
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/2fa/setup', authenticate, setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Enable two-factor authentication
+ *     description: Confirms a code from the authenticator app and returns one-time recovery codes.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid code, setup not started or already enabled
+ *       401:
+ *         description: Unauthorized
  */
-router.post('/login', validateRequest(userLoginSchema), login);
+router.post('/2fa/enable', authenticate, validateRequest(twoFactorCodeSchema), enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete a two-factor login
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Authenticator code
+ *               recoveryCode:
+ *                 type: string
+ *                 description: One-time recovery code, instead of code
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Invalid or expired challenge, or invalid code
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many attempts, retry after the delay in the Retry-After header
+ */
+router.post('/2fa/verify', twoFactorLimiter, validateRequest(twoFactorVerifySchema), verifyTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Invalid password or code, or 2FA not enabled
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/2fa/disable', authenticate, validateRequest(twoFactorDisableSchema), disableTwoFactor);
 
 /**
  * @swagger
@@ -182,6 +483,60 @@ router.post('/login', validateRequest(userLoginSchema), login);
  */
 router.get('/me', authenticate, getMe);
 
+/**
+ * @swagger
+ * /api/auth/me/favorites:
+ *   get:
+ *     summary: Get the current user's favorite cars
+ *     description: Newest favorites first. Deleted or hidden listings are left out; sold ones are kept with isSold set.
+ *     tags: [Favorites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Favorites retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 pagination:
+ *                   type: object
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Car'
+ *                       - type: object
+ *                         properties:
+ *                           isSold:
+ *                             type: boolean
+ *                           favoritedAt:
+ *                             type: string
+ *                             format: date-time
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me/favorites', authenticate, validateQuery(favoritesQuerySchema), getMyFavorites);
+
 /**
  * @swagger
  * /api/auth/profile:
@@ -238,7 +593,7 @@ router.put('/profile', authenticate, updateProfile);
  *                 type: string
  *     responses:
  *       200:
- *         description: Password changed successfully
+ *         description: Password changed successfully. All sessions are revoked and a new token pair is returned.
  *       400:
  *         description: Current password is incorrect
  *       401:
@@ -246,4 +601,105 @@ router.put('/profile', authenticate, updateProfile);
  */
 router.put('/password', authenticate, changePassword);
 
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout from the current session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', authenticate, logout);
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Logout from all sessions on every device
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout-all', authenticate, logoutAll);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       userAgent:
+ *                         type: string
+ *                       ip:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                       lastUsedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       current:
+ *                         type: boolean
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', authenticate, getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       404:
+ *         description: Session not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/sessions/:id', authenticate, revokeSession);
+
 export default router;
@@ -6,10 +6,63 @@ import {
   updateCar,
   deleteCar,
   getCarStats,
-  getMyCars
+  getCarFacets,
+  getMyCars,
+  exportCars,
+  exportMyCars,
+  getPriceHistory,
+  uploadCarImages,
+  deleteCarImage,
+  reorderCarImages,
+  setCoverImage,
+  getRevisions,
+  getRevision,
+  compareRevisions,
+  revertCar
 } from '../controllers/carController.js';
-import { authenticate, authorize } from '../middleware/auth.js';
-import { validateRequest, validateQuery, carValidationSchema, carQuerySchema } from '../utils/validation.js';
+import { addFavorite, removeFavorite } from '../controllers/favoriteController.js';
+import { createInquiry } from '../controllers/conversationController.js';
+import { setAvailability, getAvailability, requestAppointment } from '../controllers/appointmentController.js';
+import {
+  reserveCar,
+  releaseCar,
+  markCarSold,
+  relistCar,
+  getStatusHistory
+} from '../controllers/carStatusController.js';
+import { createOffer, getCarOffers } from '../controllers/offerController.js';
+import { importCars, getImportJobs, getImportJob } from '../controllers/carImportController.js';
+import {
+  authenticate,
+  authorizeOwner,
+  lockSoldListing,
+  requireVerifiedEmail,
+  optionalAuth
+} from '../middleware/auth.js';
+import { uploadCarImages as parseImageUpload, uploadImportFile } from '../middleware/upload.js';
+import Car from '../models/Car.js';
+import {
+  validateRequest,
+  validateQuery,
+  carValidationSchema,
+  carQuerySchema,
+  carFacetQuerySchema,
+  carImageUploadSchema,
+  carImageOrderSchema,
+  messageSchema,
+  carAvailabilitySchema,
+  appointmentRequestSchema,
+  carStatusReasonSchema,
+  carReserveSchema,
+  offerSchema,
+  carOfferQuerySchema,
+  carRevisionQuerySchema,
+  carRevisionDiffQuerySchema,
+  carImportSchema,
+  importJobQuerySchema,
+  carExportQuerySchema,
+  myCarExportQuerySchema
+} from '../utils/validation.js';
 
 const router = express.Router();
 
@@ -87,6 +140,18 @@ const router = express.Router();
  *               type: string
  *             country:
  *               type: string
+ *             geo:
+ *               type: object
+ *               description: GeoJSON point, set from coordinates or geocoded from the city
+ *               properties:
+ *                 type:
+ *                   type: string
+ *                   enum: [Point]
+ *                 coordinates:
+ *                   type: array
+ *                   description: "[longitude, latitude]"
+ *                   items:
+ *                     type: number
  *         seller:
  *           type: object
  *           properties:
@@ -96,9 +161,66 @@ const router = express.Router();
  *               type: string
  *             email:
  *               type: string
+ *         owner:
+ *           type: string
+ *           description: ID of the user who owns the listing
+ *         moderation:
+ *           type: object
+ *           description: Review state; only approved listings are public
+ *           properties:
+ *             status:
+ *               type: string
+ *               enum: [pending, approved, rejected]
+ *             reason:
+ *               type: string
+ *               description: Why the listing was rejected
+ *             submittedAt:
+ *               type: string
+ *               format: date-time
+ *               description: When the listing last entered the review queue
+ *             reviewedAt:
+ *               type: string
+ *               format: date-time
  *         status:
  *           type: string
  *           enum: [available, sold, reserved]
+ *           description: Sale status; changed with the reserve, release, mark-sold and relist endpoints
+ *         reservation:
+ *           type: object
+ *           description: Present while the car is reserved
+ *           properties:
+ *             expiresAt:
+ *               type: string
+ *               format: date-time
+ *               description: When the car becomes available again
+ *             reason:
+ *               type: string
+ *         previousPrice:
+ *           type: number
+ *           description: Price before the most recent price change
+ *         priceDrop:
+ *           type: object
+ *           nullable: true
+ *           description: Most recent price drop, null if the last change was not a drop
+ *           properties:
+ *             previousPrice:
+ *               type: number
+ *             amount:
+ *               type: number
+ *             percent:
+ *               type: number
+ *         favoriteCount:
+ *           type: number
+ *           description: Number of users who saved the listing
+ *         isFavorited:
+ *           type: boolean
+ *           description: Whether the authenticated caller saved the listing, only present when a token is sent
+ *         score:
+ *           type: number
+ *           description: Relevance score, only present when searching with q
+ *         distance:
+ *           type: number
+ *           description: Distance in km from lat/lng, only present when searching around a point
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -128,6 +250,94 @@ const router = express.Router();
  */
 router.get('/stats', getCarStats);
 
+/**
+ * @swagger
+ * /api/cars/facets:
+ *   get:
+ *     summary: Get filter counts for the current car search
+ *     description: Accepts the same filters as GET /api/cars. Each facet is counted with every active filter applied except its own, so other values of that facet stay selectable.
+ *     tags: [Cars]
+ *     parameters:
+ *       - in: query
+ *         name: priceBuckets
+ *         schema:
+ *           type: string
+ *           example: 0,500000,1000000
+ *         description: Comma-separated lower bounds of the price buckets; the last bucket is open-ended
+ *       - in: query
+ *         name: mileageBuckets
+ *         schema:
+ *           type: string
+ *           example: 0,20000,50000
+ *         description: Comma-separated lower bounds of the mileage buckets
+ *       - in: query
+ *         name: yearBuckets
+ *         schema:
+ *           type: string
+ *           example: 2000,2010,2020
+ *         description: Comma-separated lower bounds of the year buckets
+ *     responses:
+ *       200:
+ *         description: Facet counts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: number
+ *                     facets:
+ *                       type: object
+ *                       description: fuelType, transmission, bodyType, make and city as { value, count } lists; year, price and mileage as { min, max, count } buckets
+ */
+router.get('/facets', validateQuery(carFacetQuerySchema), getCarFacets);
+
+/**
+ * @swagger
+ * /api/cars/export:
+ *   get:
+ *     summary: Export every car matching a search as CSV or NDJSON
+ *     description: |
+ *       Takes the same filters and sort as GET /api/cars, without pagination; every matching listing is
+ *       streamed. Nested fields are flattened into dotted columns such as location.city.
+ *     tags: [Cars]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *         description: CSV with a header row, or newline-delimited JSON with one object per car
+ *       - in: query
+ *         name: columns
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Comma-separated columns, in output order (all by default): id, make, model, year, price, previousPrice,
+ *           mileage, fuelType, transmission, bodyType, color, description, features, images, location.city,
+ *           location.state, location.country, location.lat, location.lng, seller.name, seller.phone, seller.email,
+ *           status, moderation.status, viewCount, favoriteCount, distance, createdAt and updatedAt
+ *     responses:
+ *       200:
+ *         description: Listings streamed one per line; in CSV, features and image URLs are separated by |
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid filters, format or columns
+ */
+router.get('/export', validateQuery(carExportQuerySchema), exportCars);
+
 /**
  * @swagger
  * /api/cars/my-listings:
@@ -155,11 +365,206 @@ router.get('/stats', getCarStats);
  */
 router.get('/my-listings', authenticate, getMyCars);
 
+/**
+ * @swagger
+ * /api/cars/my-listings/export:
+ *   get:
+ *     summary: Export the current user's car listings as CSV or NDJSON
+ *     tags: [Cars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *         description: CSV with a header row, or newline-delimited JSON with one object per car
+ *       - in: query
+ *         name: columns
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Comma-separated columns, in output order (all by default): id, make, model, year, price, previousPrice,
+ *           mileage, fuelType, transmission, bodyType, color, description, features, images, location.city,
+ *           location.state, location.country, location.lat, location.lng, seller.name, seller.phone, seller.email,
+ *           status, moderation.status, viewCount, favoriteCount, distance, createdAt and updatedAt
+ *     responses:
+ *       200:
+ *         description: Listings streamed one per line; in CSV, features and image URLs are separated by |
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unknown format or columns
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/my-listings/export', authenticate, validateQuery(myCarExportQuerySchema), exportMyCars);
+
+/**
+ * @swagger
+ * /api/cars/import:
+ *   post:
+ *     summary: Import car listings from a CSV file
+ *     description: |
+ *       The first row names the columns (case-insensitive, in any order): make, model, year, price, mileage,
+ *       fuelType, transmission, bodyType, color, description, features, images, location.city, location.state,
+ *       location.country, location.lat, location.lng, seller.name and seller.phone. features and images hold
+ *       several values separated by |, images being image URLs. Each row is validated like POST /api/cars and
+ *       listings are created for the rows that pass. Files with up to IMPORT_SYNC_ROWS rows are processed before
+ *       responding (200 with the report); larger ones are processed in the background (202 with the job URL).
+ *     tags: [Cars]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Validate every row without creating listings
+ *     responses:
+ *       200:
+ *         description: Import finished; the job lists the outcome of every row
+ *       202:
+ *         description: Import started in the background
+ *       400:
+ *         description: No file, invalid CSV, unknown or duplicate columns, or too many rows
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Email not verified
+ */
+router.post(
+  '/import',
+  authenticate,
+  requireVerifiedEmail,
+  uploadImportFile,
+  validateRequest(carImportSchema),
+  importCars
+);
+
+/**
+ * @swagger
+ * /api/cars/imports:
+ *   get:
+ *     summary: Get the current user's import jobs, newest first
+ *     tags: [Cars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of jobs per page
+ *     responses:
+ *       200:
+ *         description: Import jobs with their progress, without row reports
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/imports', authenticate, validateQuery(importJobQuerySchema), getImportJobs);
+
+/**
+ * @swagger
+ * /api/cars/imports/{id}:
+ *   get:
+ *     summary: Get an import job's progress and per-row report
+ *     tags: [Cars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import job ID
+ *     responses:
+ *       200:
+ *         description: Import job with status (pending, processing, completed or failed), counts and rows
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     status:
+ *                       type: string
+ *                     dryRun:
+ *                       type: boolean
+ *                     totalRows:
+ *                       type: integer
+ *                     processedRows:
+ *                       type: integer
+ *                     succeeded:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *                     rows:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           line:
+ *                             type: integer
+ *                             description: Line of the file the row starts on, the header being line 1
+ *                           success:
+ *                             type: boolean
+ *                           car:
+ *                             type: string
+ *                             description: Created listing (not set for dry runs)
+ *                           issues:
+ *                             type: array
+ *                             description: Why the row was not imported
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 field:
+ *                                   type: string
+ *                                 message:
+ *                                   type: string
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Import job not found
+ */
+router.get('/imports/:id', authenticate, getImportJob);
+
 /**
  * @swagger
  * /api/cars:
  *   get:
  *     summary: Get all cars with filtering and pagination
+ *     description: Send a bearer token to get an isFavorited flag on each car.
  *     tags: [Cars]
  *     parameters:
  *       - in: query
@@ -178,12 +583,58 @@ router.get('/my-listings', authenticate, getMyCars);
  *           default: 10
  *         description: Number of cars per page
  *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Cursor from pagination.nextCursor; returns the page after it (page is ignored)
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Cursor from pagination.prevCursor; returns the page before it (page is ignored)
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: boolean
+ *         description: Include total and totalPages (default true with page, false with cursors)
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Full-text search over make, model, features, color and description. Results include a relevance score.
+ *       - in: query
  *         name: sort
  *         schema:
  *           type: string
- *           enum: [price, -price, year, -year, mileage, -mileage, createdAt, -createdAt]
+ *           enum: [price, -price, year, -year, mileage, -mileage, createdAt, -createdAt, relevance, distance]
  *           default: -createdAt
- *         description: Sort order
+ *         description: Sort order (relevance requires q, distance requires lat and lng)
+ *       - in: query
+ *         name: priceDropped
+ *         schema:
+ *           type: boolean
+ *         description: Only return cars whose most recent price change was a drop
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *           minimum: -90
+ *           maximum: 90
+ *         description: Latitude of the search point (requires lng). Results include their distance in km.
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *           minimum: -180
+ *           maximum: 180
+ *         description: Longitude of the search point (requires lat)
+ *       - in: query
+ *         name: radiusKm
+ *         schema:
+ *           type: number
+ *           maximum: 1000
+ *           default: 50
+ *         description: Only return cars within this many km of lat/lng
  *       - in: query
  *         name: make
  *         schema:
@@ -205,6 +656,16 @@ router.get('/my-listings', authenticate, getMyCars);
  *           type: number
  *         description: Maximum price filter
  *       - in: query
+ *         name: minMileage
+ *         schema:
+ *           type: number
+ *         description: Minimum mileage filter
+ *       - in: query
+ *         name: maxMileage
+ *         schema:
+ *           type: number
+ *         description: Maximum mileage filter
+ *       - in: query
  *         name: fuelType
  *         schema:
  *           type: string
@@ -229,7 +690,7 @@ router.get('/my-listings', authenticate, getMyCars);
  *                   items:
  *                     $ref: '#/components/schemas/Car'
  */
-router.get('/', validateQuery(carQuerySchema), getCars);
+router.get('/', optionalAuth, validateQuery(carQuerySchema), getCars);
 
 /**
  * @swagger
@@ -250,16 +711,19 @@ router.get('/', validateQuery(carQuerySchema), getCars);
  *         description: Car created successfully
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Email address not verified
  *       400:
  *         description: Validation error
  */
-router.post('/', authenticate, validateRequest(carValidationSchema), createCar);
+router.post('/', authenticate, requireVerifiedEmail, validateRequest(carValidationSchema), createCar);
 
 /**
  * @swagger
  * /api/cars/{id}:
  *   get:
  *     summary: Get a car by ID
+ *     description: Listings that are pending or rejected in moderation are only returned to their owner and admins.
  *     tags: [Cars]
  *     parameters:
  *       - in: path
@@ -274,7 +738,59 @@ router.post('/', authenticate, validateRequest(carValidationSchema), createCar);
  *       404:
  *         description: Car not found
  */
-router.get('/:id', getCar);
+router.get('/:id', optionalAuth, getCar);
+
+/**
+ * @swagger
+ * /api/cars/{id}/price-history:
+ *   get:
+ *     summary: Get the price history of a car
+ *     description: The listing price followed by every change, oldest first.
+ *     tags: [Cars]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Car ID
+ *     responses:
+ *       200:
+ *         description: Price history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     currentPrice:
+ *                       type: number
+ *                     priceDrop:
+ *                       type: object
+ *                       nullable: true
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           price:
+ *                             type: number
+ *                           previousPrice:
+ *                             type: number
+ *                             nullable: true
+ *                           changedAt:
+ *                             type: string
+ *                             format: date-time
+ *       404:
+ *         description: Car not found
+ */
+router.get('/:id/price-history', optionalAuth, getPriceHistory);
 
 /**
  * @swagger
@@ -300,12 +816,23 @@ router.get('/:id', getCar);
  *     responses:
  *       200:
  *         description: Car updated successfully
+ *       400:
+ *         description: Validation error, or a status change (use the status endpoints)
  *       404:
  *         description: Car not found
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Not the listing owner or an admin, or the car is sold
  */
-router.put('/:id', authenticate, validateRequest(carValidationSchema), updateCar);
+router.put(
+  '/:id',
+  authenticate,
+  authorizeOwner(Car, 'admin'),
+  lockSoldListing,
+  validateRequest(carValidationSchema),
+  updateCar
+);
 
 /**
  * @swagger
@@ -329,7 +856,939 @@ router.put('/:id', authenticate, validateRequest(carValidationSchema), updateCar
  *         description: Car not found
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Not the listing owner or an admin
+ */
+router.delete('/:id', authenticate, authorizeOwner(Car, 'admin'), deleteCar);
+
+/**
+ * @swagger
+ * /api/cars/{id}/images:
+ *   post:
+ *     summary: Upload images to a car listing
+ *     description: Accepts JPEG, PNG and WebP files (checked by content). A listing can have at most 10 images. New images send the listing back for review unless the seller is trusted.
+ *     tags: [Cars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Car ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               alt:
+ *                 type: string
+ *                 description: Alt text for the uploaded images (repeat the field to give one per image)
+ *     responses:
+ *       201:
+ *         description: Images uploaded successfully
+ *       400:
+ *         description: No images, unsupported file type, file too large or too many images
+ *       403:
+ *         description: Not the listing owner or an admin, or the car is sold
+ *       404:
+ *         description: Car not found
+ */
+router.post(
+  '/:id/images',
+  authenticate,
+  authorizeOwner(Car, 'admin'),
+  lockSoldListing,
+  parseImageUpload,
+  validateRequest(carImageUploadSchema),
+  uploadCarImages
+);
+
+/**
+ * @swagger
+ * /api/cars/{id}/images/order:
+ *   put:
+ *     summary: Reorder the images of a car listing
+ *     tags: [Cars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Car ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - order
+ *             properties:
+ *               order:
+ *                 type: array
+ *                 description: Every image ID of the listing in the new order; the first becomes the cover
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Images reordered successfully
+ *       400:
+ *         description: Order does not list every image exactly once
+ *       403:
+ *         description: Not the listing owner or an admin, or the car is sold
+ *       404:
+ *         description: Car not found
+ */
+router.put(
+  '/:id/images/order',
+  authenticate,
+  authorizeOwner(Car, 'admin'),
+  lockSoldListing,
+  validateRequest(carImageOrderSchema),
+  reorderCarImages
+);
+
+/**
+ * @swagger
+ * /api/cars/{id}/images/{imageId}/cover:
+ *   put:
+ *     summary: Make an image the cover image of a car listing
+ *     tags: [Cars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Car ID
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Image ID
+ *     responses:
+ *       200:
+ *         description: Cover image updated successfully
+ *       403:
+ *         description: Not the listing owner or an admin, or the car is sold
+ *       404:
+ *         description: Car or image not found
+ */
+router.put('/:id/images/:imageId/cover', authenticate, authorizeOwner(Car, 'admin'), lockSoldListing, setCoverImage);
+
+/**
+ * @swagger
+ * /api/cars/{id}/images/{imageId}:
+ *   delete:
+ *     summary: Delete an image from a car listing
+ *     tags: [Cars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Car ID
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Image ID
+ *     responses:
+ *       200:
+ *         description: Image deleted successfully
+ *       403:
+ *         description: Not the listing owner or an admin, or the car is sold
+ *       404:
+ *         description: Car or image not found
+ */
+router.delete('/:id/images/:imageId', authenticate, authorizeOwner(Car, 'admin'), lockSoldListing, deleteCarImage);
+
+/**
+ * @swagger
+ * /api/cars/{id}/favorite:
+ *   post:
+ *     summary: Add a car to the current user's favorites
+ *     tags: [Favorites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Car ID
+ *     responses:
+ *       201:
+ *         description: Car added to favorites
+ *       200:
+ *         description: Car was already in favorites
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Car not found
+ *   delete:
+ *     summary: Remove a car from the current user's favorites
+ *     tags: [Favorites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Car ID
+ *     responses:
+ *       200:
+ *         description: Car removed from favorites
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Car is not in favorites
+ */
+router.post('/:id/favorite', authenticate, addFavorite);
+router.delete('/:id/favorite', authenticate, removeFavorite);
+
+/**
+ * @swagger
+ * /api/cars/{id}/inquiries:
+ *   post:
+ *     summary: Message a car's owner, starting a conversation or continuing the existing one
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Car ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       201:
+ *         description: Inquiry sent; returns the conversation and the new message
+ *       400:
+ *         description: Validation error, own listing, sold car or listing without an owner
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: One of the users has blocked the other
+ *       404:
+ *         description: Car not found
+ */
+router.post('/:id/inquiries', authenticate, validateRequest(messageSchema), createInquiry);
+
+/**
+ * @swagger
+ * /api/cars/{id}/availability:
+ *   get:
+ *     summary: Get when a car can be test driven and the seller's booked slots
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Car ID
+ *     responses:
+ *       200:
+ *         description: Availability retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     timezone:
+ *                       type: string
+ *                       example: Asia/Kolkata
+ *                     slotMinutes:
+ *                       type: integer
+ *                     windows:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AvailabilityWindow'
+ *                     bookedSlots:
+ *                       type: array
+ *                       description: Accepted appointments of the seller in the next 30 days
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           startTime:
+ *                             type: string
+ *                             format: date-time
+ *                           endTime:
+ *                             type: string
+ *                             format: date-time
+ *                           localStartTime:
+ *                             type: string
+ *                             example: '2026-10-20T10:00'
+ *                           localEndTime:
+ *                             type: string
+ *       404:
+ *         description: Car not found
+ *   put:
+ *     summary: Set the weekly windows in which buyers can book test drives
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Car ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - windows
+ *             properties:
+ *               timezone:
+ *                 type: string
+ *                 default: Asia/Kolkata
+ *                 description: IANA time zone the windows are in
+ *               slotMinutes:
+ *                 type: integer
+ *                 minimum: 15
+ *                 maximum: 240
+ *                 default: 30
+ *                 description: Length of each appointment
+ *               windows:
+ *                 type: array
+ *                 maxItems: 50
+ *                 description: An empty list stops new bookings
+ *                 items:
+ *                   $ref: '#/components/schemas/AvailabilityWindow'
+ *     responses:
+ *       200:
+ *         description: Availability updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the owner of this listing, or the car is sold
+ *       404:
+ *         description: Car not found
+ */
+router.get('/:id/availability', getAvailability);
+router.put(
+  '/:id/availability',
+  authenticate,
+  authorizeOwner(Car, 'admin'),
+  lockSoldListing,
+  validateRequest(carAvailabilitySchema),
+  setAvailability
+);
+
+/**
+ * @swagger
+ * /api/cars/{id}/appointments:
+ *   post:
+ *     summary: Request a test drive of a car
+ *     description: The slot must fall inside one of the car's availability windows and not overlap the seller's accepted appointments.
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Car ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startTime
+ *             properties:
+ *               startTime:
+ *                 type: string
+ *                 format: date-time
+ *                 example: '2026-10-20T10:00:00+05:30'
+ *                 description: ISO 8601 date-time with a time zone offset
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Test drive requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Appointment'
+ *       400:
+ *         description: Validation error, unavailable or booked slot, own or sold car, or an existing appointment
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: One of the users has blocked the other
+ *       404:
+ *         description: Car not found
+ */
+router.post('/:id/appointments', authenticate, validateRequest(appointmentRequestSchema), requestAppointment);
+
+/**
+ * @swagger
+ * /api/cars/{id}/reserve:
+ *   post:
+ *     summary: Reserve an available car until a given time
+ *     tags: [Cars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Car ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 300
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: ISO 8601 date-time with a time zone offset; defaults to RESERVATION_HOURS from now
+ *     responses:
+ *       200:
+ *         description: Status changed; returns the updated car
+ *       400:
+ *         description: The car is not available, or the expiry is not within the next 30 days
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the listing owner or an admin
+ *       404:
+ *         description: Car not found
+ */
+router.post('/:id/reserve', authenticate, authorizeOwner(Car, 'admin'), validateRequest(carReserveSchema), reserveCar);
+
+/**
+ * @swagger
+ * /api/cars/{id}/release:
+ *   post:
+ *     summary: Release a reservation, making the car available again
+ *     tags: [Cars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Car ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 300
+ *     responses:
+ *       200:
+ *         description: Status changed; returns the updated car
+ *       400:
+ *         description: The car is not reserved
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the listing owner or an admin
+ *       404:
+ *         description: Car not found
+ */
+router.post('/:id/release', authenticate, authorizeOwner(Car, 'admin'), validateRequest(carStatusReasonSchema), releaseCar);
+
+/**
+ * @swagger
+ * /api/cars/{id}/mark-sold:
+ *   post:
+ *     summary: Mark an available or reserved car as sold; open test drive appointments are cancelled
+ *     tags: [Cars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Car ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 300
+ *     responses:
+ *       200:
+ *         description: Status changed; returns the updated car
+ *       400:
+ *         description: The car is already sold
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the listing owner or an admin
+ *       404:
+ *         description: Car not found
+ */
+router.post('/:id/mark-sold', authenticate, authorizeOwner(Car, 'admin'), validateRequest(carStatusReasonSchema), markCarSold);
+
+/**
+ * @swagger
+ * /api/cars/{id}/relist:
+ *   post:
+ *     summary: Put a sold car back on sale
+ *     tags: [Cars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Car ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 300
+ *     responses:
+ *       200:
+ *         description: Status changed; returns the updated car
+ *       400:
+ *         description: The car is not sold
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the listing owner or an admin
+ *       404:
+ *         description: Car not found
+ */
+router.post('/:id/relist', authenticate, authorizeOwner(Car, 'admin'), validateRequest(carStatusReasonSchema), relistCar);
+
+/**
+ * @swagger
+ * /api/cars/{id}/status-history:
+ *   get:
+ *     summary: Get a car's status changes, oldest first
+ *     tags: [Cars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Car ID
+ *     responses:
+ *       200:
+ *         description: Status history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     status:
+ *                       type: string
+ *                     reservation:
+ *                       type: object
+ *                       nullable: true
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           from:
+ *                             type: string
+ *                           to:
+ *                             type: string
+ *                           changedBy:
+ *                             type: object
+ *                             nullable: true
+ *                             description: Null for automatic changes such as expired reservations
+ *                           reason:
+ *                             type: string
+ *                           expiresAt:
+ *                             type: string
+ *                             format: date-time
+ *                           changedAt:
+ *                             type: string
+ *                             format: date-time
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the listing owner or an admin
+ *       404:
+ *         description: Car not found
+ */
+router.get('/:id/status-history', authenticate, authorizeOwner(Car, 'admin'), getStatusHistory);
+
+/**
+ * @swagger
+ * /api/cars/{id}/revisions:
+ *   get:
+ *     summary: Get the revisions of a listing, newest first
+ *     description: A revision is saved when the listing is created and on every edit or revert. Each entry lists the top-level fields it changed compared with the revision before it.
+ *     tags: [Cars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Car ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Number of revisions per page
+ *     responses:
+ *       200:
+ *         description: Revisions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 pagination:
+ *                   type: object
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       revision:
+ *                         type: integer
+ *                       type:
+ *                         type: string
+ *                         enum: [created, edited, reverted, captured]
+ *                       editedBy:
+ *                         type: object
+ *                         nullable: true
+ *                         description: Null for captured revisions (changes made outside of edits, such as image uploads)
+ *                       revertedFrom:
+ *                         type: integer
+ *                       changedFields:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the listing owner or an admin
+ *       404:
+ *         description: Car not found
+ */
+router.get(
+  '/:id/revisions',
+  authenticate,
+  authorizeOwner(Car, 'admin'),
+  validateQuery(carRevisionQuerySchema),
+  getRevisions
+);
+
+/**
+ * @swagger
+ * /api/cars/{id}/revisions/diff:
+ *   get:
+ *     summary: Compare two revisions of a listing field by field
+ *     tags: [Cars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Car ID
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Revision to compare from
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Revision to compare to
+ *     responses:
+ *       200:
+ *         description: Changed fields as path, before and after (nested fields use dotted paths such as location.city)
+ *       400:
+ *         description: Query validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the listing owner or an admin
+ *       404:
+ *         description: Car or revision not found
+ */
+router.get(
+  '/:id/revisions/diff',
+  authenticate,
+  authorizeOwner(Car, 'admin'),
+  validateQuery(carRevisionDiffQuerySchema),
+  compareRevisions
+);
+
+/**
+ * @swagger
+ * /api/cars/{id}/revisions/{revision}:
+ *   get:
+ *     summary: Get one revision of a listing with its saved fields
+ *     tags: [Cars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Car ID
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision number
+ *     responses:
+ *       200:
+ *         description: Revision retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the listing owner or an admin
+ *       404:
+ *         description: Car or revision not found
+ */
+router.get('/:id/revisions/:revision', authenticate, authorizeOwner(Car, 'admin'), getRevision);
+
+/**
+ * @swagger
+ * /api/cars/{id}/revisions/{revision}/revert:
+ *   post:
+ *     summary: Restore a listing to an earlier revision
+ *     description: The restored listing is saved as a new revision; later revisions are kept. Reverting the price, images or description sends the listing back for moderation unless the seller is trusted.
+ *     tags: [Cars]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Car ID
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision number to restore
+ *     responses:
+ *       200:
+ *         description: Car reverted successfully
+ *       400:
+ *         description: The listing already matches the revision
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the listing owner or an admin, or the car is sold
+ *       404:
+ *         description: Car or revision not found
+ */
+router.post(
+  '/:id/revisions/:revision/revert',
+  authenticate,
+  authorizeOwner(Car, 'admin'),
+  lockSoldListing,
+  revertCar
+);
+
+/**
+ * @swagger
+ * /api/cars/{id}/offers:
+ *   post:
+ *     summary: Make an offer below the asking price
+ *     tags: [Offers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Car ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *                 minimum: 1
+ *               message:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Offer sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Offer'
+ *       400:
+ *         description: Validation error, amount not below the asking price, own or unavailable car, or an open offer already exists
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: One of the users has blocked the other
+ *       404:
+ *         description: Car not found
+ *   get:
+ *     summary: Get the offers on a car, newest first
+ *     tags: [Offers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Car ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, countered, accepted, rejected, withdrawn, declined, expired]
+ *     responses:
+ *       200:
+ *         description: Offers retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the listing owner or an admin
+ *       404:
+ *         description: Car not found
  */
-router.delete('/:id', authenticate, deleteCar);
+router.post('/:id/offers', authenticate, validateRequest(offerSchema), createOffer);
+router.get('/:id/offers', authenticate, authorizeOwner(Car, 'admin'), validateQuery(carOfferQuerySchema), getCarOffers);
 
 export default router;
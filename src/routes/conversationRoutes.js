@@ -0,0 +1,263 @@
+import express from 'express';
+import {
+  getConversations,
+  getConversation,
+  sendMessage
+} from '../controllers/conversationController.js';
+import { authenticate, authorizeParticipant } from '../middleware/auth.js';
+import Conversation from '../models/Conversation.js';
+import {
+  validateRequest,
+  validateQuery,
+  messageSchema,
+  conversationQuerySchema,
+  conversationMessagesQuerySchema
+} from '../utils/validation.js';
+
+const router = express.Router();
+
+// Conversations are only visible to their buyer and seller
+router.use(authenticate);
+const participantsOnly = authorizeParticipant(Conversation, 'buyer', 'seller');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Conversation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         car:
+ *           type: object
+ *           description: Summary of the car the conversation is about
+ *         role:
+ *           type: string
+ *           enum: [buyer, seller]
+ *           description: The current user's side of the conversation
+ *         otherParticipant:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             username:
+ *               type: string
+ *         lastMessage:
+ *           type: object
+ *           properties:
+ *             body:
+ *               type: string
+ *               description: First 200 characters of the message
+ *             sender:
+ *               type: string
+ *             sentAt:
+ *               type: string
+ *               format: date-time
+ *         lastMessageAt:
+ *           type: string
+ *           format: date-time
+ *         unreadCount:
+ *           type: number
+ *           description: Messages the current user has not read
+ *         otherLastReadAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the other participant last read the conversation
+ *     ConversationMessage:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         sender:
+ *           type: string
+ *         body:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         isMine:
+ *           type: boolean
+ *         read:
+ *           type: boolean
+ *           description: Read receipt; whether the recipient has read the message
+ */
+
+/**
+ * @swagger
+ * /api/conversations:
+ *   get:
+ *     summary: List the current user's conversations, most recent first
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [buyer, seller]
+ *         description: Only conversations where the user is the buyer or the seller
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only conversations with unread messages
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Conversations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 unreadCount:
+ *                   type: number
+ *                   description: Unread messages across all of the user's conversations
+ *                 pagination:
+ *                   type: object
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Conversation'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', validateQuery(conversationQuerySchema), getConversations);
+
+/**
+ * @swagger
+ * /api/conversations/{id}:
+ *   get:
+ *     summary: Get a conversation's messages and mark it as read
+ *     description: Page 1 holds the newest messages; each page is returned oldest first.
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Conversation retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 pagination:
+ *                   type: object
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     conversation:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/Conversation'
+ *                         - type: object
+ *                           properties:
+ *                             canReply:
+ *                               type: boolean
+ *                               description: False when either participant has blocked the other
+ *                     messages:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ConversationMessage'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a participant in the conversation
+ *       404:
+ *         description: Conversation not found
+ */
+router.get('/:id', participantsOnly, validateQuery(conversationMessagesQuerySchema), getConversation);
+
+/**
+ * @swagger
+ * /api/conversations/{id}/messages:
+ *   post:
+ *     summary: Reply in a conversation
+ *     tags: [Conversations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       201:
+ *         description: Message sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ConversationMessage'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a participant, or one of the users has blocked the other
+ *       404:
+ *         description: Conversation not found
+ */
+router.post('/:id/messages', participantsOnly, validateRequest(messageSchema), sendMessage);
+
+export default router;
@@ -0,0 +1,294 @@
+import express from 'express';
+import {
+  getOffers,
+  getOffer,
+  acceptOffer,
+  rejectOffer,
+  counterOffer,
+  withdrawOffer
+} from '../controllers/offerController.js';
+import { authenticate, authorizeParticipant } from '../middleware/auth.js';
+import Offer from '../models/Offer.js';
+import {
+  validateRequest,
+  validateQuery,
+  offerSchema,
+  offerResponseSchema,
+  offerQuerySchema
+} from '../utils/validation.js';
+
+const router = express.Router();
+
+// Offers are only visible to their buyer and seller
+router.use(authenticate);
+const participantsOnly = authorizeParticipant(Offer, 'buyer', 'seller');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Offer:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         car:
+ *           type: object
+ *           description: Summary of the car, including its asking price
+ *         buyer:
+ *           type: object
+ *         seller:
+ *           type: object
+ *         amount:
+ *           type: number
+ *           description: Amount currently on the table
+ *         status:
+ *           type: string
+ *           enum: [pending, countered, accepted, rejected, withdrawn, declined, expired]
+ *           description: Pending offers wait for the seller, countered ones for the buyer
+ *         awaiting:
+ *           type: string
+ *           enum: [buyer, seller]
+ *           nullable: true
+ *           description: Whose turn it is; null once the negotiation is over
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: The offer expires unless the awaited party responds by then
+ *         history:
+ *           type: array
+ *           description: Every move in the negotiation, oldest first
+ *           items:
+ *             type: object
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [offer, counter, accept, reject, withdraw, decline, expire]
+ *               by:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Null for moves made by the system
+ *               amount:
+ *                 type: number
+ *               message:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/offers:
+ *   get:
+ *     summary: List the current user's offers as buyer and seller, most recently active first
+ *     tags: [Offers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [buyer, seller]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, countered, accepted, rejected, withdrawn, declined, expired]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Offers retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', validateQuery(offerQuerySchema), getOffers);
+
+/**
+ * @swagger
+ * /api/offers/{id}:
+ *   get:
+ *     summary: Get an offer with its negotiation history
+ *     tags: [Offers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Offer retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a participant in the offer
+ *       404:
+ *         description: Offer not found
+ */
+router.get('/:id', participantsOnly, getOffer);
+
+/**
+ * @swagger
+ * /api/offers/{id}/accept:
+ *   post:
+ *     summary: Accept the amount on the table; the car is reserved and other open offers are declined
+ *     description: The seller accepts pending offers and the buyer accepts counter-offers.
+ *     tags: [Offers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Offer accepted and car reserved
+ *       400:
+ *         description: Offer closed or expired, not the user's turn, or the car is no longer available
+ *       403:
+ *         description: Not a participant in the offer
+ *       404:
+ *         description: Offer not found
+ */
+router.post('/:id/accept', participantsOnly, validateRequest(offerResponseSchema), acceptOffer);
+
+/**
+ * @swagger
+ * /api/offers/{id}/reject:
+ *   post:
+ *     summary: Reject a pending offer
+ *     tags: [Offers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Offer rejected
+ *       400:
+ *         description: Not the seller, offer closed or expired, or not the seller's turn
+ *       403:
+ *         description: Not a participant in the offer
+ *       404:
+ *         description: Offer not found
+ */
+router.post('/:id/reject', participantsOnly, validateRequest(offerResponseSchema), rejectOffer);
+
+/**
+ * @swagger
+ * /api/offers/{id}/counter:
+ *   post:
+ *     summary: Counter with a new amount; the other party then responds
+ *     tags: [Offers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: New amount; cannot exceed the asking price
+ *               message:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Counter-offer sent
+ *       400:
+ *         description: Validation error, offer closed or expired, or not the user's turn
+ *       403:
+ *         description: Not a participant in the offer
+ *       404:
+ *         description: Offer not found
+ */
+router.post('/:id/counter', participantsOnly, validateRequest(offerSchema), counterOffer);
+
+/**
+ * @swagger
+ * /api/offers/{id}/withdraw:
+ *   post:
+ *     summary: Withdraw an open offer
+ *     tags: [Offers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Offer withdrawn
+ *       400:
+ *         description: Not the buyer, or the offer is already closed
+ *       403:
+ *         description: Not a participant in the offer
+ *       404:
+ *         description: Offer not found
+ */
+router.post('/:id/withdraw', participantsOnly, validateRequest(offerResponseSchema), withdrawOffer);
+
+export default router;
@@ -0,0 +1,220 @@
+import express from 'express';
+import {
+  createSavedSearch,
+  getSavedSearches,
+  getSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSearchAlerts
+} from '../controllers/savedSearchController.js';
+import { authenticate } from '../middleware/auth.js';
+import {
+  validateRequest,
+  validateQuery,
+  savedSearchSchema,
+  savedSearchUpdateSchema,
+  searchAlertQuerySchema
+} from '../utils/validation.js';
+
+const router = express.Router();
+
+// Saved searches belong to the authenticated user
+router.use(authenticate);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SavedSearch:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         query:
+ *           type: object
+ *           description: GET /api/cars filter and sort parameters (pagination parameters are dropped)
+ *         alertsEnabled:
+ *           type: boolean
+ *           description: Record an alert when a new or relisted car matches
+ *         lastViewedAt:
+ *           type: string
+ *           format: date-time
+ *         newCount:
+ *           type: number
+ *           description: Alerts received since the alerts were last viewed
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/saved-searches:
+ *   get:
+ *     summary: List the current user's saved searches
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved searches retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SavedSearch'
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Save a car search
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - query
+ *             properties:
+ *               name:
+ *                 type: string
+ *               query:
+ *                 type: object
+ *                 description: Any GET /api/cars filter and sort parameters
+ *               alertsEnabled:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Search saved successfully
+ *       400:
+ *         description: Validation error, duplicate name or too many saved searches
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', getSavedSearches);
+router.post('/', validateRequest(savedSearchSchema), createSavedSearch);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}:
+ *   get:
+ *     summary: Get a saved search
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Saved search retrieved successfully
+ *       404:
+ *         description: Saved search not found
+ *   put:
+ *     summary: Rename a saved search, change its filters or toggle alerts
+ *     description: Changing the query clears the search's earlier alerts.
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               query:
+ *                 type: object
+ *               alertsEnabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Saved search updated successfully
+ *       400:
+ *         description: Validation error or duplicate name
+ *       404:
+ *         description: Saved search not found
+ *   delete:
+ *     summary: Delete a saved search and its alerts
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Saved search deleted successfully
+ *       404:
+ *         description: Saved search not found
+ */
+router.get('/:id', getSavedSearch);
+router.put('/:id', validateRequest(savedSearchUpdateSchema), updateSavedSearch);
+router.delete('/:id', deleteSavedSearch);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}/alerts:
+ *   get:
+ *     summary: List cars that matched a saved search and mark them as viewed
+ *     description: Newest matches first. Alerts newer than the previous view have isNew set; car is null if the listing has since been removed or hidden.
+ *     tags: [Saved Searches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Alerts retrieved successfully
+ *       404:
+ *         description: Saved search not found
+ */
+router.get('/:id/alerts', validateQuery(searchAlertQuerySchema), getSearchAlerts);
+
+export default router;
@@ -0,0 +1,125 @@
+import express from 'express';
+import {
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
+  reportUser
+} from '../controllers/userController.js';
+import { authenticate } from '../middleware/auth.js';
+import { validateRequest, userReportSchema } from '../utils/validation.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/users/blocked:
+ *   get:
+ *     summary: List the users the current user has blocked
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Blocked users retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/blocked', getBlockedUsers);
+
+/**
+ * @swagger
+ * /api/users/{id}/block:
+ *   post:
+ *     summary: Block a user; neither user can then message the other
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       201:
+ *         description: User blocked
+ *       200:
+ *         description: User was already blocked
+ *       400:
+ *         description: Cannot block yourself
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: User not found
+ *   delete:
+ *     summary: Unblock a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User unblocked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: User is not blocked
+ */
+router.post('/:id/block', blockUser);
+router.delete('/:id/block', unblockUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/report:
+ *   post:
+ *     summary: Report a user to the admins
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [spam, scam, harassment, inappropriate, other]
+ *               details:
+ *                 type: string
+ *                 maxLength: 1000
+ *               conversation:
+ *                 type: string
+ *                 description: ID of a conversation with the user that the report is about
+ *     responses:
+ *       201:
+ *         description: Report submitted
+ *       400:
+ *         description: Validation error, reporting yourself, or a conversation not with this user
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/report', validateRequest(userReportSchema), reportUser);
+
+export default router;
@@ -10,8 +10,20 @@ import swaggerUi from 'swagger-ui-express';
 import connectDB from './config/database.js';
 import carRoutes from './routes/carRoutes.js';
 import authRoutes from './routes/authRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import savedSearchRoutes from './routes/savedSearchRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import conversationRoutes from './routes/conversationRoutes.js';
+import userRoutes from './routes/userRoutes.js';
+import appointmentRoutes from './routes/appointmentRoutes.js';
+import offerRoutes from './routes/offerRoutes.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { notFound } from './middleware/notFound.js';
+import { requestId } from './middleware/requestId.js';
+import { getStorageDriver } from './utils/storage.js';
+import { scheduleReservationExpiry } from './utils/carStatus.js';
+import { scheduleOfferExpiry } from './utils/offers.js';
+import { scheduleImportJobRecovery } from './utils/carImport.js';
 
 // Load environment variables
 dotenv.config();
@@ -22,6 +34,9 @@ const PORT = process.env.PORT || 3001;
 // Connect to MongoDB
 connectDB();
 
+// Tag every request with an ID for logs and the audit trail
+app.use(requestId);
+
 // Security middleware
 app.use(helmet());
 
@@ -42,7 +57,8 @@ app.use(cors({
   origin: true, // Allow all origins
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id', 'Content-Disposition'],
 }));
 
 // Body parsing middleware
@@ -96,9 +112,26 @@ app.get('/health', (_, res) => {
   });
 });
 
+// Uploaded listing images (local storage driver only)
+const storage = getStorageDriver();
+if (storage.name === 'local') {
+  app.use('/uploads', express.static(storage.dir, {
+    index: false,
+    // Let frontends on other origins display the images
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/cars', carRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/appointments', appointmentRoutes);
+app.use('/api/offers', offerRoutes);
 
 // 404 handler
 app.use(notFound);
@@ -113,4 +146,10 @@ app.listen(PORT, () => {
   console.log(`🏥 Health Check: http://localhost:${PORT}/health`);
 });
 
+// Return cars to sale once their reservation runs out, and close offers nobody answered
+scheduleReservationExpiry();
+scheduleOfferExpiry();
+// Imports cut short by a restart never finish, so report them as failed
+scheduleImportJobRecovery();
+
 export default app;
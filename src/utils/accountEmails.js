@@ -0,0 +1,77 @@
+import { sendMail } from './mailer.js';
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+/**
+ * Email a verification link to a user
+ * @param {Object} user - User object, saved with the new token before sending
+ * @returns {Promise<void>}
+ */
+export const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = `${frontendUrl()}/verify-email?token=${token}`;
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: `Hi ${user.username},\n\n` +
+        `Please confirm your email address so you can publish car listings:\n\n` +
+        `${verifyUrl}`
+    });
+  } catch (error) {
+    // Registration still succeeds; the user can request another email
+    console.error('Verification email failed:', error.message);
+  }
+};
+
+/**
+ * Email a single-use password reset link to a user
+ * @param {Object} user - User object, saved with the new token before sending
+ * @param {Object} options - forced: reset was required by an admin
+ * @returns {Promise<void>}
+ */
+export const sendPasswordResetEmail = async (user, { forced = false } = {}) => {
+  const token = user.createPasswordResetToken();
+  await user.save({ validateBeforeSave: false });
+
+  const resetUrl = `${frontendUrl()}/reset-password?token=${token}`;
+  const intro = forced
+    ? 'An administrator has required you to choose a new password before you can log in again.'
+    : 'Use the link below to choose a new password.';
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Hi ${user.username},\n\n` +
+        `${intro} The link can be used once and expires soon.\n\n` +
+        `${resetUrl}\n\n` +
+        (forced ? '' : 'If you did not ask for a password reset, you can ignore this email.')
+    });
+  } catch (error) {
+    // Don't reveal delivery failures, they would confirm the account exists
+    console.error('Password reset email failed:', error.message);
+  }
+};
+
+/**
+ * Tell a user their account was locked after repeated failed logins
+ * @param {Object} user - Locked user
+ * @returns {Promise<void>}
+ */
+export const sendLockoutEmail = async (user) => {
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Your account has been temporarily locked',
+      text: `Hi ${user.username},\n\n` +
+        `We locked your account until ${user.lockUntil.toUTCString()} after several failed login attempts.\n\n` +
+        `If this wasn't you, we recommend resetting your password.`
+    });
+  } catch (error) {
+    console.error('Lockout email failed:', error.message);
+  }
+};
@@ -0,0 +1,131 @@
+import Appointment, { ACTIVE_APPOINTMENT_STATUSES } from '../models/Appointment.js';
+import Notification from '../models/Notification.js';
+import { toLocalTime, toMinutes, formatLocalTime } from './timezone.js';
+
+/**
+ * Check whether a time slot lies inside one of a listing's weekly availability windows
+ * @param {Object} availability - Car availability (timezone and windows)
+ * @param {Date} startTime - Slot start
+ * @param {Date} endTime - Slot end
+ * @returns {boolean} True if a single window on the slot's local day covers it
+ */
+export const fitsAvailability = (availability, startTime, endTime) => {
+  const start = toLocalTime(startTime, availability.timezone);
+  const end = toLocalTime(endTime, availability.timezone);
+
+  // Windows end by 23:59, so a slot running into the next local day never fits
+  if (end.date !== start.date) return false;
+
+  return availability.windows.some(window =>
+    window.day === start.weekday &&
+    toMinutes(window.start) <= start.minutes &&
+    end.minutes <= toMinutes(window.end)
+  );
+};
+
+/**
+ * Check whether a seller already has an accepted appointment overlapping a time slot
+ * @param {string} sellerId - Seller's user ID
+ * @param {Date} startTime - Slot start
+ * @param {Date} endTime - Slot end
+ * @param {string} [excludeId] - Appointment to ignore (the one being rescheduled or accepted)
+ * @returns {Promise<boolean>} True if the slot is taken
+ */
+export const isSlotBooked = async (sellerId, startTime, endTime, excludeId) => {
+  const filter = {
+    seller: sellerId,
+    status: 'accepted',
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  return Boolean(await Appointment.exists(filter));
+};
+
+/**
+ * Work out the slot for a requested start time and check that it can be booked
+ * @param {Object} car - Car document with availability
+ * @param {Date} startTime - Requested start
+ * @param {string} [excludeId] - Appointment being rescheduled
+ * @returns {Promise<Object>} { startTime, endTime, timezone }, or { error } with a message
+ */
+export const resolveSlot = async (car, startTime, excludeId) => {
+  const { availability } = car;
+
+  if (!availability?.windows?.length) {
+    return { error: 'This seller is not taking test drive bookings' };
+  }
+
+  if (startTime <= new Date()) {
+    return { error: 'Appointments must be booked for a future time' };
+  }
+
+  const endTime = new Date(startTime.getTime() + availability.slotMinutes * 60 * 1000);
+
+  if (!fitsAvailability(availability, startTime, endTime)) {
+    return { error: "Requested time is outside the seller's availability" };
+  }
+
+  if (await isSlotBooked(car.owner, startTime, endTime, excludeId)) {
+    return { error: 'This time slot is already booked' };
+  }
+
+  return { startTime, endTime, timezone: availability.timezone };
+};
+
+/**
+ * Describe an appointment's car and local time for notifications
+ * @param {Object} appointment - Appointment document
+ * @param {Object} car - Car the appointment is for
+ * @returns {string} e.g. '2021 Honda City on 2026-10-20 10:00 (Asia/Kolkata)'
+ */
+const describeAppointment = (appointment, car) => {
+  const localTime = formatLocalTime(appointment.startTime, appointment.timezone).replace('T', ' ');
+  return `${car.title} on ${localTime} (${appointment.timezone})`;
+};
+
+/**
+ * Tell a participant about a change to an appointment
+ * @param {string} user - User to notify
+ * @param {Object} appointment - Appointment after the change
+ * @param {Object} car - Car the appointment is for
+ * @param {string} summary - What happened, e.g. 'Test drive accepted'
+ * @returns {Promise<Object>} Created notification
+ */
+export const notifyAppointment = (user, appointment, car, summary) => {
+  return Notification.create({
+    user,
+    type: 'appointment',
+    car: car._id,
+    message: `${summary}: ${describeAppointment(appointment, car)}`,
+    data: { appointment: appointment._id, status: appointment.status }
+  });
+};
+
+/**
+ * Cancel every pending or accepted appointment for a car and tell the buyers
+ * @param {Object} car - Car document
+ * @param {string} reason - Why the appointments were cancelled
+ * @returns {Promise<number>} Number of appointments cancelled
+ */
+export const cancelCarAppointments = async (car, reason) => {
+  const filter = { car: car._id, status: { $in: ACTIVE_APPOINTMENT_STATUSES } };
+  const appointments = await Appointment.find(filter).select('buyer startTime timezone');
+  if (appointments.length === 0) return 0;
+
+  await Appointment.updateMany(
+    { _id: { $in: appointments.map(appointment => appointment._id) }, status: { $in: ACTIVE_APPOINTMENT_STATUSES } },
+    { status: 'cancelled', cancelledBy: null, cancelReason: reason, respondedAt: new Date() }
+  );
+
+  await Notification.insertMany(appointments.map(appointment => ({
+    user: appointment.buyer,
+    type: 'appointment',
+    car: car._id,
+    message: `Test drive cancelled (${reason}): ${describeAppointment(appointment, car)}`,
+    data: { appointment: appointment._id, status: 'cancelled' }
+  })));
+
+  return appointments.length;
+};
@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+
+// Bookkeeping fields that change on their own and are left out of diffs
+const IGNORED_PATHS = new Set(['_id', '__v', 'createdAt', 'updatedAt', 'viewCount', 'favoriteCount']);
+
+// Field names whose values are never written to the audit log
+const SENSITIVE_FIELD = /password|token|secret|recovery/i;
+
+const REDACTED = '[redacted]';
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Turn a document into a plain object without virtuals
+ * @param {Object} [doc] - Mongoose document or plain object
+ * @returns {Object} Plain object; empty when there is no document
+ */
+const toPlain = (doc) => {
+  if (!doc) return {};
+  return doc instanceof mongoose.Document ? doc.toObject({ virtuals: false, depopulate: true }) : doc;
+};
+
+/**
+ * Flatten nested objects into dotted paths; arrays, dates and IDs are kept as single values
+ * @param {Object} object - Plain object
+ * @param {string} [prefix] - Path of the object itself
+ * @param {Object} [into] - Accumulator
+ * @returns {Object} Map of path to value
+ */
+const flatten = (object, prefix = '', into = {}) => {
+  for (const [key, value] of Object.entries(object)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && Object.keys(value).length) {
+      flatten(value, path, into);
+    } else {
+      into[path] = value;
+    }
+  }
+  return into;
+};
+
+/**
+ * List the fields that differ between two versions of a document
+ * @param {Object} [before] - Document or plain object before the change; none for a creation
+ * @param {Object} [after] - Document or plain object after the change; none for a deletion
+ * @returns {Object[]} Changes as { path, before, after }, with sensitive values redacted
+ */
+export const diffFields = (before, after) => {
+  const oldValues = flatten(toPlain(before));
+  const newValues = flatten(toPlain(after));
+  const paths = new Set([...Object.keys(oldValues), ...Object.keys(newValues)]);
+
+  return [...paths]
+    .filter(path => !IGNORED_PATHS.has(path.split('.')[0]))
+    .filter(path => JSON.stringify(oldValues[path]) !== JSON.stringify(newValues[path]))
+    .sort()
+    .map(path => SENSITIVE_FIELD.test(path)
+      ? { path, before: REDACTED, after: REDACTED }
+      : { path, before: oldValues[path], after: newValues[path] });
+};
+
+/**
+ * Append an entry to the audit log. A failure is logged rather than failing the request,
+ * since the audited change has already been made
+ * @param {Object} [req] - Express request the action came from; none for system actions
+ * @param {Object} entry
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {string} entry.targetType - 'Car' or 'User'
+ * @param {Object|string} entry.target - Target document or ID
+ * @param {Object} [entry.before] - Target before the change
+ * @param {Object} [entry.after] - Target after the change
+ * @param {Object[]} [entry.changes] - Explicit changes, used instead of diffing before and after
+ * @param {Object} [entry.details] - Extra context
+ * @param {Object|string|null} [entry.actor] - Who acted; defaults to the authenticated user
+ * @returns {Promise<void>}
+ */
+export const recordAudit = async (req, { action, targetType, target, before, after, changes, details, actor }) => {
+  try {
+    await AuditLog.create({
+      actor: actor !== undefined ? actor?._id ?? actor : req?.user?._id ?? null,
+      action,
+      target: { type: targetType, id: target?._id ?? target },
+      changes: changes ?? (before || after ? diffFields(before, after) : []),
+      details,
+      ip: req?.ip,
+      requestId: req?.id
+    });
+  } catch (error) {
+    console.error(`Failed to record audit entry ${action}:`, error.message);
+  }
+};
@@ -0,0 +1,150 @@
+import { formatCsvRow } from './csv.js';
+
+const LIST_SEPARATOR = '|';
+
+/**
+ * Read a dotted path from a plain document
+ * @param {Object} doc - Document
+ * @param {string} path - Dotted path such as location.city
+ * @returns {*} Value, or undefined when any part of the path is missing
+ */
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+/**
+ * Define an export column
+ * @param {string} path - Document field the column is read from
+ * @param {Function} [value] - Get the value from the document; defaults to reading the path
+ * @returns {Object} { path, value }
+ */
+const column = (path, value = (car) => valueAt(car, path)) => ({ path, value });
+
+// Exportable columns in their default order; names shared with the import use the same spelling.
+// Columns with a path missing from a listing (distance outside a radius search) are left empty
+export const EXPORT_COLUMNS = {
+  id: column('_id', (car) => String(car._id)),
+  make: column('make'),
+  model: column('model'),
+  year: column('year'),
+  price: column('price'),
+  previousPrice: column('previousPrice'),
+  mileage: column('mileage'),
+  fuelType: column('fuelType'),
+  transmission: column('transmission'),
+  bodyType: column('bodyType'),
+  color: column('color'),
+  description: column('description'),
+  features: column('features'),
+  images: column('images', (car) => car.images?.map(image => image.url)),
+  'location.city': column('location.city'),
+  'location.state': column('location.state'),
+  'location.country': column('location.country'),
+  // GeoJSON orders coordinates as [lng, lat]
+  'location.lat': column('location.geo', (car) => car.location?.geo?.coordinates?.[1]),
+  'location.lng': column('location.geo', (car) => car.location?.geo?.coordinates?.[0]),
+  'seller.name': column('seller.name'),
+  'seller.phone': column('seller.phone'),
+  'seller.email': column('seller.email'),
+  status: column('status'),
+  'moderation.status': column('moderation.status'),
+  viewCount: column('viewCount'),
+  favoriteCount: column('favoriteCount'),
+  distance: column('distance'),
+  createdAt: column('createdAt'),
+  updatedAt: column('updatedAt')
+};
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+/**
+ * Build the $project stage that keeps only the fields the columns read
+ * @param {string[]} columns - Export column names
+ * @returns {Object} $project stage
+ */
+export const exportProjection = (columns) => ({
+  $project: Object.fromEntries(columns.map(name => [EXPORT_COLUMNS[name].path, 1]))
+});
+
+/**
+ * Flatten a car into one value per column; dates become ISO 8601 strings
+ * @param {Object} car - Plain car document from the aggregation cursor
+ * @param {string[]} columns - Export column names
+ * @returns {Array} Column values, lists kept as arrays
+ */
+export const exportValues = (car, columns) => columns.map(name => {
+  const value = EXPORT_COLUMNS[name].value(car);
+  return value instanceof Date ? value.toISOString() : value;
+});
+
+/**
+ * Create the line formatter of an export format
+ * @param {string} format - csv or ndjson
+ * @param {string[]} columns - Export column names
+ * @returns {Object} { header, line } where header is the text written before the first car
+ */
+export const exportFormatter = (format, columns) => {
+  if (format === 'ndjson') {
+    return {
+      header: '',
+      // Missing values are written as null so every line has the same keys
+      line: (car) => `${JSON.stringify(Object.fromEntries(
+        exportValues(car, columns).map((value, index) => [columns[index], value ?? null])
+      ))}\n`
+    };
+  }
+
+  return {
+    header: formatCsvRow(columns),
+    line: (car) => formatCsvRow(exportValues(car, columns).map(value =>
+      Array.isArray(value) ? value.join(LIST_SEPARATOR) : value
+    ))
+  };
+};
+
+/**
+ * Wait until a response can take more data or the client has gone away
+ * @param {Object} res - Express response
+ * @returns {Promise<void>}
+ */
+const writable = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+/**
+ * Stream cars to the response one line at a time, holding only the cursor's current batch in memory
+ * @param {Object} res - Express response
+ * @param {AsyncIterable<Object>} cursor - Aggregation cursor of plain car documents
+ * @param {Object} options
+ * @param {string} options.format - csv or ndjson
+ * @param {string[]} options.columns - Export column names
+ * @param {string} options.fileName - Download name without extension
+ * @returns {Promise<void>}
+ */
+export const streamExport = async (res, cursor, { format, columns, fileName }) => {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const { header, line } = exportFormatter(format, columns);
+
+  res.status(200);
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${fileName}.${extension}"`,
+    'Cache-Control': 'no-store'
+  });
+  if (header) res.write(header);
+
+  for await (const car of cursor) {
+    // Leaving the loop closes the cursor
+    if (res.destroyed) break;
+    if (!res.write(line(car))) await writable(res);
+  }
+
+  if (!res.destroyed) res.end();
+};
@@ -0,0 +1,241 @@
+import mongoose from 'mongoose';
+import Car from '../models/Car.js';
+import ImportJob from '../models/ImportJob.js';
+import { carValidationSchema } from './validation.js';
+import { buildListing, createListing } from './listings.js';
+import { recordSearchAlertsSafely } from './searchAlerts.js';
+
+// CSV columns and the car field each one fills; list columns hold several values separated by |
+export const IMPORT_COLUMNS = {
+  make: 'make',
+  model: 'model',
+  year: 'year',
+  price: 'price',
+  mileage: 'mileage',
+  fueltype: 'fuelType',
+  transmission: 'transmission',
+  bodytype: 'bodyType',
+  color: 'color',
+  description: 'description',
+  features: 'features',
+  images: 'images',
+  'location.city': 'location.city',
+  'location.state': 'location.state',
+  'location.country': 'location.country',
+  'location.lat': 'location.coordinates.lat',
+  'location.lng': 'location.coordinates.lng',
+  'seller.name': 'seller.name',
+  'seller.phone': 'seller.phone'
+};
+
+const LIST_SEPARATOR = '|';
+
+// Rows processed between progress updates of a job
+const PROGRESS_INTERVAL = 25;
+
+/**
+ * Get the most data rows a single import may have
+ * @returns {number} MAX_IMPORT_ROWS (1000 by default)
+ */
+export const maxImportRows = () => parseInt(process.env.MAX_IMPORT_ROWS) || 1000;
+
+/**
+ * Get the largest import that is processed before responding; larger ones run in the background
+ * @returns {number} IMPORT_SYNC_ROWS (50 by default)
+ */
+export const syncImportRows = () => parseInt(process.env.IMPORT_SYNC_ROWS) || 50;
+
+/**
+ * Get how long a running import may go without saving progress before it counts as interrupted
+ * @returns {number} IMPORT_STALE_MINUTES (10 by default)
+ */
+export const importStaleMinutes = () => parseInt(process.env.IMPORT_STALE_MINUTES) || 10;
+
+/**
+ * Match a CSV header to car fields; column names are case-insensitive
+ * @param {string[]} header - First CSV row
+ * @returns {Object} { fields } with the car field of each column, or { error }
+ */
+export const mapImportHeader = (header) => {
+  const names = header.map(name => name.trim().toLowerCase());
+
+  const unknown = header.filter((name, index) => !Object.hasOwn(IMPORT_COLUMNS, names[index]));
+  if (unknown.length) {
+    return { error: `Unknown columns: ${unknown.join(', ')}` };
+  }
+
+  const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+  if (duplicates.length) {
+    return { error: `Duplicate columns: ${[...new Set(duplicates)].join(', ')}` };
+  }
+
+  return { fields: names.map(name => IMPORT_COLUMNS[name]) };
+};
+
+/**
+ * Turn the cells of one CSV row into a car body; empty cells are left out
+ * @param {string[]} fields - Car field of each column, from mapImportHeader
+ * @param {string[]} cells - Cells of the row
+ * @returns {Object} { car } or { issues } when the row does not fit the header
+ */
+export const rowToCar = (fields, cells) => {
+  if (cells.length > fields.length) {
+    return { issues: [{ field: null, message: `Row has ${cells.length} cells but the header has ${fields.length} columns` }] };
+  }
+
+  const car = {};
+
+  fields.forEach((field, index) => {
+    const cell = (cells[index] ?? '').trim();
+    if (cell === '') return;
+
+    let value = cell;
+    if (field === 'features' || field === 'images') {
+      value = cell.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+      if (field === 'images') value = value.map(url => ({ url }));
+    }
+
+    // Nested fields such as location.city
+    const path = field.split('.');
+    let target = car;
+    for (const key of path.slice(0, -1)) {
+      target = target[key] ??= {};
+    }
+    target[path[path.length - 1]] = value;
+  });
+
+  return { car };
+};
+
+/**
+ * Validate one imported row and, unless it is a dry run, create the listing
+ * @param {Object} context - Request, or { user, ip, id } once the response has been sent
+ * @param {Object} car - Car body from rowToCar
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only validate
+ * @param {Object} options.jobId - ID of the import job, noted in the audit log
+ * @returns {Promise<Object>} { success, car, listing } or { success: false, issues }
+ */
+export const importRow = async (context, car, { dryRun, jobId }) => {
+  const { error, value } = carValidationSchema.validate(car, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return {
+      success: false,
+      issues: error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }))
+    };
+  }
+
+  try {
+    // Dry runs also apply the model's own rules, so they catch what a real import would
+    if (dryRun) {
+      await new Car(buildListing(value, context.user)).validate();
+      return { success: true };
+    }
+
+    const created = await createListing(context, value, { details: { importJob: jobId }, searchAlerts: false });
+    return { success: true, car: created._id, listing: created };
+  } catch (validationError) {
+    if (!(validationError instanceof mongoose.Error.ValidationError)) throw validationError;
+
+    return {
+      success: false,
+      issues: Object.values(validationError.errors).map(detail => ({
+        field: detail.path,
+        message: detail.message
+      }))
+    };
+  }
+};
+
+/**
+ * Process every row of an import job, saving progress as it goes
+ * @param {Object} job - ImportJob document
+ * @param {Object[]} rows - Parsed rows as { line, car } or { line, issues }
+ * @param {Object} context - Request, or { user, ip, id } once the response has been sent
+ * @returns {Promise<Object>} The finished job
+ */
+export const runImportJob = async (job, rows, context) => {
+  job.status = 'processing';
+  job.startedAt = new Date();
+  await job.save();
+
+  // Saved searches are matched against each batch of created cars at once
+  const created = [];
+
+  try {
+    for (const { line, car, issues } of rows) {
+      const { listing, ...result } = issues
+        ? { success: false, issues }
+        : await importRow(context, car, { dryRun: job.dryRun, jobId: job._id });
+
+      if (listing) created.push(listing);
+      job.rows.push({ line, ...result });
+      job.processedRows += 1;
+      job[result.success ? 'succeeded' : 'failed'] += 1;
+
+      if (job.processedRows % PROGRESS_INTERVAL === 0) {
+        await recordSearchAlertsSafely(created.splice(0));
+        await job.save();
+      }
+    }
+
+    job.status = 'completed';
+  } catch (error) {
+    // Rows already imported stay; the report shows how far the job got
+    console.error(`Import job ${job._id} failed:`, error.message);
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  if (created.length) await recordSearchAlertsSafely(created);
+
+  job.finishedAt = new Date();
+  return job.save();
+};
+
+/**
+ * Mark import jobs that stopped saving progress as failed. Background jobs only run inside the
+ * process that accepted the upload, so a restart leaves them pending or processing forever.
+ * @returns {Promise<number>} Number of jobs marked as failed
+ */
+export const failStaleImportJobs = async () => {
+  const cutoff = new Date(Date.now() - importStaleMinutes() * 60 * 1000);
+
+  const result = await ImportJob.updateMany(
+    { status: { $in: ['pending', 'processing'] }, updatedAt: { $lt: cutoff } },
+    {
+      status: 'failed',
+      error: 'The import was interrupted; rows after the last reported one may not have been imported',
+      finishedAt: new Date()
+    }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Fail interrupted import jobs now and then every IMPORT_STALE_MINUTES
+ * @returns {Object} Interval timer; it does not keep the process alive
+ */
+export const scheduleImportJobRecovery = () => {
+  const recover = async () => {
+    try {
+      const failed = await failStaleImportJobs();
+      if (failed) console.log(`Marked ${failed} interrupted import jobs as failed`);
+    } catch (error) {
+      console.error('Failed to recover interrupted import jobs:', error.message);
+    }
+  };
+
+  recover();
+  const timer = setInterval(recover, importStaleMinutes() * 60 * 1000);
+
+  return timer.unref();
+};
@@ -0,0 +1,76 @@
+import { publicListingFilter } from '../models/Car.js';
+import { withinRadius } from './geo.js';
+
+/**
+ * Build the MongoDB conditions for the car listing query parameters.
+ * Conditions on facetable fields are kept apart, keyed by facet name, so that
+ * facet counts can apply every active filter except their own.
+ * @param {Object} params - Validated query parameters
+ * @returns {Object} base conditions and facetable conditions
+ */
+export const buildCarQuery = (params) => {
+  const {
+    q,
+    make,
+    model,
+    minPrice,
+    maxPrice,
+    minYear,
+    maxYear,
+    minMileage,
+    maxMileage,
+    fuelType,
+    transmission,
+    bodyType,
+    city,
+    state,
+    lat,
+    lng,
+    radiusKm,
+    priceDropped,
+    status = 'available'
+  } = params;
+
+  const range = (min, max) => {
+    const condition = {};
+    if (min !== undefined && min !== '') condition.$gte = Number(min);
+    if (max !== undefined && max !== '') condition.$lte = Number(max);
+    return condition;
+  };
+
+  const base = { ...publicListingFilter(), status };
+
+  // Full-text search over the weighted text index
+  if (q) base.$text = { $search: q };
+  if (model) base.model = new RegExp(model, 'i');
+  if (state) base['location.state'] = new RegExp(state, 'i');
+  // The most recent price change was a drop
+  if (priceDropped) base.$expr = { $gt: ['$previousPrice', '$price'] };
+  // Radius search only matches listings with coordinates
+  if (lat !== undefined && lng !== undefined) Object.assign(base, withinRadius({ lat, lng, radiusKm }));
+
+  const facetable = {};
+
+  if (make) facetable.make = { make: new RegExp(make, 'i') };
+  if (minPrice || maxPrice) facetable.price = { price: range(minPrice, maxPrice) };
+  if (minYear || maxYear) facetable.year = { year: range(minYear, maxYear) };
+  if (minMileage !== undefined || maxMileage !== undefined) {
+    facetable.mileage = { mileage: range(minMileage, maxMileage) };
+  }
+  if (fuelType) facetable.fuelType = { fuelType };
+  if (transmission) facetable.transmission = { transmission };
+  if (bodyType) facetable.bodyType = { bodyType };
+  if (city) facetable.city = { 'location.city': new RegExp(city, 'i') };
+
+  return { base, facetable };
+};
+
+/**
+ * Build the complete MongoDB filter for the car listing query parameters
+ * @param {Object} params - Validated query parameters
+ * @returns {Object} MongoDB filter with every condition applied
+ */
+export const carQueryFilter = (params) => {
+  const { base, facetable } = buildCarQuery(params);
+  return Object.assign({}, base, ...Object.values(facetable));
+};
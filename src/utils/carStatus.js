@@ -0,0 +1,126 @@
+import Car from '../models/Car.js';
+import StatusHistory from '../models/StatusHistory.js';
+import { recordSearchAlertsSafely } from './searchAlerts.js';
+import { cancelCarAppointments } from './appointments.js';
+import { declineOpenOffers } from './offers.js';
+import { recordAudit } from './audit.js';
+
+// Longest a car can be reserved for
+export const MAX_RESERVATION_DAYS = 30;
+
+// Allowed sale status changes: the states each action starts from and the state it leads to
+export const STATUS_TRANSITIONS = {
+  reserve: { from: ['available'], to: 'reserved' },
+  release: { from: ['reserved'], to: 'available' },
+  markSold: { from: ['available', 'reserved'], to: 'sold' },
+  relist: { from: ['sold'], to: 'available' }
+};
+
+/**
+ * Get the default expiry of a new reservation
+ * @returns {Date} RESERVATION_HOURS (48 by default) from now
+ */
+export const defaultReservationExpiry = () => {
+  const hours = parseInt(process.env.RESERVATION_HOURS) || 48;
+  return new Date(Date.now() + hours * 60 * 60 * 1000);
+};
+
+/**
+ * Change a car's sale status, record the change and run its side effects
+ * @param {Object} car - Car document
+ * @param {string} action - Key of STATUS_TRANSITIONS
+ * @param {Object} [options]
+ * @param {Object} [options.user] - User making the change; none for system changes
+ * @param {Object} [options.req] - Request the change came from, for the audit log
+ * @param {string} [options.reason] - Why the status changed
+ * @param {Date} [options.expiresAt] - When a reservation runs out
+ * @param {Object} [options.filter] - Extra conditions the car must still meet
+ * @returns {Promise<Object|null>} Updated car, or null if the car's status no longer allows the change
+ */
+export const changeCarStatus = async (car, action, { user, req, reason, expiresAt, filter = {} } = {}) => {
+  const { from, to } = STATUS_TRANSITIONS[action];
+  const now = new Date();
+
+  const update = to === 'reserved'
+    ? { status: to, statusChangedAt: now, reservation: { expiresAt, reason } }
+    : { status: to, statusChangedAt: now, $unset: { reservation: 1 } };
+
+  // Guard on the current status so concurrent changes cannot skip a transition
+  const previous = await Car.findOneAndUpdate(
+    { ...filter, _id: car._id, status: { $in: from } },
+    update,
+    { runValidators: true }
+  );
+  if (!previous) return null;
+
+  await StatusHistory.create({
+    car: car._id,
+    from: previous.status,
+    to,
+    changedBy: user?._id ?? null,
+    reason,
+    expiresAt: to === 'reserved' ? expiresAt : undefined
+  });
+
+  const updated = await Car.findById(car._id).select('-__v');
+  await recordAudit(req, {
+    action: 'car.status_change',
+    targetType: 'Car',
+    target: car,
+    before: previous,
+    after: updated,
+    details: reason ? { reason } : undefined,
+    actor: user ?? null
+  });
+
+  // Nobody can test drive or negotiate for a car that has been sold
+  if (to === 'sold') {
+    await cancelCarAppointments(updated, 'car sold');
+    await declineOpenOffers(updated, { reason: 'car sold' });
+  }
+
+  // A listing back on sale is news to saved searches that match it
+  if (to === 'available') {
+    await recordSearchAlertsSafely(updated, { relisted: true });
+  }
+
+  return updated;
+};
+
+/**
+ * Release every reservation that has run out
+ * @returns {Promise<number>} Number of cars made available again
+ */
+export const expireReservations = async () => {
+  const now = new Date();
+  const expired = await Car.find({ status: 'reserved', 'reservation.expiresAt': { $lte: now } });
+
+  let released = 0;
+  for (const car of expired) {
+    const updated = await changeCarStatus(car, 'release', {
+      reason: 'Reservation expired',
+      filter: { 'reservation.expiresAt': { $lte: now } }
+    });
+    if (updated) released += 1;
+  }
+
+  return released;
+};
+
+/**
+ * Check for expired reservations every RESERVATION_CHECK_INTERVAL_SECONDS (60 by default)
+ * @returns {Object} Interval timer; it does not keep the process alive
+ */
+export const scheduleReservationExpiry = () => {
+  const seconds = parseInt(process.env.RESERVATION_CHECK_INTERVAL_SECONDS) || 60;
+
+  const timer = setInterval(async () => {
+    try {
+      await expireReservations();
+    } catch (error) {
+      console.error('Failed to expire reservations:', error.message);
+    }
+  }, seconds * 1000);
+
+  return timer.unref();
+};
@@ -0,0 +1,101 @@
+/**
+ * Parse CSV text (RFC 4180: comma separated, double-quoted cells, "" for a quote inside a quoted cell)
+ * keeping the line of the file each row starts on
+ * @param {string} text - CSV text; a leading byte order mark and CRLF line endings are accepted
+ * @returns {Object[]} Rows as { line, cells }, line 1 being the first line; blank lines are skipped
+ * @throws {Error} If a quoted cell is not closed
+ */
+export const parseCsvRows = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let index = 0;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(cell);
+    // A line with nothing on it is not a row
+    if (row.length > 1 || row[0] !== '') rows.push({ line: rowLine, cells: row });
+    row = [];
+    cell = '';
+  };
+
+  while (index < input.length) {
+    const char = input[index];
+
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        cell += '"';
+        index += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+        // Line breaks inside a quoted cell still move to the next line of the file
+        if (char === '\n' || (char === '\r' && input[index + 1] !== '\n')) line += 1;
+      }
+      index += 1;
+      continue;
+    }
+
+    if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      endRow();
+      if (char === '\r' && input[index + 1] === '\n') index += 1;
+      line += 1;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+    index += 1;
+  }
+
+  if (quoted) {
+    throw new Error(`Unclosed quoted cell starting on line ${rowLine}`);
+  }
+  if (cell !== '' || row.length) endRow();
+
+  return rows;
+};
+
+/**
+ * Parse CSV text into rows of cells
+ * @param {string} text - CSV text, as accepted by parseCsvRows
+ * @returns {string[][]} Rows of cells; blank lines are skipped
+ * @throws {Error} If a quoted cell is not closed
+ */
+export const parseCsv = (text) => parseCsvRows(text).map(row => row.cells);
+
+// Leading characters that make spreadsheets read a cell as a formula. Signs before a digit are
+// left alone so numbers and phone numbers like +91 98765 43210 survive
+const FORMULA_START = /^(?:[=@\t\r]|[+-](?!\d))/;
+
+/**
+ * Format one CSV cell, quoting it when needed
+ * @param {*} value - Cell value; null and undefined become empty cells, dates ISO 8601 strings
+ * @returns {string} CSV cell
+ */
+export const formatCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format one CSV line
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line ending in CRLF
+ */
+export const formatCsvRow = (values) => `${values.map(formatCsvCell).join(',')}\r\n`;
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+/**
+ * Get the sort keys for a listing sort option, always ending with _id so
+ * that every position in the result set is unique
+ * @param {string} sort - Sort option from carQuerySchema (e.g. '-price', 'relevance' or 'distance')
+ * @returns {Array<[string, number]>} Ordered [field, direction] pairs
+ */
+export const getSortKeys = (sort) => {
+  if (sort === 'relevance') {
+    return [['score', -1], ['_id', 1]];
+  }
+
+  const direction = sort.startsWith('-') ? -1 : 1;
+  const field = sort.replace(/^-/, '');
+
+  return [[field, direction], ['_id', direction]];
+};
+
+/**
+ * Create an opaque cursor pointing at a document's position in a sort order
+ * @param {string} sort - Sort option the cursor belongs to
+ * @param {Object} doc - Document at the cursor position
+ * @returns {string} Base64url encoded cursor
+ */
+export const encodeCursor = (sort, doc) => {
+  const [[field]] = getSortKeys(sort);
+  // Computed fields (score, distance) are outside the schema, so read them with get()
+  const raw = typeof doc.get === 'function' ? doc.get(field) : doc[field];
+  const value = raw instanceof Date ? raw.toISOString() : raw;
+
+  return Buffer.from(JSON.stringify({ s: sort, v: value, id: String(doc._id) })).toString('base64url');
+};
+
+/**
+ * Decode a cursor created by encodeCursor
+ * @param {string} cursor - Cursor from the client
+ * @param {string} sort - Sort option of the current request
+ * @returns {Object} Sort value and document ID at the cursor position
+ */
+export const decodeCursor = (cursor, sort) => {
+  let decoded;
+
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid pagination cursor');
+  }
+
+  if (!decoded || !mongoose.isValidObjectId(decoded.id) || decoded.v === undefined) {
+    throw new Error('Invalid pagination cursor');
+  }
+
+  if (decoded.s !== sort) {
+    throw new Error('Pagination cursor does not match the requested sort order');
+  }
+
+  const [[field]] = getSortKeys(sort);
+  const value = field === 'createdAt' ? new Date(decoded.v) : decoded.v;
+
+  if (value instanceof Date ? Number.isNaN(value.getTime()) : typeof value !== 'number') {
+    throw new Error('Invalid pagination cursor');
+  }
+
+  return { value, id: new mongoose.Types.ObjectId(decoded.id) };
+};
+
+/**
+ * Build the condition selecting documents after (or before) a cursor position
+ * @param {string} sort - Sort option
+ * @param {Object} position - Decoded cursor from decodeCursor
+ * @param {string} direction - 'after' or 'before'
+ * @returns {Object} MongoDB condition
+ */
+export const buildCursorCondition = (sort, { value, id }, direction = 'after') => {
+  const [[field, fieldDirection], [, idDirection]] = getSortKeys(sort);
+  const forward = direction === 'after';
+  const operator = (sortDirection) => ((sortDirection > 0) === forward ? '$gt' : '$lt');
+
+  return {
+    $or: [
+      { [field]: { [operator(fieldDirection)]: value } },
+      { [field]: value, _id: { [operator(idDirection)]: id } }
+    ]
+  };
+};
@@ -0,0 +1,83 @@
+import cities from '../data/cities.js';
+
+// Mean Earth radius used for distance calculations
+export const EARTH_RADIUS_KM = 6371;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// Gazetteer lookup table: city name (and aliases) -> entries sharing that name
+const gazetteer = new Map();
+for (const entry of cities) {
+  for (const name of [entry.city, ...(entry.aliases || [])]) {
+    const key = normalize(name);
+    gazetteer.set(key, [...(gazetteer.get(key) || []), entry]);
+  }
+}
+
+/**
+ * Convert latitude/longitude into a GeoJSON point
+ * @param {Object} coordinates - lat and lng in decimal degrees
+ * @returns {Object} GeoJSON Point (note GeoJSON orders coordinates as [lng, lat])
+ */
+export const toGeoPoint = ({ lat, lng }) => ({
+  type: 'Point',
+  coordinates: [lng, lat]
+});
+
+/**
+ * Look up a listing location in the offline city gazetteer
+ * @param {Object} location - Listing location with city, state and country
+ * @returns {Object|null} GeoJSON point of the city centre, or null if the city is unknown
+ */
+export const geocodeLocation = ({ city, state, country = 'India' } = {}) => {
+  if (normalize(country) !== 'india') return null;
+
+  const matches = gazetteer.get(normalize(city)) || [];
+  // Prefer the entry in the listing's state; fall back to the name alone when it is unambiguous
+  const match = matches.find(entry => normalize(entry.state) === normalize(state)) ||
+    (matches.length === 1 ? matches[0] : null);
+
+  return match ? toGeoPoint(match) : null;
+};
+
+/**
+ * Build the MongoDB condition for listings within a radius of a point
+ * @param {Object} origin - lat, lng and radiusKm
+ * @returns {Object} $geoWithin condition on location.geo
+ */
+export const withinRadius = ({ lat, lng, radiusKm }) => ({
+  'location.geo': {
+    $geoWithin: { $centerSphere: [[lng, lat], radiusKm / EARTH_RADIUS_KM] }
+  }
+});
+
+/**
+ * Build an aggregation expression for the great-circle (haversine) distance
+ * in kilometres between a listing and a point.
+ * $geoNear is not used because it cannot be combined with $text search.
+ * @param {Object} origin - lat and lng in decimal degrees
+ * @returns {Object} Aggregation expression
+ */
+export const distanceExpression = ({ lat, lng }) => {
+  const toRadians = (value) => ({ $degreesToRadians: value });
+  const listingLng = { $arrayElemAt: ['$location.geo.coordinates', 0] };
+  const listingLat = { $arrayElemAt: ['$location.geo.coordinates', 1] };
+  const halfSinSquared = (delta) => ({ $pow: [{ $sin: { $divide: [delta, 2] } }, 2] });
+
+  const a = {
+    $add: [
+      halfSinSquared({ $subtract: [toRadians(listingLat), toRadians(lat)] }),
+      {
+        $multiply: [
+          { $cos: toRadians(lat) },
+          { $cos: toRadians(listingLat) },
+          halfSinSquared({ $subtract: [toRadians(listingLng), toRadians(lng)] })
+        ]
+      }
+    ]
+  };
+
+  return {
+    $multiply: [2 * EARTH_RADIUS_KM, { $asin: { $sqrt: { $min: [a, 1] } } }]
+  };
+};
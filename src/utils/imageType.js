@@ -0,0 +1,31 @@
+// Image formats accepted for listing photos, identified by their leading bytes
+const SIGNATURES = [
+  {
+    mime: 'image/jpeg',
+    extension: 'jpg',
+    matches: (buffer) => buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff
+  },
+  {
+    mime: 'image/png',
+    extension: 'png',
+    matches: (buffer) => buffer.length >= 8 &&
+      buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  {
+    mime: 'image/webp',
+    extension: 'webp',
+    matches: (buffer) => buffer.length >= 12 &&
+      buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP'
+  }
+];
+
+/**
+ * Detect the real type of an uploaded image from its content.
+ * The client-supplied file name and Content-Type are not trusted.
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} mime and extension, or null if it is not a JPEG, PNG or WebP image
+ */
+export const detectImageType = (buffer) => {
+  const signature = SIGNATURES.find(({ matches }) => matches(buffer));
+  return signature ? { mime: signature.mime, extension: signature.extension } : null;
+};
@@ -21,11 +21,14 @@ export const generateToken = (payload, expiresIn = process.env.JWT_EXPIRES_IN ||
 /**
  * Verify JWT token
  * @param {string} token - The token to verify
+ * @param {string} [type] - Expected token type ('access' or 'refresh')
  * @returns {Object} Decoded token payload
  */
-export const verifyToken = (token) => {
+export const verifyToken = (token, type) => {
+  let decoded;
+
   try {
-    return jwt.verify(token, process.env.JWT_SECRET, {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, {
       issuer: 'car-listing-api',
       audience: 'car-listing-app'
     });
@@ -38,23 +41,39 @@ export const verifyToken = (token) => {
       throw new Error('Token verification failed');
     }
   }
+
+  if (type && decoded.type !== type) {
+    throw new Error('Invalid token type');
+  }
+
+  return decoded;
 };
 
 /**
  * Generate access and refresh tokens
  * @param {Object} user - User object
+ * @param {Object} [session] - Session the refresh token belongs to
  * @returns {Object} Object containing access and refresh tokens
  */
-export const generateTokens = (user) => {
+export const generateTokens = (user, session) => {
+  const sessionClaims = session ? { sid: session._id } : {};
+
   const payload = {
     id: user._id,
     email: user.email,
     username: user.username,
-    role: user.role
+    role: user.role,
+    type: 'access',
+    ...sessionClaims
   };
 
   const accessToken = generateToken(payload, '15m'); // Short-lived access token
-  const refreshToken = generateToken({ id: user._id }, '7d'); // Long-lived refresh token
+  const refreshToken = generateToken({
+    id: user._id,
+    type: 'refresh',
+    ...sessionClaims,
+    ...(session && { jti: session.tokenId })
+  }, '7d'); // Long-lived refresh token, rotated on every use
 
   return {
     accessToken,
@@ -63,6 +82,18 @@ export const generateTokens = (user) => {
   };
 };
 
+/**
+ * Generate a short-lived challenge token for the second step of a two-factor login
+ * @param {Object} user - User who passed the password check
+ * @returns {Object} Object containing the challenge token and its lifetime
+ */
+export const generateTwoFactorChallenge = (user) => {
+  return {
+    challengeToken: generateToken({ id: user._id, type: '2fa_challenge' }, '5m'),
+    expiresIn: 5 * 60 // 5 minutes in seconds
+  };
+};
+
 /**
  * Extract token from Authorization header
  * @param {string} authHeader - Authorization header value
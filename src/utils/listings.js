@@ -0,0 +1,72 @@
+import Car from '../models/Car.js';
+import { toGeoPoint, geocodeLocation } from './geo.js';
+import { recordSearchAlertsSafely } from './searchAlerts.js';
+import { recordPriceSafely } from './priceHistory.js';
+import { recordRevisionSafely } from './revisions.js';
+import { recordAudit } from './audit.js';
+
+/**
+ * Check whether a user's listings must be reviewed before going live
+ * @param {Object} user - Authenticated user
+ * @returns {boolean} False for trusted sellers and admins
+ */
+export const requiresModeration = (user) => !(user.trustedSeller || user.role === 'admin');
+
+/**
+ * Build the moderation state of a listing entering the review queue
+ * @param {Object} [car] - Current listing; one already waiting keeps its place in the queue
+ * @returns {Object} Pending moderation state with the time it was submitted
+ */
+export const pendingModeration = (car) => ({
+  status: 'pending',
+  submittedAt: (car?.moderation?.status === 'pending' && car.moderation.submittedAt) || new Date()
+});
+
+/**
+ * Resolve the GeoJSON point of a submitted listing location
+ * @param {Object} location - Validated location, optionally with exact coordinates
+ * @returns {Object} Location with geo set from the coordinates or the city gazetteer
+ */
+export const withGeoPoint = ({ coordinates, ...location }) => {
+  const geo = coordinates ? toGeoPoint(coordinates) : geocodeLocation(location);
+  return geo ? { ...location, geo } : location;
+};
+
+/**
+ * Build the fields of a new listing from a validated car body
+ * @param {Object} body - Body validated with carValidationSchema
+ * @param {Object} user - User creating the listing
+ * @returns {Object} Car fields, owned by the user and queued for moderation if needed
+ */
+export const buildListing = (body, user) => ({
+  ...body,
+  location: withGeoPoint(body.location),
+  owner: user._id,
+  seller: {
+    ...body.seller,
+    email: user.email // Set seller email from authenticated user
+  },
+  moderation: requiresModeration(user) ? pendingModeration() : { status: 'approved' }
+});
+
+/**
+ * Create a listing and record its first price, revision and audit entry
+ * @param {Object} req - Express request, or { user, ip, id } for work done after the response
+ * @param {Object} body - Body validated with carValidationSchema
+ * @param {Object} [options]
+ * @param {Object} [options.details] - Extra context for the audit entry
+ * @param {boolean} [options.searchAlerts=true] - Match saved searches now; bulk callers match their cars together
+ * @returns {Promise<Object>} Created car
+ */
+export const createListing = async (req, body, { details, searchAlerts = true } = {}) => {
+  const car = await Car.create(buildListing(body, req.user));
+  // The listing exists from here on, so bookkeeping failures must not fail the request
+  await recordPriceSafely(car, null, req.user);
+  await recordRevisionSafely(car, { type: 'created', user: req.user });
+  await recordAudit(req, { action: 'car.create', targetType: 'Car', target: car, after: car, details });
+
+  // Alert users whose saved searches match (pending listings are picked up on approval)
+  if (searchAlerts) await recordSearchAlertsSafely(car);
+
+  return car;
+};
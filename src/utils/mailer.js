@@ -0,0 +1,84 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Console transport
+ * Prints messages to stdout, useful for local development
+ */
+export const consoleTransport = {
+  name: 'console',
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+};
+
+/**
+ * File transport
+ * Writes each message as a JSON file into a directory, useful for tests and local inspection
+ * @param {string} dir - Directory to write messages into
+ * @returns {Object} Mail transport
+ */
+export const createFileTransport = (dir = process.env.MAIL_FILE_DIR || 'tmp/mail') => ({
+  name: 'file',
+  async send(message) {
+    await fs.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    await fs.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  }
+});
+
+const transports = {
+  console: () => consoleTransport,
+  file: () => createFileTransport()
+};
+
+let activeTransport = null;
+
+/**
+ * Register a mail transport that can be selected with MAIL_TRANSPORT
+ * @param {string} name - Transport name
+ * @param {Function} factory - Function returning an object with an async send(message) method
+ */
+export const registerTransport = (name, factory) => {
+  transports[name] = factory;
+};
+
+/**
+ * Replace the active mail transport
+ * @param {Object|null} transport - Object with an async send(message) method, or null to reset
+ */
+export const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Get the active mail transport, resolving it from MAIL_TRANSPORT on first use
+ * @returns {Object} Mail transport
+ */
+export const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const factory = transports[name];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    activeTransport = factory();
+  }
+
+  return activeTransport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - Message with to, subject and text
+ * @returns {Promise<void>}
+ */
+export const sendMail = async ({ to, subject, text }) => {
+  const from = process.env.MAIL_FROM || 'no-reply@car-listing.local';
+  await getTransport().send({ from, to, subject, text });
+};
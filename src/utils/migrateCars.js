@@ -1,16 +1,89 @@
 import mongoose from 'mongoose';
 import Car from '../models/Car.js';
 import User from '../models/User.js';
+import { geocodeLocation } from './geo.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
+/**
+ * Backfill the owner reference on cars created before listings were tied to users.
+ * Matches on seller email first, then falls back to the seller name.
+ */
+const backfillOwners = async () => {
+  const carsWithoutOwner = await Car.find({
+    $or: [
+      { owner: { $exists: false } },
+      { owner: null }
+    ]
+  });
+
+  console.log(`Found ${carsWithoutOwner.length} cars without an owner`);
+
+  for (const car of carsWithoutOwner) {
+    try {
+      let user = null;
+
+      if (car.seller.email) {
+        user = await User.findOne({ email: car.seller.email });
+      }
+
+      if (!user) {
+        user = await User.findOne({
+          $or: [
+            { username: car.seller.name },
+            { email: car.seller.name }
+          ]
+        });
+      }
+
+      if (user) {
+        await Car.findByIdAndUpdate(car._id, { owner: user._id });
+        console.log(`Set owner of car ${car._id} to user ${user._id}`);
+      } else {
+        console.log(`No owner found for car ${car._id} with seller: ${car.seller.name}`);
+      }
+    } catch (error) {
+      console.error(`Error setting owner for car ${car._id}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Geocode cars created before listings had coordinates, using the offline city gazetteer.
+ */
+const backfillCoordinates = async () => {
+  const carsWithoutCoordinates = await Car.find({ 'location.geo': { $exists: false } });
+
+  console.log(`Found ${carsWithoutCoordinates.length} cars without coordinates`);
+
+  for (const car of carsWithoutCoordinates) {
+    try {
+      const geo = geocodeLocation(car.location);
+
+      if (geo) {
+        await Car.findByIdAndUpdate(car._id, { 'location.geo': geo });
+        console.log(`Geocoded car ${car._id} to ${car.location.city}`);
+      } else {
+        console.log(`No gazetteer entry for car ${car._id} in ${car.location.city}, ${car.location.state}`);
+      }
+    } catch (error) {
+      console.error(`Error geocoding car ${car._id}:`, error.message);
+    }
+  }
+};
+
 const migrateCars = async () => {
   try {
     // Connect to MongoDB
     await mongoose.connect(process.env.MONGODB_URI);
     console.log('Connected to MongoDB');
 
+    // Owners are resolved before placeholder emails are written below,
+    // otherwise those placeholders would never match a real user
+    await backfillOwners();
+    await backfillCoordinates();
+
     // Find all cars with empty or missing seller email
     const carsToUpdate = await Car.find({
       $or: [
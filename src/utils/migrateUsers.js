@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Mark accounts created before email verification existed as verified, so their owners can keep
+ * publishing listings. New accounts always store emailVerified, so only older ones lack the field.
+ */
+const grandfatherEmailVerification = async () => {
+  const result = await User.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+
+  console.log(`Marked ${result.modifiedCount} existing users as verified`);
+};
+
+const migrateUsers = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    await grandfatherEmailVerification();
+
+    console.log('Migration completed');
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run migration if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrateUsers();
+}
+
+export default migrateUsers;
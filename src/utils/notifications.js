@@ -0,0 +1,59 @@
+import Notification from '../models/Notification.js';
+import Favorite from '../models/Favorite.js';
+import SearchAlert from '../models/SearchAlert.js';
+
+/**
+ * Get the users following a car: those who favorited it or were alerted about it by a saved search
+ * @param {Object} car - Car document
+ * @returns {Promise<Object[]>} Unique user IDs, excluding the car's owner
+ */
+const getCarFollowers = async (car) => {
+  const [favorites, alerts] = await Promise.all([
+    Favorite.find({ car: car._id }).select('user'),
+    SearchAlert.find({ car: car._id }).select('user')
+  ]);
+
+  const followers = new Map([...favorites, ...alerts].map(({ user }) => [user.toString(), user]));
+  if (car.owner) followers.delete(car.owner.toString());
+
+  return [...followers.values()];
+};
+
+/**
+ * Notify everyone following a car that its price dropped
+ * @param {Object} car - Car document with the new price
+ * @param {number} previousPrice - Price before the drop
+ * @returns {Promise<number>} Number of notifications created
+ */
+export const notifyPriceDrop = async (car, previousPrice) => {
+  if (!car.isPublic() || car.status === 'sold' || car.price >= previousPrice) return 0;
+
+  const followers = await getCarFollowers(car);
+  if (followers.length === 0) return 0;
+
+  const percent = Math.round(((previousPrice - car.price) / previousPrice) * 1000) / 10;
+
+  await Notification.insertMany(followers.map(user => ({
+    user,
+    type: 'price_drop',
+    car: car._id,
+    message: `The price of ${car.title} dropped by ${percent}% to ${car.formattedPrice}`,
+    data: { previousPrice, price: car.price, percent }
+  })));
+
+  return followers.length;
+};
+
+/**
+ * Run a notification helper without letting a failure affect the request that triggered it
+ * @param {Function} notify - Notification helper
+ * @param {...*} args - Arguments for the helper
+ * @returns {Promise<void>}
+ */
+export const notifySafely = async (notify, ...args) => {
+  try {
+    await notify(...args);
+  } catch (error) {
+    console.error(`Failed to send ${notify.name} notifications:`, error.message);
+  }
+};
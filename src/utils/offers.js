@@ -0,0 +1,132 @@
+import Offer, { OPEN_OFFER_STATUSES } from '../models/Offer.js';
+import Notification from '../models/Notification.js';
+
+const formatAmount = (amount) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR'
+}).format(amount);
+
+/**
+ * Get the expiry of an offer move
+ * @returns {Date} OFFER_EXPIRY_HOURS (48 by default) from now
+ */
+export const offerExpiry = () => {
+  const hours = parseInt(process.env.OFFER_EXPIRY_HOURS) || 48;
+  return new Date(Date.now() + hours * 60 * 60 * 1000);
+};
+
+/**
+ * Build the notification for a change to an offer
+ * @param {string} user - User to notify
+ * @param {Object} offer - Offer after the change
+ * @param {Object} car - Car the offer is for
+ * @param {string} summary - What happened, e.g. 'Offer accepted'
+ * @returns {Object} Notification fields
+ */
+const offerNotification = (user, offer, car, summary) => ({
+  user,
+  type: 'offer',
+  car: car._id,
+  message: `${summary}: ${formatAmount(offer.amount)} for ${car.title}`,
+  data: { offer: offer._id, status: offer.status, amount: offer.amount }
+});
+
+/**
+ * Tell a participant about a change to an offer
+ * @param {string} user - User to notify
+ * @param {Object} offer - Offer after the change
+ * @param {Object} car - Car the offer is for
+ * @param {string} summary - What happened
+ * @returns {Promise<Object>} Created notification
+ */
+export const notifyOffer = (user, offer, car, summary) => {
+  return Notification.create(offerNotification(user, offer, car, summary));
+};
+
+/**
+ * Decline the open offers on a car on the seller's behalf and tell the buyers
+ * @param {Object} car - Car document
+ * @param {Object} options
+ * @param {string} options.reason - Why the offers were declined
+ * @param {string} [options.except] - Offer to leave alone (the accepted one)
+ * @returns {Promise<number>} Number of offers declined
+ */
+export const declineOpenOffers = async (car, { reason, except } = {}) => {
+  const filter = { car: car._id, status: { $in: OPEN_OFFER_STATUSES } };
+  if (except) filter._id = { $ne: except };
+
+  const offers = await Offer.find(filter).select('buyer amount');
+  if (offers.length === 0) return 0;
+
+  await Offer.updateMany(
+    { _id: { $in: offers.map(offer => offer._id) }, status: { $in: OPEN_OFFER_STATUSES } },
+    {
+      status: 'declined',
+      $push: { history: { action: 'decline', by: null, message: reason, at: new Date() } }
+    }
+  );
+
+  await Notification.insertMany(offers.map(offer => offerNotification(
+    offer.buyer,
+    { _id: offer._id, amount: offer.amount, status: 'declined' },
+    car,
+    `Offer declined (${reason})`
+  )));
+
+  return offers.length;
+};
+
+/**
+ * Expire an open offer if its response time has run out, and tell both parties
+ * @param {Object} offer - Offer document with car populated
+ * @returns {Promise<boolean>} True if this call expired the offer
+ */
+export const expireOffer = async (offer) => {
+  const now = new Date();
+  const expired = await Offer.findOneAndUpdate(
+    { _id: offer._id, status: { $in: OPEN_OFFER_STATUSES }, expiresAt: { $lte: now } },
+    { status: 'expired', $push: { history: { action: 'expire', by: null, at: now } } },
+    { new: true }
+  );
+  if (!expired) return false;
+
+  await Notification.insertMany([offer.buyer, offer.seller].map(user =>
+    offerNotification(user._id, expired, offer.car, 'Offer expired')
+  ));
+
+  return true;
+};
+
+/**
+ * Expire every open offer whose response time has run out
+ * @returns {Promise<number>} Number of offers expired
+ */
+export const expireOffers = async () => {
+  const offers = await Offer.find({ status: { $in: OPEN_OFFER_STATUSES }, expiresAt: { $lte: new Date() } })
+    .populate('car', 'make model year');
+
+  let expired = 0;
+  for (const offer of offers) {
+    if (await expireOffer(offer)) expired += 1;
+  }
+
+  return expired;
+};
+
+/**
+ * Check for expired offers every OFFER_CHECK_INTERVAL_SECONDS (60 by default)
+ * @returns {Object} Interval timer; it does not keep the process alive
+ */
+export const scheduleOfferExpiry = () => {
+  const seconds = parseInt(process.env.OFFER_CHECK_INTERVAL_SECONDS) || 60;
+
+  const timer = setInterval(async () => {
+    try {
+      await expireOffers();
+    } catch (error) {
+      console.error('Failed to expire offers:', error.message);
+    }
+  }, seconds * 1000);
+
+  return timer.unref();
+};
@@ -0,0 +1,57 @@
+import PriceHistory from '../models/PriceHistory.js';
+import { notifyPriceDrop } from './notifications.js';
+
+/**
+ * Record a car's current price in its price history
+ * @param {Object} car - Car document with the new price
+ * @param {number|null} previousPrice - Price before the change, null for the initial listing price
+ * @param {Object} [user] - User who made the change
+ * @returns {Promise<Object>} Price history entry
+ */
+export const recordPrice = (car, previousPrice, user) => PriceHistory.create({
+  car: car._id,
+  price: car.price,
+  previousPrice,
+  changedBy: user?._id
+});
+
+/**
+ * Record a car's price without failing the request once the car itself has been saved;
+ * a failed write only leaves a gap in the history
+ * @param {Object} car - Car document with the new price
+ * @param {number|null} previousPrice - Price before the change, null for the initial listing price
+ * @param {Object} [user] - User who made the change
+ * @returns {Promise<void>}
+ */
+export const recordPriceSafely = async (car, previousPrice, user) => {
+  try {
+    await recordPrice(car, previousPrice, user);
+  } catch (error) {
+    console.error(`Failed to record the price of car ${car._id}:`, error.message);
+  }
+};
+
+/**
+ * Notify followers about the latest price change of a car if it is a drop they
+ * have not been told about. Drops on listings awaiting review are announced once
+ * the listing is approved.
+ * @param {Object} car - Car document
+ * @returns {Promise<number>} Number of notifications created
+ */
+export const announcePriceDrop = async (car) => {
+  if (!car.isPublic()) return 0;
+
+  const latest = await PriceHistory.findOne({ car: car._id }).sort({ changedAt: -1, _id: -1 });
+  if (!latest || latest.notifiedAt || latest.previousPrice === null || latest.price >= latest.previousPrice) {
+    return 0;
+  }
+
+  // Claim the entry so concurrent requests do not notify twice
+  const claimed = await PriceHistory.findOneAndUpdate(
+    { _id: latest._id, notifiedAt: null },
+    { notifiedAt: new Date() }
+  );
+  if (!claimed) return 0;
+
+  return notifyPriceDrop(car, latest.previousPrice);
+};
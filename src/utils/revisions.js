@@ -0,0 +1,92 @@
+import CarRevision, { REVISION_FIELDS } from '../models/CarRevision.js';
+import { diffFields } from './audit.js';
+
+/**
+ * Take the revisioned fields of a car
+ * @param {Object} car - Car document
+ * @returns {Object} Plain copy of the fields in REVISION_FIELDS that are set
+ */
+export const snapshotOf = (car) => {
+  const plain = car.toObject({ virtuals: false, depopulate: true });
+
+  return Object.fromEntries(REVISION_FIELDS
+    .filter(field => plain[field] !== undefined)
+    .map(field => [field, plain[field]]));
+};
+
+/**
+ * Remove storage keys from a snapshot before it is shown to a client
+ * @param {Object} snapshot - Revision snapshot
+ * @returns {Object} Snapshot whose images have no key
+ */
+export const publicSnapshot = (snapshot) => ({
+  ...snapshot,
+  ...(snapshot.images && { images: snapshot.images.map(({ key, ...image }) => image) })
+});
+
+/**
+ * List the fields that differ between two snapshots
+ * @param {Object} [before] - Older snapshot; none for the first revision
+ * @param {Object} after - Newer snapshot
+ * @returns {Object[]} Changes as { path, before, after }
+ */
+export const diffSnapshots = (before, after) =>
+  diffFields(before ? publicSnapshot(before) : {}, publicSnapshot(after));
+
+/**
+ * Save the current state of a car as its next revision
+ * @param {Object} car - Car document in the state to save
+ * @param {Object} options
+ * @param {string} options.type - 'created', 'edited', 'reverted' or 'captured'
+ * @param {Object} [options.user] - User who made the change
+ * @param {number} [options.revertedFrom] - Revision a revert restored
+ * @returns {Promise<Object>} Created revision
+ */
+export const recordRevision = async (car, { type, user, revertedFrom }) => {
+  // Two edits saved at once can pick the same number; the unique index makes the loser retry
+  for (let attempt = 1; ; attempt += 1) {
+    const latest = await CarRevision.findOne({ car: car._id }).sort({ revision: -1 }).select('revision');
+
+    try {
+      return await CarRevision.create({
+        car: car._id,
+        revision: (latest?.revision || 0) + 1,
+        type,
+        snapshot: snapshotOf(car),
+        editedBy: user?._id ?? null,
+        revertedFrom
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt === 3) throw error;
+    }
+  }
+};
+
+/**
+ * Save a revision without failing the request once the car itself has been saved. A missed
+ * revision is not lost for good: the next edit captures the state it would have held.
+ * @param {Object} car - Car document in the state to save
+ * @param {Object} options - Options for recordRevision
+ * @returns {Promise<void>}
+ */
+export const recordRevisionSafely = async (car, options) => {
+  try {
+    await recordRevision(car, options);
+  } catch (error) {
+    console.error(`Failed to record a revision of car ${car._id}:`, error.message);
+  }
+};
+
+/**
+ * Save the car's current state before an edit if its latest revision no longer matches it,
+ * so the edit can always be undone
+ * @param {Object} car - Car document as loaded before the edit
+ * @returns {Promise<void>}
+ */
+export const captureCurrentRevision = async (car) => {
+  const latest = await CarRevision.findOne({ car: car._id }).sort({ revision: -1 });
+
+  if (!latest || diffSnapshots(latest.snapshot, snapshotOf(car)).length) {
+    await recordRevision(car, { type: 'captured' });
+  }
+};
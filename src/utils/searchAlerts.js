@@ -0,0 +1,108 @@
+import Car from '../models/Car.js';
+import SavedSearch from '../models/SavedSearch.js';
+import SearchAlert from '../models/SearchAlert.js';
+import { carQueryFilter } from './carQuery.js';
+
+/**
+ * Narrow down saved searches that could match a car using the fields that are
+ * cheap to compare in MongoDB (exact values and ranges). The remaining filters
+ * (text, regex, radius) are checked against the car itself.
+ * @param {Object} car - Car document
+ * @returns {Object} MongoDB filter on saved searches
+ */
+const candidateSearchFilter = (car) => {
+  const atMost = (field, value) => ({ [`query.${field}`]: { $not: { $gt: value } } });
+  const atLeast = (field, value) => ({ [`query.${field}`]: { $not: { $lt: value } } });
+
+  return {
+    alertsEnabled: true,
+    // Sellers do not need alerts about their own listings
+    user: { $ne: car.owner },
+    'query.status': { $in: [null, car.status] },
+    'query.fuelType': { $in: [null, car.fuelType] },
+    'query.transmission': { $in: [null, car.transmission] },
+    'query.bodyType': { $in: [null, car.bodyType] },
+    ...atMost('minPrice', car.price),
+    ...atLeast('maxPrice', car.price),
+    ...atMost('minYear', car.year),
+    ...atLeast('maxYear', car.year),
+    ...atMost('minMileage', car.mileage),
+    ...atLeast('maxMileage', car.mileage)
+  };
+};
+
+// Saved searches checked against the database at the same time
+const MATCH_CONCURRENCY = 5;
+
+/**
+ * Record an alert for every saved search that newly available listings match.
+ * Matching runs each search's GET /api/cars filter against the cars, one query per
+ * search covering all of them, so alerts agree exactly with what the search returns.
+ * @param {Object[]} cars - Car documents that were created or became available
+ * @param {Object} options - relisted: the cars came back on sale, so existing alerts count as new again
+ * @returns {Promise<number>} Number of alerts recorded or refreshed
+ */
+export const recordSearchAlertsForCars = async (cars, { relisted = false } = {}) => {
+  const eligible = cars.filter(car => car.isPublic() && car.status === 'available');
+  if (eligible.length === 0) return 0;
+
+  const candidates = await SavedSearch.find({ $or: eligible.map(candidateSearchFilter) }).select('user query');
+  const owners = new Map(eligible.map(car => [String(car._id), car.owner]));
+  const carIds = eligible.map(car => car._id);
+
+  const matches = [];
+  for (let index = 0; index < candidates.length; index += MATCH_CONCURRENCY) {
+    const batch = candidates.slice(index, index + MATCH_CONCURRENCY);
+    const matched = await Promise.all(batch.map(search =>
+      Car.find({ ...carQueryFilter(search.query), _id: { $in: carIds } }).select('_id').lean()
+    ));
+
+    batch.forEach((search, position) => {
+      for (const { _id: carId } of matched[position]) {
+        // Candidates were found for any of the cars, so skip sellers' own listings again per car
+        if (search.user.equals(owners.get(String(carId)))) continue;
+        matches.push({ search, carId });
+      }
+    });
+  }
+
+  if (matches.length > 0) {
+    const matchedAt = new Date();
+    await SearchAlert.bulkWrite(matches.map(({ search, carId }) => ({
+      updateOne: {
+        filter: { savedSearch: search._id, car: carId },
+        update: relisted
+          ? { $set: { matchedAt }, $setOnInsert: { user: search.user } }
+          : { $setOnInsert: { user: search.user, matchedAt } },
+        upsert: true
+      }
+    })));
+  }
+
+  return matches.length;
+};
+
+/**
+ * Record an alert for every saved search that a newly available listing matches
+ * @param {Object} car - Car document that was created or became available
+ * @param {Object} options - Options for recordSearchAlertsForCars
+ * @returns {Promise<number>} Number of saved searches matched
+ */
+export const recordSearchAlerts = (car, options) => recordSearchAlertsForCars([car], options);
+
+/**
+ * Record search alerts without letting a failure affect the request that triggered them
+ * @param {Object|Object[]} cars - Car document, or several
+ * @param {Object} options - Options for recordSearchAlertsForCars
+ * @returns {Promise<void>}
+ */
+export const recordSearchAlertsSafely = async (cars, options) => {
+  const list = Array.isArray(cars) ? cars : [cars];
+
+  try {
+    await recordSearchAlertsForCars(list, options);
+  } catch (error) {
+    const target = list.length === 1 ? `car ${list[0]._id}` : `${list.length} cars`;
+    console.error(`Failed to record search alerts for ${target}:`, error.message);
+  }
+};
@@ -0,0 +1,85 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Local disk storage driver
+ * Writes files under a directory that the server exposes at /uploads
+ * @param {Object} options - dir to write into and baseUrl the files are served from
+ * @returns {Object} Storage driver
+ */
+export const createLocalStorage = ({
+  dir = process.env.UPLOAD_DIR || 'uploads',
+  baseUrl = process.env.UPLOAD_BASE_URL || '/uploads'
+} = {}) => {
+  const root = path.resolve(dir);
+
+  // Keys are generated by the server, but never let one escape the upload directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    dir: root,
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return `${baseUrl.replace(/\/$/, '')}/${key}`;
+    },
+    async remove(key) {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (error) {
+        // Already gone
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+const drivers = {
+  local: () => createLocalStorage()
+};
+
+let activeDriver = null;
+
+/**
+ * Register a storage driver that can be selected with STORAGE_DRIVER
+ * @param {string} name - Driver name
+ * @param {Function} factory - Function returning an object with async save(key, buffer, contentType) and remove(key) methods
+ */
+export const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+/**
+ * Replace the active storage driver
+ * @param {Object|null} driver - Storage driver, or null to reset
+ */
+export const setStorageDriver = (driver) => {
+  activeDriver = driver;
+};
+
+/**
+ * Get the active storage driver, resolving it from STORAGE_DRIVER on first use
+ * @returns {Object} Storage driver
+ */
+export const getStorageDriver = () => {
+  if (!activeDriver) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const factory = drivers[name];
+
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+
+    activeDriver = factory();
+  }
+
+  return activeDriver;
+};
@@ -0,0 +1,77 @@
+// Time zone of listings that don't set one (listings default to India)
+export const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Building Intl formatters is slow, so keep one per time zone
+const formatters = new Map();
+
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Check whether a string is an IANA time zone name (e.g. 'Asia/Kolkata')
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean} True if the runtime knows the time zone
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Convert an 'HH:mm' time of day to minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number} Minutes after midnight
+ */
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Get the wall-clock date and time of an instant in a time zone
+ * @param {Date} date - Instant in time
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} Local date ('YYYY-MM-DD'), weekday (0 = Sunday) and minutes after midnight
+ */
+export const toLocalTime = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    formatterFor(timeZone).formatToParts(date).map(({ type, value }) => [type, value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+/**
+ * Format an instant as local wall-clock time in a time zone
+ * @param {Date} date - Instant in time
+ * @param {string} timeZone - IANA time zone name
+ * @returns {string} Local time as 'YYYY-MM-DDTHH:mm'
+ */
+export const formatLocalTime = (date, timeZone) => {
+  const local = toLocalTime(date, timeZone);
+  return `${local.date}T${local.time}`;
+};
@@ -0,0 +1,142 @@
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode a buffer as RFC 4648 base32 (without padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string, ignoring case, spaces and padding
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 TOTP secret
+ * @param {number} size - Number of random bytes (20 bytes = 160 bits, as recommended by RFC 4226)
+ * @returns {string} Base32 secret
+ */
+export const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+/**
+ * Generate an HOTP code (RFC 4226)
+ * @param {Buffer} key - Shared secret bytes
+ * @param {number} counter - Moving factor
+ * @param {number} digits - Code length
+ * @returns {string} Zero-padded code
+ */
+export const generateHotp = (key, counter, digits = 6) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Generate a TOTP code (RFC 6238)
+ * @param {string} secret - Base32 secret
+ * @param {Object} options - time (ms), step (seconds) and digits
+ * @returns {string} Zero-padded code
+ */
+export const generateTotp = (secret, { time = Date.now(), step = 30, digits = 6 } = {}) => {
+  const counter = Math.floor(time / 1000 / step);
+  return generateHotp(base32Decode(secret), counter, digits);
+};
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - time (ms), step (seconds), digits and window (steps either side)
+ * @returns {number|null} Time step the code matched, or null if it is invalid
+ */
+export const verifyTotp = (secret, code, { time = Date.now(), step = 30, digits = 6, window = 1 } = {}) => {
+  if (typeof code !== 'string' || !new RegExp(`^\\d{${digits}}$`).test(code)) return null;
+
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(time / 1000 / step);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = generateHotp(key, currentStep + offset, digits);
+
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(code))) {
+      return currentStep + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build an otpauth:// URI that authenticator apps can import (usually as a QR code)
+ * @param {Object} options - secret, accountName and issuer
+ * @returns {string} otpauth URI
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: '6',
+    period: '30'
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
@@ -1,4 +1,7 @@
 import Joi from 'joi';
+import { DEFAULT_TIMEZONE, isValidTimeZone } from './timezone.js';
+import { AUDIT_ACTIONS } from '../models/AuditLog.js';
+import { EXPORT_COLUMNS, EXPORT_FORMATS } from './carExport.js';
 
 // Car validation schema
 export const carValidationSchema = Joi.object({
@@ -102,7 +105,8 @@ export const carValidationSchema = Joi.object({
   
   images: Joi.array()
     .items(Joi.object({
-      url: Joi.string().uri().required(),
+      // Uploaded images are served from a relative /uploads URL by default
+      url: Joi.string().uri({ allowRelative: true }).required(),
       alt: Joi.string().trim().max(200).allow('')
     }))
     .max(10)
@@ -113,7 +117,12 @@ export const carValidationSchema = Joi.object({
   location: Joi.object({
     city: Joi.string().trim().min(1).max(50).required(),
     state: Joi.string().trim().min(1).max(50).required(),
-    country: Joi.string().trim().min(1).max(50).default('India')
+    country: Joi.string().trim().min(1).max(50).default('India'),
+    // Exact position; when omitted the city is geocoded from the offline gazetteer
+    coordinates: Joi.object({
+      lat: Joi.number().min(-90).max(90).required(),
+      lng: Joi.number().min(-180).max(180).required()
+    })
   }).required(),
   
   seller: Joi.object({
@@ -125,9 +134,9 @@ export const carValidationSchema = Joi.object({
     email: Joi.string().email().trim().lowercase().allow('')
   }).required(),
   
+  // Only accepted unchanged; status is changed with the reserve, release, mark-sold and relist endpoints
   status: Joi.string()
     .valid('available', 'sold', 'reserved')
-    .default('available')
 });
 
 // User registration validation schema
@@ -190,23 +199,570 @@ export const userLoginSchema = Joi.object({
     })
 });
 
+// Refresh token validation schema
+export const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Refresh token is required'
+    })
+});
+
+// Forgot password validation schema
+export const forgotPasswordSchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .trim()
+    .lowercase()
+    .required()
+    .messages({
+      'string.email': 'Please provide a valid email'
+    })
+});
+
+// Reset password validation schema
+export const resetPasswordSchema = Joi.object({
+  token: Joi.string()
+    .hex()
+    .required()
+    .messages({
+      'string.empty': 'Reset token is required',
+      'string.hex': 'Invalid reset token'
+    }),
+
+  password: Joi.string()
+    .min(6)
+    .max(128)
+    .required()
+    .messages({
+      'string.min': 'Password must be at least 6 characters',
+      'string.max': 'Password cannot exceed 128 characters'
+    })
+});
+
+// Email verification validation schema
+export const verifyEmailSchema = Joi.object({
+  token: Joi.string()
+    .hex()
+    .required()
+    .messages({
+      'string.empty': 'Verification token is required',
+      'string.hex': 'Invalid verification token'
+    })
+});
+
+// Two-factor code validation schema
+export const twoFactorCodeSchema = Joi.object({
+  code: Joi.string()
+    .trim()
+    .pattern(/^\d{6}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Code must be 6 digits'
+    })
+});
+
+// Two-factor login verification schema
+export const twoFactorVerifySchema = Joi.object({
+  challengeToken: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Challenge token is required'
+    }),
+
+  code: Joi.string()
+    .trim()
+    .pattern(/^\d{6}$/)
+    .messages({
+      'string.pattern.base': 'Code must be 6 digits'
+    }),
+
+  recoveryCode: Joi.string()
+    .trim()
+    .max(20)
+}).xor('code', 'recoveryCode')
+  .messages({
+    'object.missing': 'Either code or recoveryCode is required',
+    'object.xor': 'Provide either code or recoveryCode, not both'
+  });
+
+// Two-factor disable validation schema
+export const twoFactorDisableSchema = Joi.object({
+  password: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Password is required'
+    }),
+
+  code: Joi.string()
+    .trim()
+    .pattern(/^\d{6}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Code must be 6 digits'
+    })
+});
+
 // Query validation schema for car listing
 export const carQuerySchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(10),
-  sort: Joi.string().valid('price', '-price', 'year', '-year', 'mileage', '-mileage', 'createdAt', '-createdAt').default('-createdAt'),
+  q: Joi.string().trim().min(1).max(100),
+  sort: Joi.string()
+    .valid('price', '-price', 'year', '-year', 'mileage', '-mileage', 'createdAt', '-createdAt', 'relevance', 'distance')
+    .default('-createdAt')
+    // Relevance only exists when searching, distance only around a point
+    .when('q', { not: Joi.exist(), then: Joi.invalid('relevance') })
+    .when('lat', { not: Joi.exist(), then: Joi.invalid('distance') }),
   make: Joi.string().trim(),
   model: Joi.string().trim(),
   minPrice: Joi.number().min(0),
   maxPrice: Joi.number().min(0),
   minYear: Joi.number().integer().min(1900),
   maxYear: Joi.number().integer().max(new Date().getFullYear() + 1),
+  minMileage: Joi.number().min(0),
+  maxMileage: Joi.number().min(0),
   fuelType: Joi.string().valid('petrol', 'diesel', 'electric', 'hybrid', 'cng', 'lpg'),
   transmission: Joi.string().valid('manual', 'automatic', 'cvt'),
   bodyType: Joi.string().valid('sedan', 'hatchback', 'suv', 'coupe', 'convertible', 'wagon', 'pickup', 'van'),
   city: Joi.string().trim(),
   state: Joi.string().trim(),
-  status: Joi.string().valid('available', 'sold', 'reserved').default('available')
+  status: Joi.string().valid('available', 'sold', 'reserved').default('available'),
+  priceDropped: Joi.boolean(),
+  lat: Joi.number().min(-90).max(90),
+  lng: Joi.number().min(-180).max(180),
+  radiusKm: Joi.number().greater(0).max(1000)
+    .when('lat', { is: Joi.exist(), then: Joi.optional().default(50), otherwise: Joi.forbidden() }),
+  after: Joi.string().trim().max(500),
+  before: Joi.string().trim().max(500),
+  includeTotal: Joi.boolean()
+}).and('lat', 'lng').oxor('after', 'before');
+
+// Query validation schema for admin user listing
+export const adminUserQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  sort: Joi.string().valid('createdAt', '-createdAt', 'username', '-username', 'lastLogin', '-lastLogin').default('-createdAt'),
+  q: Joi.string().trim().max(100),
+  role: Joi.string().valid('user', 'admin'),
+  isActive: Joi.boolean()
+});
+
+// User role update validation schema
+export const userRoleSchema = Joi.object({
+  role: Joi.string()
+    .valid('user', 'admin')
+    .required()
+    .messages({
+      'any.only': 'Role must be either user or admin'
+    })
+});
+
+// User status update validation schema
+export const userStatusSchema = Joi.object({
+  isActive: Joi.boolean()
+    .required()
+    .messages({
+      'boolean.base': 'isActive must be true or false'
+    })
+});
+
+// Trusted seller update validation schema
+export const userTrustedSchema = Joi.object({
+  trustedSeller: Joi.boolean()
+    .required()
+    .messages({
+      'boolean.base': 'trustedSeller must be true or false'
+    })
+});
+
+// Query validation schema for the moderation queue
+export const moderationQueueQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Search parameters kept by a saved search: the car listing filters and sort, without pagination
+const savedSearchQuery = carQuerySchema.fork(
+  ['page', 'limit', 'after', 'before', 'includeTotal'],
+  (schema) => schema.strip()
+);
+
+// Saved search validation schema
+export const savedSearchSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'string.empty': 'Saved search name is required',
+      'string.max': 'Saved search name cannot exceed 100 characters'
+    }),
+  query: savedSearchQuery.required(),
+  alertsEnabled: Joi.boolean().default(true)
+});
+
+// Saved search update validation schema
+export const savedSearchUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  query: savedSearchQuery,
+  alertsEnabled: Joi.boolean()
+}).min(1);
+
+// Query validation schema for saved search alerts
+export const searchAlertQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Query validation schema for notifications
+export const notificationQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  unread: Joi.boolean()
+});
+
+// Query validation schema for a user's favorites
+export const favoritesQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Conversation message validation schema (inquiries and replies)
+export const messageSchema = Joi.object({
+  message: Joi.string()
+    .trim()
+    .min(1)
+    .max(2000)
+    .required()
+    .messages({
+      'string.empty': 'Message cannot be empty',
+      'string.max': 'Message cannot exceed 2000 characters',
+      'any.required': 'Message is required'
+    })
+});
+
+// Query validation schema for the current user's conversations
+export const conversationQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  // Threads where the user is the buyer or the seller; both by default
+  role: Joi.string().valid('buyer', 'seller'),
+  unread: Joi.boolean()
+});
+
+// Query validation schema for a conversation's messages (page 1 is the newest)
+export const conversationMessagesQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+// User report validation schema
+export const userReportSchema = Joi.object({
+  reason: Joi.string()
+    .valid('spam', 'scam', 'harassment', 'inappropriate', 'other')
+    .required()
+    .messages({
+      'any.only': 'Reason must be one of: spam, scam, harassment, inappropriate, other'
+    }),
+  details: Joi.string()
+    .trim()
+    .max(1000)
+    .allow(''),
+  conversation: Joi.string()
+    .hex()
+    .length(24)
+    .messages({
+      'string.hex': 'Conversation must be a conversation ID',
+      'string.length': 'Conversation must be a conversation ID'
+    })
+});
+
+// Query validation schema for the admin report queue
+export const reportQueueQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('open', 'reviewed', 'dismissed').default('open')
+});
+
+// Report review validation schema
+export const reportStatusSchema = Joi.object({
+  status: Joi.string()
+    .valid('reviewed', 'dismissed')
+    .required()
+    .messages({
+      'any.only': 'Status must be one of: reviewed, dismissed'
+    })
+});
+
+const auditObjectId = (name) => Joi.string()
+  .hex()
+  .length(24)
+  .messages({
+    'string.hex': `${name} must be an ID`,
+    'string.length': `${name} must be an ID`
+  });
+
+// Query validation schema for the admin audit log
+export const auditQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  actor: auditObjectId('Actor'),
+  targetType: Joi.string()
+    .valid('car', 'user')
+    .messages({
+      'any.only': 'Target type must be one of: car, user'
+    }),
+  target: auditObjectId('Target'),
+  action: Joi.string().valid(...AUDIT_ACTIONS),
+  from: Joi.date().iso(),
+  to: Joi.date()
+    .iso()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+    .messages({
+      'date.min': 'To must not be before from'
+    })
+});
+
+// 24-hour 'HH:mm' time of day
+const timeOfDay = Joi.string()
+  .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+  .messages({
+    'string.pattern.base': '{#label} must be a time of day (HH:mm)'
+  });
+
+// ISO 8601 date-time with an explicit offset (Z or +05:30), so the instant is unambiguous
+const zonedDateTime = Joi.string()
+  .trim()
+  .pattern(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/)
+  .custom((value, helpers) => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? helpers.error('string.isoDate') : date.toISOString();
+  })
+  .messages({
+    'string.pattern.base': '{#label} must be an ISO 8601 date-time with a time zone offset',
+    'string.isoDate': '{#label} must be an ISO 8601 date-time with a time zone offset'
+  });
+
+// Test drive availability validation schema; an empty list of windows stops bookings
+export const carAvailabilitySchema = Joi.object({
+  timezone: Joi.string()
+    .trim()
+    .custom((value, helpers) => (isValidTimeZone(value) ? value : helpers.error('any.invalid')))
+    .default(DEFAULT_TIMEZONE)
+    .messages({
+      'any.invalid': 'Time zone must be an IANA time zone such as Asia/Kolkata'
+    }),
+  slotMinutes: Joi.number().integer().min(15).max(240).default(30),
+  windows: Joi.array()
+    .items(
+      Joi.object({
+        // 0 = Sunday ... 6 = Saturday
+        day: Joi.number().integer().min(0).max(6).required(),
+        start: timeOfDay.required(),
+        end: timeOfDay.required()
+      })
+        .custom((window, helpers) => (window.end > window.start ? window : helpers.error('any.invalid')))
+        .messages({
+          'any.invalid': 'Window end must be after its start'
+        })
+    )
+    .max(50)
+    .required()
+});
+
+// Test drive request validation schema
+export const appointmentRequestSchema = Joi.object({
+  startTime: zonedDateTime.required(),
+  note: Joi.string().trim().max(500).allow('')
+});
+
+// Appointment reschedule validation schema
+export const appointmentRescheduleSchema = Joi.object({
+  startTime: zonedDateTime.required()
+});
+
+// Appointment decline/cancel validation schema
+export const appointmentReasonSchema = Joi.object({
+  reason: Joi.string().trim().max(300).allow('')
+});
+
+// Query validation schema for the current user's appointments
+export const appointmentQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  role: Joi.string().valid('buyer', 'seller'),
+  status: Joi.string().valid('pending', 'accepted', 'declined', 'cancelled'),
+  // Only appointments that haven't started yet, soonest first
+  upcoming: Joi.boolean()
+});
+
+// Car status change validation schema (release, mark-sold and relist)
+export const carStatusReasonSchema = Joi.object({
+  reason: Joi.string().trim().max(300).allow('')
+});
+
+// Car reservation validation schema; expiresAt defaults to RESERVATION_HOURS from now
+export const carReserveSchema = Joi.object({
+  reason: Joi.string().trim().max(300).allow(''),
+  expiresAt: zonedDateTime
+});
+
+// Offer amount validation; offers are checked against the asking price in the controller
+const offerAmount = Joi.number()
+  .integer()
+  .min(1)
+  .max(10000000)
+  .required()
+  .messages({
+    'number.base': 'Amount must be a number',
+    'number.min': 'Amount must be positive',
+    'number.max': 'Amount cannot exceed 10 million'
+  });
+
+// Offer and counter-offer validation schema
+export const offerSchema = Joi.object({
+  amount: offerAmount,
+  message: Joi.string().trim().max(500).allow('')
+});
+
+// Offer accept/reject/withdraw validation schema
+export const offerResponseSchema = Joi.object({
+  message: Joi.string().trim().max(500).allow('')
+});
+
+const offerStatus = Joi.string()
+  .valid('pending', 'countered', 'accepted', 'rejected', 'withdrawn', 'declined', 'expired');
+
+// Query validation schema for the current user's offers
+export const offerQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  role: Joi.string().valid('buyer', 'seller'),
+  status: offerStatus
+});
+
+// Query validation schema for the offers on a car
+export const carOfferQuerySchema = Joi.object({
+  status: offerStatus
+});
+
+// Query validation schema for a car's revisions
+export const carRevisionQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Query validation schema for comparing two revisions
+export const carRevisionDiffQuerySchema = Joi.object({
+  from: Joi.number().integer().min(1).required(),
+  to: Joi.number().integer().min(1).required()
+});
+
+// Listing rejection validation schema
+export const rejectListingSchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .min(1)
+    .max(500)
+    .required()
+    .messages({
+      'string.empty': 'Rejection reason is required',
+      'string.max': 'Rejection reason cannot exceed 500 characters'
+    })
+});
+
+// Query validation schema for the current user's import jobs
+export const importJobQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Listing import validation schema (multipart text fields)
+export const carImportSchema = Joi.object({
+  dryRun: Joi.boolean().default(false)
+});
+
+// Listing image upload validation schema (multipart text fields)
+export const carImageUploadSchema = Joi.object({
+  // One alt text for all uploaded images, or one per image in upload order
+  alt: Joi.alternatives().try(
+    Joi.string().trim().max(200).allow(''),
+    Joi.array().items(Joi.string().trim().max(200).allow('')).max(10)
+  )
+});
+
+// Listing image order validation schema
+export const carImageOrderSchema = Joi.object({
+  order: Joi.array()
+    .items(Joi.string().hex().length(24))
+    .unique()
+    .max(10)
+    .required()
+    .messages({
+      'array.unique': 'Image order cannot contain duplicates',
+      'string.hex': 'Image order must contain image IDs',
+      'string.length': 'Image order must contain image IDs'
+    })
+});
+
+// Default facet bucket boundaries (lower bound of each bucket; the last one is open-ended)
+export const DEFAULT_PRICE_BUCKETS = [0, 200000, 500000, 1000000, 2000000, 5000000];
+export const DEFAULT_MILEAGE_BUCKETS = [0, 10000, 30000, 50000, 100000, 150000];
+export const DEFAULT_YEAR_BUCKETS = [1900, 2005, 2010, 2015, 2020];
+
+// Comma-separated list of bucket boundaries, converted to a sorted array of unique numbers
+const bucketBoundaries = Joi.string()
+  .trim()
+  .pattern(/^\d+(,\d+){0,19}$/)
+  .custom((value, helpers) => {
+    const boundaries = [...new Set(value.split(',').map(Number))].sort((a, b) => a - b);
+
+    // The facet query closes the last bucket at Number.MAX_SAFE_INTEGER, so boundaries must stay below it
+    if (boundaries[boundaries.length - 1] >= Number.MAX_SAFE_INTEGER) {
+      return helpers.message(`{#label} boundaries must be below ${Number.MAX_SAFE_INTEGER}`);
+    }
+    return boundaries;
+  })
+  .messages({
+    'string.pattern.base': '{#label} must be up to 20 comma-separated non-negative numbers'
+  });
+
+// Query validation schema for car search facets
+export const carFacetQuerySchema = carQuerySchema.keys({
+  priceBuckets: bucketBoundaries,
+  mileageBuckets: bucketBoundaries,
+  yearBuckets: bucketBoundaries
+});
+
+// Comma-separated export columns; all of them by default
+const exportColumns = Joi.string()
+  .trim()
+  .custom((value, helpers) => {
+    const names = [...new Set(value.split(',').map(name => name.trim()).filter(Boolean))];
+    const unknown = names.filter(name => !Object.hasOwn(EXPORT_COLUMNS, name));
+
+    if (unknown.length) return helpers.message(`Unknown columns: ${unknown.join(', ')}`);
+    if (!names.length) return helpers.message('At least one column is required');
+    return names;
+  })
+  .default(() => Object.keys(EXPORT_COLUMNS));
+
+const exportFormat = Joi.string().valid(...Object.keys(EXPORT_FORMATS)).default('csv');
+
+// Query validation schema for exporting search results: the listing filters and sort, without pagination
+export const carExportQuerySchema = carQuerySchema
+  .fork(['page', 'limit', 'after', 'before', 'includeTotal'], (schema) => schema.strip())
+  .keys({
+    format: exportFormat,
+    columns: exportColumns
+  });
+
+// Query validation schema for exporting the current user's listings
+export const myCarExportQuerySchema = Joi.object({
+  format: exportFormat,
+  columns: exportColumns
 });
 
 // Validation middleware
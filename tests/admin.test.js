@@ -0,0 +1,205 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import User from '../src/models/User.js';
+import Car from '../src/models/Car.js';
+import Session from '../src/models/Session.js';
+import { tokenFor, carData } from './helpers.js';
+
+describe('Admin API', () => {
+  let admin;
+  let adminToken;
+  let seller;
+  let sellerToken;
+
+  beforeAll(async () => {
+    admin = await User.create({
+      username: 'admin',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin'
+    });
+    adminToken = await tokenFor(admin);
+
+    seller = await User.create({
+      username: 'seller',
+      email: 'seller@example.com',
+      password: 'password123'
+    });
+    sellerToken = await tokenFor(seller);
+  });
+
+  afterAll(async () => {
+    // Clean up test data
+    await Car.deleteMany({});
+    await Session.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  describe('GET /api/admin/users', () => {
+    it('should list and search users', async () => {
+      const response = await request(app)
+        .get('/api/admin/users?q=sell')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].email).toBe('seller@example.com');
+      expect(response.body.pagination.total).toBe(1);
+    });
+
+    it('should reject non-admin users', async () => {
+      await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('PUT /api/admin/users/:id/status', () => {
+    beforeEach(async () => {
+      await Car.create({
+        make: 'Tata',
+        model: 'Nexon',
+        year: 2022,
+        price: 900000,
+        mileage: 10000,
+        fuelType: 'electric',
+        transmission: 'automatic',
+        bodyType: 'suv',
+        color: 'Teal',
+        location: { city: 'Pune', state: 'Maharashtra', country: 'India' },
+        seller: { name: 'seller', phone: '+91 99999 11111' },
+        owner: seller._id
+      });
+    });
+
+    afterEach(async () => {
+      await Car.deleteMany({});
+      await User.updateOne({ _id: seller._id }, { isActive: true });
+    });
+
+    it('should hide listings of a deactivated user and restore them on activation', async () => {
+      await request(app)
+        .put(`/api/admin/users/${seller._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ isActive: false })
+        .expect(200);
+
+      let response = await request(app).get('/api/cars').expect(200);
+      expect(response.body.data).toHaveLength(0);
+
+      await request(app)
+        .put(`/api/admin/users/${seller._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ isActive: true })
+        .expect(200);
+
+      response = await request(app).get('/api/cars').expect(200);
+      expect(response.body.data).toHaveLength(1);
+    });
+
+    it('should not let an admin deactivate themselves', async () => {
+      await request(app)
+        .put(`/api/admin/users/${admin._id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ isActive: false })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/admin/users/:id', () => {
+    it('should return the user with their listings', async () => {
+      const response = await request(app)
+        .get(`/api/admin/users/${seller._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.user.username).toBe('seller');
+      expect(response.body.data.cars).toBeDefined();
+    });
+  });
+
+  describe('Listing moderation', () => {
+    let pendingCar;
+
+    beforeEach(async () => {
+      pendingCar = await Car.create({
+        make: 'Mahindra',
+        model: 'Thar',
+        year: 2021,
+        price: 1400000,
+        mileage: 20000,
+        fuelType: 'diesel',
+        transmission: 'manual',
+        bodyType: 'suv',
+        color: 'Red',
+        location: { city: 'Jaipur', state: 'Rajasthan', country: 'India' },
+        seller: { name: 'seller', phone: '+91 99999 22222' },
+        owner: seller._id,
+        moderation: { status: 'pending', submittedAt: new Date(Date.now() - 60 * 1000) }
+      });
+    });
+
+    afterEach(async () => {
+      await Car.deleteMany({});
+    });
+
+    it('should keep pending listings out of public results until approved', async () => {
+      let response = await request(app).get('/api/cars').expect(200);
+      expect(response.body.data).toHaveLength(0);
+
+      await request(app).get(`/api/cars/${pendingCar._id}`).expect(404);
+
+      const queue = await request(app)
+        .get('/api/admin/listings/pending')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(queue.body.data).toHaveLength(1);
+
+      await request(app)
+        .post(`/api/admin/listings/${pendingCar._id}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      response = await request(app).get('/api/cars').expect(200);
+      expect(response.body.data).toHaveLength(1);
+    });
+
+    it('should order the queue by submission time, not by the last write', async () => {
+      const later = await Car.create(carData({
+        owner: seller._id,
+        moderation: { status: 'pending', submittedAt: new Date() }
+      }));
+
+      // Opening a listing counts a view, which updates it
+      await request(app)
+        .get(`/api/cars/${pendingCar._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const queue = await request(app)
+        .get('/api/admin/listings/pending')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(queue.body.data.map(car => car._id)).toEqual([String(pendingCar._id), String(later._id)]);
+    });
+
+    it('should require a reason to reject a listing', async () => {
+      await request(app)
+        .post(`/api/admin/listings/${pendingCar._id}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(400);
+
+      const response = await request(app)
+        .post(`/api/admin/listings/${pendingCar._id}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Photos do not match the vehicle' })
+        .expect(200);
+
+      expect(response.body.data.moderation.status).toBe('rejected');
+      expect(response.body.data.moderation.reason).toBe('Photos do not match the vehicle');
+    });
+  });
+});
@@ -0,0 +1,269 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import User from '../src/models/User.js';
+import Car from '../src/models/Car.js';
+import Appointment from '../src/models/Appointment.js';
+import Notification from '../src/models/Notification.js';
+import UserBlock from '../src/models/UserBlock.js';
+import Session from '../src/models/Session.js';
+import { tokenFor, carData } from './helpers.js';
+
+// 10:00 India time (04:30 UTC) a few days from now, and its weekday in India
+const inDays = (days) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  date.setUTCHours(4, 30, 0, 0);
+  return date;
+};
+const slotStart = inDays(3);
+const slotDay = new Date(slotStart.getTime() + 5.5 * 60 * 60 * 1000).getUTCDay();
+
+describe('Appointments API', () => {
+  let seller;
+  let sellerToken;
+  let buyer;
+  let buyerToken;
+  let otherBuyerToken;
+  let car;
+
+  const book = (token, startTime = '') => request(app)
+    .post(`/api/cars/${car._id}/appointments`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ startTime: startTime || slotStart.toISOString() });
+
+  beforeAll(async () => {
+    seller = await User.create({
+      username: 'driveseller',
+      email: 'driveseller@example.com',
+      password: 'password123'
+    });
+    sellerToken = await tokenFor(seller);
+
+    buyer = await User.create({
+      username: 'drivebuyer',
+      email: 'drivebuyer@example.com',
+      password: 'password123'
+    });
+    buyerToken = await tokenFor(buyer);
+
+    const otherBuyer = await User.create({
+      username: 'otherdrivebuyer',
+      email: 'otherdrivebuyer@example.com',
+      password: 'password123'
+    });
+    otherBuyerToken = await tokenFor(otherBuyer);
+  });
+
+  beforeEach(async () => {
+    car = await Car.create(carData({
+      owner: seller._id,
+      availability: {
+        timezone: 'Asia/Kolkata',
+        slotMinutes: 60,
+        windows: [{ day: slotDay, start: '09:00', end: '13:00' }]
+      }
+    }));
+  });
+
+  afterEach(async () => {
+    await UserBlock.deleteMany({});
+    await Notification.deleteMany({});
+    await Appointment.deleteMany({});
+    await Car.deleteMany({});
+  });
+
+  afterAll(async () => {
+    // Clean up test data
+    await Session.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  describe('PUT /api/cars/:id/availability', () => {
+    it('should let the owner set availability', async () => {
+      const response = await request(app)
+        .put(`/api/cars/${car._id}/availability`)
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .send({ timezone: 'Europe/London', windows: [{ day: 6, start: '10:00', end: '16:00' }] })
+        .expect(200);
+
+      expect(response.body.data.timezone).toBe('Europe/London');
+      expect(response.body.data.slotMinutes).toBe(30);
+    });
+
+    it('should reject unknown time zones and inverted windows', async () => {
+      const response = await request(app)
+        .put(`/api/cars/${car._id}/availability`)
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .send({ timezone: 'Mars/Base', windows: [{ day: 1, start: '16:00', end: '10:00' }] })
+        .expect(400);
+
+      expect(response.body.errors).toHaveLength(2);
+    });
+
+    it('should not let other users change availability', async () => {
+      await request(app)
+        .put(`/api/cars/${car._id}/availability`)
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .send({ windows: [] })
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/cars/:id/appointments', () => {
+    it('should book a slot and show local times', async () => {
+      const response = await book(buyerToken).expect(201);
+
+      expect(response.body.data.status).toBe('pending');
+      expect(response.body.data.localStartTime).toMatch(/T10:00$/);
+      expect(response.body.data.localEndTime).toMatch(/T11:00$/);
+    });
+
+    it('should accept times given in any offset', async () => {
+      const local = new Date(slotStart.getTime() + 5.5 * 60 * 60 * 1000).toISOString().slice(0, 16);
+
+      const response = await book(buyerToken, `${local}+05:30`).expect(201);
+
+      expect(new Date(response.body.data.startTime).getTime()).toBe(slotStart.getTime());
+    });
+
+    it('should reject times outside the availability windows', async () => {
+      const evening = new Date(slotStart.getTime() + 8 * 60 * 60 * 1000);
+
+      const response = await book(buyerToken, evening.toISOString()).expect(400);
+
+      expect(response.body.message).toBe("Requested time is outside the seller's availability");
+    });
+
+    it('should reject times without an offset', async () => {
+      await book(buyerToken, '2030-01-01T10:00').expect(400);
+    });
+
+    it('should reject slots overlapping an accepted appointment', async () => {
+      const first = await book(buyerToken).expect(201);
+      await request(app)
+        .post(`/api/appointments/${first.body.data._id}/accept`)
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .expect(200);
+
+      const overlapping = new Date(slotStart.getTime() + 30 * 60 * 1000);
+      const response = await book(otherBuyerToken, overlapping.toISOString()).expect(400);
+
+      expect(response.body.message).toBe('This time slot is already booked');
+    });
+  });
+
+  describe('appointment responses', () => {
+    it('should only let the other participant accept a proposal', async () => {
+      const booking = await book(buyerToken).expect(201);
+      const id = booking.body.data._id;
+
+      await request(app)
+        .post(`/api/appointments/${id}/accept`)
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .expect(400);
+
+      await request(app)
+        .post(`/api/appointments/${id}/accept`)
+        .set('Authorization', `Bearer ${otherBuyerToken}`)
+        .expect(403);
+
+      const accepted = await request(app)
+        .post(`/api/appointments/${id}/accept`)
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .expect(200);
+
+      expect(accepted.body.data.status).toBe('accepted');
+      expect(await Notification.countDocuments({ type: 'appointment' })).toBe(2);
+    });
+
+    it('should send a rescheduled appointment back to the other party', async () => {
+      const booking = await book(buyerToken).expect(201);
+      const id = booking.body.data._id;
+      const later = new Date(slotStart.getTime() + 60 * 60 * 1000);
+
+      const response = await request(app)
+        .post(`/api/appointments/${id}/reschedule`)
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .send({ startTime: later.toISOString() })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('pending');
+      expect(response.body.data.localStartTime).toMatch(/T11:00$/);
+
+      await request(app)
+        .post(`/api/appointments/${id}/accept`)
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .expect(200);
+    });
+
+    it('should not let blocked participants accept or reschedule', async () => {
+      const booking = await book(buyerToken).expect(201);
+      const id = booking.body.data._id;
+      await UserBlock.create({ blocker: buyer._id, blocked: seller._id });
+
+      await request(app)
+        .post(`/api/appointments/${id}/accept`)
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .expect(403);
+
+      await request(app)
+        .post(`/api/appointments/${id}/reschedule`)
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .send({ startTime: new Date(slotStart.getTime() + 60 * 60 * 1000).toISOString() })
+        .expect(403);
+
+      expect(await Notification.countDocuments({ type: 'appointment' })).toBe(1);
+
+      // Cancelling is still allowed
+      await request(app)
+        .post(`/api/appointments/${id}/cancel`)
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .expect(200);
+    });
+
+    it('should not accept or reschedule appointments for listings that are no longer public', async () => {
+      const booking = await book(buyerToken).expect(201);
+      const id = booking.body.data._id;
+      await Car.updateOne({ _id: car._id }, { 'moderation.status': 'rejected' });
+
+      await request(app)
+        .post(`/api/appointments/${id}/reschedule`)
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .send({ startTime: new Date(slotStart.getTime() + 60 * 60 * 1000).toISOString() })
+        .expect(400);
+
+      await request(app)
+        .post(`/api/appointments/${id}/accept`)
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .expect(400);
+    });
+
+    it('should let either participant cancel', async () => {
+      const booking = await book(buyerToken).expect(201);
+
+      const response = await request(app)
+        .post(`/api/appointments/${booking.body.data._id}/cancel`)
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .send({ reason: 'Car is at the garage' })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('cancelled');
+      expect(response.body.data.cancelReason).toBe('Car is at the garage');
+    });
+  });
+
+  describe('selling the car', () => {
+    it('should cancel open appointments when the car is marked sold', async () => {
+      const booking = await book(buyerToken).expect(201);
+
+      await request(app)
+        .post(`/api/cars/${car._id}/mark-sold`)
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .expect(200);
+
+      const appointment = await Appointment.findById(booking.body.data._id);
+      expect(appointment.status).toBe('cancelled');
+      expect(appointment.cancelReason).toBe('car sold');
+    });
+  });
+});
@@ -0,0 +1,310 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import User from '../src/models/User.js';
+import Car from '../src/models/Car.js';
+import AuditLog from '../src/models/AuditLog.js';
+import StatusHistory from '../src/models/StatusHistory.js';
+import Session from '../src/models/Session.js';
+import { tokenFor, carData } from './helpers.js';
+
+describe('Audit log', () => {
+  let admin;
+  let adminToken;
+  let seller;
+  let sellerToken;
+  let car;
+
+  const getAudit = (query = '', token = adminToken) => request(app)
+    .get(`/api/admin/audit${query}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    admin = await User.create({
+      username: 'auditadmin',
+      email: 'auditadmin@example.com',
+      password: 'password123',
+      role: 'admin'
+    });
+    adminToken = await tokenFor(admin);
+
+    seller = await User.create({
+      username: 'auditseller',
+      email: 'auditseller@example.com',
+      password: 'password123',
+      emailVerified: true,
+      trustedSeller: true
+    });
+    sellerToken = await tokenFor(seller);
+  });
+
+  beforeEach(async () => {
+    car = await Car.create(carData({ owner: seller._id }));
+  });
+
+  afterEach(async () => {
+    // Entries are append-only through the model, so clear them through the driver
+    await AuditLog.collection.deleteMany({});
+    await StatusHistory.deleteMany({});
+    await Car.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await Session.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  describe('Request IDs', () => {
+    it('should generate a request ID when none is sent', async () => {
+      const response = await request(app).get('/health').expect(200);
+
+      expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    it('should echo a valid incoming request ID', async () => {
+      const response = await request(app)
+        .get('/health')
+        .set('X-Request-Id', 'edge-1234')
+        .expect(200);
+
+      expect(response.headers['x-request-id']).toBe('edge-1234');
+    });
+  });
+
+  describe('Car mutations', () => {
+    it('should record the changed fields of an update with IP and request ID', async () => {
+      await request(app)
+        .put(`/api/cars/${car._id}`)
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .set('X-Request-Id', 'update-req-1')
+        .send(carData({ price: 850000, location: { city: 'Nashik', state: 'Maharashtra', country: 'India' } }))
+        .expect(200);
+
+      const entry = await AuditLog.findOne({ action: 'car.update' });
+
+      expect(entry.actor.toString()).toBe(seller._id.toString());
+      expect(entry.target.type).toBe('Car');
+      expect(entry.target.id.toString()).toBe(car._id.toString());
+      expect(entry.requestId).toBe('update-req-1');
+      expect(entry.ip).toBeDefined();
+
+      const changes = Object.fromEntries(entry.changes.map(change => [change.path, change]));
+      expect(changes.price).toMatchObject({ before: 900000, after: 850000 });
+      expect(changes['location.city']).toMatchObject({ before: 'Pune', after: 'Nashik' });
+      expect(changes.make).toBeUndefined();
+      expect(changes.updatedAt).toBeUndefined();
+    });
+
+    it('should record creation and deletion', async () => {
+      const created = await request(app)
+        .post('/api/cars')
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .send(carData())
+        .expect(201);
+
+      await request(app)
+        .delete(`/api/cars/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .expect(200);
+
+      const entries = await AuditLog.find({ 'target.id': created.body.data._id }).sort('createdAt');
+
+      expect(entries.map(entry => entry.action)).toEqual(['car.create', 'car.delete']);
+      expect(entries[0].changes.find(change => change.path === 'make').after).toBe('Honda');
+      expect(entries[1].changes).toEqual([
+        expect.objectContaining({ path: 'isActive', before: true, after: false })
+      ]);
+    });
+
+    it('should record status changes with their reason', async () => {
+      await request(app)
+        .post(`/api/cars/${car._id}/reserve`)
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .send({ reason: 'Deposit paid' })
+        .expect(200);
+
+      const entry = await AuditLog.findOne({ action: 'car.status_change' });
+
+      expect(entry.actor.toString()).toBe(seller._id.toString());
+      expect(entry.details.reason).toBe('Deposit paid');
+      expect(entry.changes.find(change => change.path === 'status'))
+        .toMatchObject({ before: 'available', after: 'reserved' });
+    });
+  });
+
+  describe('Account events', () => {
+    it('should record successful and failed logins', async () => {
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'auditseller@example.com', password: 'wrongpassword' })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'nobody@example.com', password: 'password123' })
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'auditseller@example.com', password: 'password123' })
+        .expect(200);
+
+      const entries = await AuditLog.find({}).sort('createdAt');
+
+      expect(entries.map(entry => entry.action)).toEqual(['auth.login_failed', 'auth.login_failed', 'auth.login']);
+      expect(entries[0].actor.toString()).toBe(seller._id.toString());
+      expect(entries[0].details.reason).toBe('invalid password');
+      expect(entries[1].actor).toBeNull();
+      expect(entries[1].details.email).toBe('nobody@example.com');
+      expect(entries[2].target.id.toString()).toBe(seller._id.toString());
+    });
+
+    it('should record role changes with the old and new role', async () => {
+      const user = await User.create({
+        username: 'auditpromoted',
+        email: 'auditpromoted@example.com',
+        password: 'password123'
+      });
+
+      await request(app)
+        .put(`/api/admin/users/${user._id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'admin' })
+        .expect(200);
+
+      const entry = await AuditLog.findOne({ action: 'user.role_change' });
+
+      expect(entry.actor.toString()).toBe(admin._id.toString());
+      expect(entry.target.id.toString()).toBe(user._id.toString());
+      expect(entry.changes).toEqual([
+        expect.objectContaining({ path: 'role', before: 'user', after: 'admin' })
+      ]);
+    });
+
+    it('should record unlocks and trusted seller changes', async () => {
+      const user = await User.create({
+        username: 'auditlocked',
+        email: 'auditlocked@example.com',
+        password: 'password123',
+        failedLoginAttempts: 5,
+        lockUntil: new Date(Date.now() + 60 * 60 * 1000)
+      });
+
+      await request(app)
+        .post(`/api/admin/users/${user._id}/unlock`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .put(`/api/admin/users/${user._id}/trusted`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ trustedSeller: true })
+        .expect(200);
+
+      const unlock = await AuditLog.findOne({ action: 'user.unlock' });
+      expect(unlock.actor.toString()).toBe(admin._id.toString());
+      expect(unlock.changes.map(change => change.path)).toEqual(['failedLoginAttempts', 'lockUntil']);
+      expect(unlock.changes[0]).toMatchObject({ before: 5, after: 0 });
+
+      const trusted = await AuditLog.findOne({ action: 'user.trusted_change' });
+      expect(trusted.target.id.toString()).toBe(user._id.toString());
+      expect(trusted.changes).toEqual([
+        expect.objectContaining({ path: 'trustedSeller', before: false, after: true })
+      ]);
+    });
+
+    it('should record password changes without the password', async () => {
+      const user = await User.create({
+        username: 'auditpassword',
+        email: 'auditpassword@example.com',
+        password: 'password123'
+      });
+
+      await request(app)
+        .put('/api/auth/password')
+        .set('Authorization', `Bearer ${await tokenFor(user)}`)
+        .send({ currentPassword: 'password123', newPassword: 'newpassword456' })
+        .expect(200);
+
+      const entry = await AuditLog.findOne({ action: 'auth.password_change' });
+
+      expect(entry.target.id.toString()).toBe(user._id.toString());
+      expect(JSON.stringify(entry)).not.toContain('newpassword456');
+    });
+  });
+
+  describe('GET /api/admin/audit', () => {
+    beforeEach(async () => {
+      await request(app)
+        .put(`/api/cars/${car._id}`)
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .send(carData({ price: 1300000 }))
+        .expect(200);
+
+      await request(app)
+        .post(`/api/admin/listings/${car._id}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Blurry photos' })
+        .expect(200);
+    });
+
+    it('should list entries newest first with the actor', async () => {
+      const response = await getAudit().expect(200);
+
+      expect(response.body.data.map(entry => entry.action)).toEqual(['car.reject', 'car.update']);
+      expect(response.body.data[0].actor.username).toBe('auditadmin');
+      expect(response.body.pagination.total).toBe(2);
+    });
+
+    it('should filter by actor, target and action', async () => {
+      const byActor = await getAudit(`?actor=${seller._id}`).expect(200);
+      expect(byActor.body.data.map(entry => entry.action)).toEqual(['car.update']);
+
+      const byTarget = await getAudit(`?targetType=car&target=${car._id}`).expect(200);
+      expect(byTarget.body.data).toHaveLength(2);
+
+      const byAction = await getAudit('?action=car.reject').expect(200);
+      expect(byAction.body.data).toHaveLength(1);
+
+      const byOtherType = await getAudit(`?targetType=user&target=${car._id}`).expect(200);
+      expect(byOtherType.body.data).toHaveLength(0);
+    });
+
+    it('should filter by date range', async () => {
+      const past = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+      const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+      const inRange = await getAudit(`?from=${past}&to=${future}`).expect(200);
+      expect(inRange.body.data).toHaveLength(2);
+
+      const afterRange = await getAudit(`?from=${future}`).expect(200);
+      expect(afterRange.body.data).toHaveLength(0);
+    });
+
+    it('should reject invalid filters', async () => {
+      const response = await getAudit('?from=2026-02-01&to=2026-01-01').expect(400);
+
+      expect(response.body.errors[0].message).toBe('To must not be before from');
+      await getAudit('?actor=not-an-id').expect(400);
+    });
+
+    it('should only be available to admins', async () => {
+      await getAudit('', sellerToken).expect(403);
+    });
+  });
+
+  describe('Append-only entries', () => {
+    it('should refuse to change or delete entries', async () => {
+      const entry = await AuditLog.create({
+        action: 'car.update',
+        target: { type: 'Car', id: car._id }
+      });
+
+      await expect(AuditLog.updateOne({ _id: entry._id }, { action: 'car.delete' })).rejects.toThrow('cannot be changed');
+      await expect(AuditLog.deleteMany({})).rejects.toThrow('cannot be changed');
+
+      entry.action = 'car.delete';
+      await expect(entry.save()).rejects.toThrow('cannot be changed');
+      expect(await AuditLog.countDocuments()).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,489 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import User from '../src/models/User.js';
+import Session from '../src/models/Session.js';
+import { setTransport } from '../src/utils/mailer.js';
+import { generateTotp } from '../src/utils/totp.js';
+
+// Capture outgoing mail instead of printing it
+const outbox = [];
+setTransport({
+  async send(message) {
+    outbox.push(message);
+  }
+});
+
+describe('Auth API', () => {
+  const credentials = {
+    username: 'authuser',
+    email: 'auth@example.com',
+    password: 'password123'
+  };
+
+  beforeAll(async () => {
+    await User.create(credentials);
+  });
+
+  afterAll(async () => {
+    // Clean up test data
+    await Session.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  const login = async () => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: credentials.email, password: credentials.password })
+      .expect(200);
+
+    return response.body.data;
+  };
+
+  describe('POST /api/auth/refresh', () => {
+    afterEach(async () => {
+      await Session.deleteMany({});
+    });
+
+    it('should exchange a refresh token for a new token pair', async () => {
+      const { refreshToken } = await login();
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.accessToken).toBeDefined();
+      expect(response.body.data.refreshToken).toBeDefined();
+      expect(response.body.data.refreshToken).not.toBe(refreshToken);
+    });
+
+    it('should revoke the session when a rotated refresh token is reused', async () => {
+      const { refreshToken } = await login();
+
+      const first = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      // Replaying the original token is treated as theft
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      // The legitimate, newer token no longer works either
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.body.data.refreshToken })
+        .expect(401);
+
+      const session = await Session.findOne({});
+      expect(session.revokedReason).toBe('reuse');
+    });
+
+    it('should reject an access token', async () => {
+      const { accessToken } = await login();
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: accessToken })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject a refresh token used as a Bearer token', async () => {
+      const { refreshToken } = await login();
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${refreshToken}`)
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid token type');
+    });
+  });
+
+  describe('Session management', () => {
+    afterEach(async () => {
+      await Session.deleteMany({});
+    });
+
+    it('should reject the access token after logout', async () => {
+      const { accessToken } = await login();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(401);
+
+      expect(response.body.message).toContain('revoked');
+    });
+
+    it('should list active sessions and flag the current one', async () => {
+      await login();
+      const { accessToken } = await login();
+
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.count).toBe(2);
+      expect(response.body.data.filter(session => session.current)).toHaveLength(1);
+    });
+
+    it('should revoke another session by ID', async () => {
+      const other = await login();
+      const { accessToken } = await login();
+
+      const sessions = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+      const otherSession = sessions.body.data.find(session => !session.current);
+
+      await request(app)
+        .delete(`/api/auth/sessions/${otherSession.id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${other.accessToken}`)
+        .expect(401);
+    });
+
+    it('should log out everywhere when the password changes', async () => {
+      const other = await login();
+      const { accessToken } = await login();
+
+      const response = await request(app)
+        .put('/api/auth/password')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ currentPassword: credentials.password, newPassword: credentials.password })
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${other.accessToken}`)
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.data.accessToken}`)
+        .expect(200);
+    });
+  });
+
+  describe('Password reset', () => {
+    const resetTokenFromOutbox = () => {
+      const message = outbox[outbox.length - 1];
+      return message.text.match(/token=([a-f0-9]+)/)[1];
+    };
+
+    beforeEach(() => {
+      outbox.length = 0;
+    });
+
+    afterEach(async () => {
+      await Session.deleteMany({});
+    });
+
+    it('should respond the same way for unknown emails without sending mail', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(outbox).toHaveLength(0);
+    });
+
+    it('should reset the password with a single-use token', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: credentials.email })
+        .expect(200);
+
+      expect(outbox).toHaveLength(1);
+      expect(outbox[0].to).toBe(credentials.email);
+      const token = resetTokenFromOutbox();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'newpassword123' })
+        .expect(200);
+
+      // Token cannot be used twice
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'anotherpassword' })
+        .expect(400);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: credentials.email, password: 'newpassword123' })
+        .expect(200);
+
+      // Restore the original password for the other tests
+      const user = await User.findOne({ email: credentials.email });
+      user.password = credentials.password;
+      await user.save();
+    });
+
+    it('should reject an expired token', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: credentials.email })
+        .expect(200);
+      const token = resetTokenFromOutbox();
+
+      await User.updateOne(
+        { email: credentials.email },
+        { passwordResetExpires: new Date(Date.now() - 1000) }
+      );
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'newpassword123' })
+        .expect(400);
+    });
+  });
+
+  describe('Email verification', () => {
+    const registration = {
+      username: 'newuser',
+      email: 'new@example.com',
+      password: 'password123'
+    };
+
+    beforeEach(() => {
+      outbox.length = 0;
+    });
+
+    afterEach(async () => {
+      await Session.deleteMany({});
+      await User.deleteOne({ email: registration.email });
+    });
+
+    it('should send a verification email on registration and verify with its token', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(registration)
+        .expect(201);
+
+      expect(response.body.data.user.emailVerified).toBe(false);
+      expect(outbox).toHaveLength(1);
+      const token = outbox[0].text.match(/token=([a-f0-9]+)/)[1];
+
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token })
+        .expect(200);
+
+      const user = await User.findOne({ email: registration.email });
+      expect(user.emailVerified).toBe(true);
+    });
+
+    it('should throttle resending the verification email', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(registration)
+        .expect(201);
+
+      await request(app)
+        .post('/api/auth/verify-email/resend')
+        .set('Authorization', `Bearer ${response.body.data.accessToken}`)
+        .expect(429);
+    });
+  });
+
+  describe('Login lockout', () => {
+    const admin = {
+      username: 'lockadmin',
+      email: 'lockadmin@example.com',
+      password: 'password123',
+      role: 'admin'
+    };
+
+    beforeEach(() => {
+      outbox.length = 0;
+    });
+
+    afterEach(async () => {
+      await Session.deleteMany({});
+      await User.deleteOne({ email: admin.email });
+      await User.updateOne(
+        { email: credentials.email },
+        { failedLoginAttempts: 0, $unset: { lastFailedLoginAt: 1, lockUntil: 1 } }
+      );
+    });
+
+    it('should ask for a delay after repeated failures', async () => {
+      await User.updateOne(
+        { email: credentials.email },
+        { failedLoginAttempts: 5, lastFailedLoginAt: new Date() }
+      );
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: credentials.email, password: credentials.password })
+        .expect(429);
+
+      expect(response.headers['retry-after']).toBeDefined();
+    });
+
+    it('should lock the account, notify the user and let an admin unlock it', async () => {
+      // One failure away from the limit, with any delay already served
+      await User.updateOne(
+        { email: credentials.email },
+        { failedLoginAttempts: 9, lastFailedLoginAt: new Date(Date.now() - 5 * 60 * 1000) }
+      );
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: credentials.email, password: 'wrongpassword' })
+        .expect(401);
+
+      expect(outbox).toHaveLength(1);
+      expect(outbox[0].subject).toContain('locked');
+
+      // Even the right password is refused while locked
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: credentials.email, password: credentials.password })
+        .expect(423);
+
+      await User.create(admin);
+      const adminLogin = await request(app)
+        .post('/api/auth/login')
+        .send({ email: admin.email, password: admin.password })
+        .expect(200);
+
+      const lockedUser = await User.findOne({ email: credentials.email });
+      await request(app)
+        .post(`/api/admin/users/${lockedUser._id}/unlock`)
+        .set('Authorization', `Bearer ${adminLogin.body.data.accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: credentials.email, password: credentials.password })
+        .expect(200);
+    });
+  });
+
+  describe('Two-factor authentication', () => {
+    afterEach(async () => {
+      await Session.deleteMany({});
+      await User.updateOne(
+        { email: credentials.email },
+        {
+          twoFactorEnabled: false,
+          $unset: { twoFactorSecret: 1, twoFactorLastStep: 1, twoFactorRecoveryCodes: 1 }
+        }
+      );
+    });
+
+    const enableTwoFactor = async () => {
+      const { accessToken } = await login();
+
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const { secret, otpauthUri } = setup.body.data;
+      expect(otpauthUri).toContain(`secret=${secret}`);
+
+      // Use the previous time step so the login below gets a fresh, unused code
+      const enable = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ code: generateTotp(secret, { time: Date.now() - 30000 }) })
+        .expect(200);
+
+      return { secret, recoveryCodes: enable.body.data.recoveryCodes };
+    };
+
+    it('should require a second step and issue tokens after a valid code', async () => {
+      const { secret } = await enableTwoFactor();
+
+      const challenge = await login();
+      expect(challenge.twoFactorRequired).toBe(true);
+      expect(challenge.accessToken).toBeUndefined();
+
+      const code = generateTotp(secret);
+      const response = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: challenge.challengeToken, code })
+        .expect(200);
+
+      expect(response.body.data.accessToken).toBeDefined();
+
+      // The same code cannot be replayed
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: challenge.challengeToken, code })
+        .expect(401);
+    });
+
+    it('should not let a code used to log in disable two-factor authentication', async () => {
+      const { secret } = await enableTwoFactor();
+      const { challengeToken } = await login();
+
+      const code = generateTotp(secret);
+      const verified = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, code })
+        .expect(200);
+      const { accessToken } = verified.body.data;
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ password: credentials.password, code })
+        .expect(400);
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ password: credentials.password, code: generateTotp(secret, { time: Date.now() + 30000 }) })
+        .expect(200);
+    });
+
+    it('should accept each recovery code only once', async () => {
+      const { recoveryCodes } = await enableTwoFactor();
+      expect(recoveryCodes).toHaveLength(10);
+
+      const { challengeToken } = await login();
+
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, recoveryCode: recoveryCodes[0] })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken, recoveryCode: recoveryCodes[0] })
+        .expect(401);
+    });
+
+    it('should not accept the challenge token as a Bearer token', async () => {
+      await enableTwoFactor();
+      const { challengeToken } = await login();
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${challengeToken}`)
+        .expect(401);
+    });
+  });
+});
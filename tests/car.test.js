@@ -2,11 +2,15 @@ import request from 'supertest';
 import app from '../src/server.js';
 import User from '../src/models/User.js';
 import Car from '../src/models/Car.js';
-import { generateTokens } from '../src/utils/jwt.js';
+import Session from '../src/models/Session.js';
+import { setStorageDriver } from '../src/utils/storage.js';
+import { tokenFor } from './helpers.js';
 
 describe('Car API', () => {
   let authToken;
+  let otherAuthToken;
   let testUser;
+  let otherUser;
   let testCar;
 
   beforeAll(async () => {
@@ -15,6 +19,7 @@ describe('Car API', () => {
       username: 'testuser',
       email: 'test@example.com',
       password: 'password123',
+      emailVerified: true,
       profile: {
         firstName: 'Test',
         lastName: 'User',
@@ -23,13 +28,21 @@ describe('Car API', () => {
     });
 
     // Generate auth token
-    const tokens = generateTokens(testUser);
-    authToken = tokens.accessToken;
+    authToken = await tokenFor(testUser);
+
+    // Create a second user who does not own the test listings
+    otherUser = await User.create({
+      username: 'otheruser',
+      email: 'other@example.com',
+      password: 'password123'
+    });
+    otherAuthToken = await tokenFor(otherUser);
   });
 
   afterAll(async () => {
     // Clean up test data
     await Car.deleteMany({});
+    await Session.deleteMany({});
     await User.deleteMany({});
   });
 
@@ -47,7 +60,12 @@ describe('Car API', () => {
           transmission: 'manual',
           bodyType: 'hatchback',
           color: 'White',
-          location: { city: 'Mumbai', state: 'Maharashtra', country: 'India' },
+          location: {
+            city: 'Mumbai',
+            state: 'Maharashtra',
+            country: 'India',
+            geo: { type: 'Point', coordinates: [72.8777, 19.0760] }
+          },
           seller: { name: 'Test Seller', phone: '+91 98765 43210' }
         },
         {
@@ -60,7 +78,12 @@ describe('Car API', () => {
           transmission: 'automatic',
           bodyType: 'hatchback',
           color: 'Blue',
-          location: { city: 'Delhi', state: 'Delhi', country: 'India' },
+          location: {
+            city: 'Delhi',
+            state: 'Delhi',
+            country: 'India',
+            geo: { type: 'Point', coordinates: [77.1025, 28.7041] }
+          },
           seller: { name: 'Another Seller', phone: '+91 87654 32109' }
         }
       ]);
@@ -100,6 +123,233 @@ describe('Car API', () => {
       expect(response.body.data[0].price).toBe(550000);
     });
 
+    it('should search cars by text and return a relevance score', async () => {
+      const response = await request(app)
+        .get('/api/cars?q=swift&sort=relevance')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].model).toBe('Swift');
+      expect(response.body.data[0].score).toBeGreaterThan(0);
+    });
+
+    it('should combine a text search with the other filters', async () => {
+      const both = await request(app)
+        .get('/api/cars?q=white blue')
+        .expect(200);
+      expect(both.body.data).toHaveLength(2);
+
+      const byMake = await request(app)
+        .get('/api/cars?q=white blue&make=Hyundai')
+        .expect(200);
+      expect(byMake.body.data.map(car => car.model)).toEqual(['i20']);
+
+      const byPrice = await request(app)
+        .get('/api/cars?q=white blue&minPrice=580000')
+        .expect(200);
+      expect(byPrice.body.data.map(car => car.model)).toEqual(['Swift']);
+
+      // Navi Mumbai, roughly 20 km from the Mumbai listing
+      const nearby = await request(app)
+        .get('/api/cars?q=white blue&lat=19.0330&lng=73.0297&radiusKm=50')
+        .expect(200);
+      expect(nearby.body.data).toHaveLength(1);
+      expect(nearby.body.data[0].model).toBe('Swift');
+      expect(nearby.body.data[0].score).toBeGreaterThan(0);
+      expect(nearby.body.data[0].distance).toBeGreaterThan(15);
+    });
+
+    it('should rank multi-word searches and return nothing for unknown words', async () => {
+      // A model match outweighs a color match
+      const ranked = await request(app)
+        .get('/api/cars?q=swift blue&sort=relevance')
+        .expect(200);
+      expect(ranked.body.data.map(car => car.model)).toEqual(['Swift', 'i20']);
+      expect(ranked.body.data[0].score).toBeGreaterThan(ranked.body.data[1].score);
+
+      const none = await request(app)
+        .get('/api/cars?q=lamborghini&sort=relevance')
+        .expect(200);
+      expect(none.body.data).toEqual([]);
+      expect(none.body.pagination.total).toBe(0);
+    });
+
+    it('should page through relevance results with cursors', async () => {
+      const first = await request(app)
+        .get('/api/cars?q=swift blue&sort=relevance&limit=1')
+        .expect(200);
+
+      expect(first.body.data[0].model).toBe('Swift');
+      expect(first.body.pagination.hasNext).toBe(true);
+
+      const position = JSON.parse(Buffer.from(first.body.pagination.nextCursor, 'base64url').toString('utf8'));
+      expect(position).toMatchObject({ s: 'relevance', v: first.body.data[0].score, id: first.body.data[0]._id });
+
+      const second = await request(app)
+        .get(`/api/cars?q=swift blue&sort=relevance&limit=1&after=${first.body.pagination.nextCursor}`)
+        .expect(200);
+
+      expect(second.body.data[0].model).toBe('i20');
+      expect(second.body.pagination.hasNext).toBe(false);
+
+      const back = await request(app)
+        .get(`/api/cars?q=swift blue&sort=relevance&limit=1&before=${second.body.pagination.prevCursor}`)
+        .expect(200);
+
+      expect(back.body.data[0].model).toBe('Swift');
+    });
+
+    it('should reject relevance sort without a search query', async () => {
+      await request(app)
+        .get('/api/cars?sort=relevance')
+        .expect(400);
+    });
+
+    it('should count facets with every filter except their own', async () => {
+      const response = await request(app)
+        .get('/api/cars/facets?fuelType=diesel&priceBuckets=0,580000')
+        .expect(200);
+
+      const { total, facets } = response.body.data;
+      expect(total).toBe(1);
+
+      // The fuel type facet ignores the fuelType filter
+      expect(facets.fuelType).toHaveLength(2);
+
+      // Other facets only count the diesel car
+      expect(facets.transmission).toEqual([{ value: 'automatic', count: 1 }]);
+      expect(facets.price).toEqual([
+        { min: 0, max: 580000, count: 1 },
+        { min: 580000, max: null, count: 0 }
+      ]);
+    });
+
+    it('should reject facet boundaries the open-ended last bucket cannot follow', async () => {
+      await request(app)
+        .get('/api/cars/facets?priceBuckets=0,100000000000000000000')
+        .expect(400);
+    });
+
+    it('should apply the other active filters to each facet', async () => {
+      const response = await request(app)
+        .get('/api/cars/facets?transmission=manual&maxPrice=580000&priceBuckets=0,580000')
+        .expect(200);
+
+      const { total, facets } = response.body.data;
+      // The manual Swift is over the price limit and the i20 under it is automatic
+      expect(total).toBe(0);
+
+      // Each facet drops only its own filter
+      expect(facets.transmission).toEqual([{ value: 'automatic', count: 1 }]);
+      expect(facets.price).toEqual([
+        { min: 0, max: 580000, count: 0 },
+        { min: 580000, max: null, count: 1 }
+      ]);
+
+      // Facets without a filter of their own apply both
+      expect(facets.make).toEqual([]);
+      expect(facets.fuelType).toEqual([]);
+    });
+
+    it('should bucket mileage by custom boundaries', async () => {
+      // Boundaries are sorted and deduplicated
+      const response = await request(app)
+        .get('/api/cars/facets?mileageBuckets=30000,10000,20000,10000')
+        .expect(200);
+
+      expect(response.body.data.facets.mileage).toEqual([
+        { min: 10000, max: 20000, count: 0 },
+        { min: 20000, max: 30000, count: 1 },
+        { min: 30000, max: null, count: 1 }
+      ]);
+
+      // Values under the first boundary get their own bucket
+      const below = await request(app)
+        .get('/api/cars/facets?mileageBuckets=26000')
+        .expect(200);
+
+      expect(below.body.data.facets.mileage).toEqual([
+        { min: null, max: 26000, count: 1 },
+        { min: 26000, max: null, count: 1 }
+      ]);
+    });
+
+    it('should reject malformed or out-of-range facet boundaries', async () => {
+      const atLimit = await request(app)
+        .get(`/api/cars/facets?mileageBuckets=0,${Number.MAX_SAFE_INTEGER}`)
+        .expect(400);
+      expect(atLimit.body.errors).toEqual([
+        expect.objectContaining({ field: 'mileageBuckets', message: expect.stringMatching(/must be below/) })
+      ]);
+
+      await request(app).get('/api/cars/facets?yearBuckets=2015,abc').expect(400);
+      await request(app).get('/api/cars/facets?priceBuckets=-100000,500000').expect(400);
+
+      const tooMany = Array.from({ length: 21 }, (_, index) => index * 1000).join(',');
+      await request(app).get(`/api/cars/facets?priceBuckets=${tooMany}`).expect(400);
+    });
+
+    it('should page through cars with cursors', async () => {
+      const first = await request(app)
+        .get('/api/cars?sort=price&limit=1')
+        .expect(200);
+
+      expect(first.body.data[0].price).toBe(550000);
+      expect(first.body.pagination.hasNext).toBe(true);
+
+      const second = await request(app)
+        .get(`/api/cars?sort=price&limit=1&after=${first.body.pagination.nextCursor}`)
+        .expect(200);
+
+      expect(second.body.data[0].price).toBe(600000);
+      expect(second.body.pagination.hasNext).toBe(false);
+      expect(second.body.pagination.total).toBeUndefined();
+
+      const back = await request(app)
+        .get(`/api/cars?sort=price&limit=1&before=${second.body.pagination.prevCursor}`)
+        .expect(200);
+
+      expect(back.body.data[0].price).toBe(550000);
+    });
+
+    it('should reject a cursor used with a different sort', async () => {
+      const first = await request(app)
+        .get('/api/cars?sort=price&limit=1')
+        .expect(200);
+
+      await request(app)
+        .get(`/api/cars?sort=-year&after=${first.body.pagination.nextCursor}`)
+        .expect(400);
+    });
+
+    it('should find cars within a radius and return their distance', async () => {
+      // Navi Mumbai, roughly 20 km from the Mumbai listing
+      const response = await request(app)
+        .get('/api/cars?lat=19.0330&lng=73.0297&radiusKm=50')
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].model).toBe('Swift');
+      expect(response.body.data[0].distance).toBeGreaterThan(15);
+      expect(response.body.data[0].distance).toBeLessThan(25);
+    });
+
+    it('should sort cars by distance', async () => {
+      // Jaipur is closer to Delhi than to Mumbai
+      const response = await request(app)
+        .get('/api/cars?lat=26.9124&lng=75.7873&radiusKm=1000&sort=distance')
+        .expect(200);
+
+      expect(response.body.data.map(car => car.price)).toEqual([550000, 600000]);
+    });
+
+    it('should reject distance sort without a search point', async () => {
+      await request(app)
+        .get('/api/cars?sort=distance')
+        .expect(400);
+    });
+
     it('should sort cars by price', async () => {
       const response = await request(app)
         .get('/api/cars?sort=price')
@@ -138,6 +388,34 @@ describe('Car API', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.data.make).toBe('Toyota');
       expect(response.body.data.model).toBe('Camry');
+      expect(response.body.data.owner).toBe(testUser._id.toString());
+      // Geocoded from the city gazetteer (Bangalore is an alias of Bengaluru)
+      expect(response.body.data.location.geo.coordinates).toEqual([77.5946, 12.9716]);
+    });
+
+    it('should use coordinates provided by the seller', async () => {
+      const response = await request(app)
+        .post('/api/cars')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          ...validCarData,
+          location: { ...validCarData.location, coordinates: { lat: 12.9352, lng: 77.6245 } }
+        })
+        .expect(201);
+
+      expect(response.body.data.location.geo.coordinates).toEqual([77.6245, 12.9352]);
+      expect(response.body.data.location.coordinates).toBeUndefined();
+    });
+
+    it('should reject car creation from an unverified account', async () => {
+      const response = await request(app)
+        .post('/api/cars')
+        .set('Authorization', `Bearer ${otherAuthToken}`)
+        .send(validCarData)
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toContain('verify your email');
     });
 
     it('should reject car creation without auth token', async () => {
@@ -242,7 +520,8 @@ describe('Car API', () => {
         bodyType: 'hatchback',
         color: 'Black',
         location: { city: 'Pune', state: 'Maharashtra', country: 'India' },
-        seller: { name: 'Nissan Seller', phone: '+91 55555 44444' }
+        seller: { name: 'Nissan Seller', phone: '+91 55555 44444' },
+        owner: testUser._id
       });
     });
 
@@ -264,6 +543,32 @@ describe('Car API', () => {
       expect(response.body.data.description).toBe('Updated description');
     });
 
+    it('should reject update by a user who does not own the car', async () => {
+      const response = await request(app)
+        .put(`/api/cars/${testCar._id}`)
+        .set('Authorization', `Bearer ${otherAuthToken}`)
+        .send({ price: 450000 })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+
+      const unchangedCar = await Car.findById(testCar._id);
+      expect(unchangedCar.price).toBe(400000);
+    });
+
+    it('should not let the owner edit a deleted listing', async () => {
+      await Car.updateOne({ _id: testCar._id }, { isActive: false });
+
+      await request(app)
+        .put(`/api/cars/${testCar._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ price: 450000 })
+        .expect(404);
+
+      const unchangedCar = await Car.findById(testCar._id);
+      expect(unchangedCar.price).toBe(400000);
+    });
+
     it('should reject update without auth token', async () => {
       const updateData = { price: 450000 };
 
@@ -289,7 +594,8 @@ describe('Car API', () => {
         bodyType: 'suv',
         color: 'White',
         location: { city: 'Kolkata', state: 'West Bengal', country: 'India' },
-        seller: { name: 'Ford Seller', phone: '+91 33333 22222' }
+        seller: { name: 'Ford Seller', phone: '+91 33333 22222' },
+        owner: testUser._id
       });
     });
 
@@ -310,6 +616,48 @@ describe('Car API', () => {
       expect(deletedCar.isActive).toBe(false);
     });
 
+    it('should not delete a listing twice', async () => {
+      await request(app)
+        .delete(`/api/cars/${testCar._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/cars/${testCar._id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    it('should reject delete by a user who does not own the car', async () => {
+      const response = await request(app)
+        .delete(`/api/cars/${testCar._id}`)
+        .set('Authorization', `Bearer ${otherAuthToken}`)
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+
+      const unchangedCar = await Car.findById(testCar._id);
+      expect(unchangedCar.isActive).toBe(true);
+    });
+
+    it('should allow an admin to delete any car', async () => {
+      const admin = await User.create({
+        username: 'adminuser',
+        email: 'admin@example.com',
+        password: 'password123',
+        role: 'admin'
+      });
+      const adminToken = await tokenFor(admin);
+
+      await request(app)
+        .delete(`/api/cars/${testCar._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const deletedCar = await Car.findById(testCar._id);
+      expect(deletedCar.isActive).toBe(false);
+    });
+
     it('should reject delete without auth token', async () => {
       const response = await request(app)
         .delete(`/api/cars/${testCar._id}`)
@@ -319,6 +667,157 @@ describe('Car API', () => {
     });
   });
 
+  describe('Car images', () => {
+    // Smallest buffers that pass content sniffing
+    const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]);
+    let stored;
+
+    beforeEach(async () => {
+      // Keep uploads in memory instead of writing to disk
+      stored = new Map();
+      setStorageDriver({
+        name: 'memory',
+        async save(key, buffer) {
+          stored.set(key, buffer);
+          return `/uploads/${key}`;
+        },
+        async remove(key) {
+          stored.delete(key);
+        }
+      });
+
+      testCar = await Car.create({
+        make: 'Kia',
+        model: 'Seltos',
+        year: 2022,
+        price: 1500000,
+        mileage: 12000,
+        fuelType: 'petrol',
+        transmission: 'automatic',
+        bodyType: 'suv',
+        color: 'Grey',
+        images: [{ url: 'https://example.com/seltos.jpg', alt: 'Front' }],
+        location: { city: 'Hyderabad', state: 'Telangana', country: 'India' },
+        seller: { name: 'Kia Seller', phone: '+91 44444 33333' },
+        owner: testUser._id
+      });
+    });
+
+    afterEach(async () => {
+      setStorageDriver(null);
+      await Car.deleteMany({});
+    });
+
+    it('should upload images and send the listing for review', async () => {
+      const response = await request(app)
+        .post(`/api/cars/${testCar._id}/images`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .attach('images', jpeg, 'side.jpg')
+        .attach('images', png, 'rear.png')
+        .field('alt', 'Side')
+        .field('alt', 'Rear')
+        .expect(201);
+
+      const { images, moderation } = response.body.data;
+      expect(images).toHaveLength(3);
+      expect(images[1].url).toMatch(new RegExp(`^/uploads/cars/${testCar._id}/\\w+\\.jpg$`));
+      expect(images[2].url).toMatch(/\.png$/);
+      expect(images[2].alt).toBe('Rear');
+      expect(images[1].key).toBeUndefined();
+      expect(moderation.status).toBe('pending');
+      expect(stored.size).toBe(2);
+    });
+
+    it('should reject files that are not JPEG, PNG or WebP images', async () => {
+      const response = await request(app)
+        .post(`/api/cars/${testCar._id}/images`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .attach('images', Buffer.from('<svg></svg>'), { filename: 'fake.jpg', contentType: 'image/jpeg' })
+        .expect(400);
+
+      expect(response.body.message).toContain('Only JPEG, PNG and WebP');
+      expect(stored.size).toBe(0);
+    });
+
+    it('should reject uploads beyond 10 images per listing', async () => {
+      let upload = request(app)
+        .post(`/api/cars/${testCar._id}/images`)
+        .set('Authorization', `Bearer ${authToken}`);
+      for (let i = 0; i < 10; i++) {
+        upload = upload.attach('images', jpeg, `photo-${i}.jpg`);
+      }
+
+      const response = await upload.expect(400);
+
+      expect(response.body.message).toContain('more than 10 images');
+      expect(stored.size).toBe(0);
+    });
+
+    it('should reject uploads from a user who does not own the car', async () => {
+      await request(app)
+        .post(`/api/cars/${testCar._id}/images`)
+        .set('Authorization', `Bearer ${otherAuthToken}`)
+        .attach('images', jpeg, 'side.jpg')
+        .expect(403);
+    });
+
+    it('should reorder images and set the cover image', async () => {
+      const uploaded = await request(app)
+        .post(`/api/cars/${testCar._id}/images`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .attach('images', jpeg, 'side.jpg')
+        .attach('images', png, 'rear.png')
+        .expect(201);
+
+      const [first, second, third] = uploaded.body.data.images.map(image => image._id);
+
+      const reordered = await request(app)
+        .put(`/api/cars/${testCar._id}/images/order`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ order: [third, first, second] })
+        .expect(200);
+
+      expect(reordered.body.data.images.map(image => image._id)).toEqual([third, first, second]);
+
+      await request(app)
+        .put(`/api/cars/${testCar._id}/images/order`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ order: [third, first] })
+        .expect(400);
+
+      const cover = await request(app)
+        .put(`/api/cars/${testCar._id}/images/${second}/cover`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(cover.body.data.images.map(image => image._id)).toEqual([second, third, first]);
+    });
+
+    it('should delete an uploaded image and its stored file', async () => {
+      const uploaded = await request(app)
+        .post(`/api/cars/${testCar._id}/images`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .attach('images', jpeg, 'side.jpg')
+        .expect(201);
+
+      const imageId = uploaded.body.data.images[1]._id;
+
+      const response = await request(app)
+        .delete(`/api/cars/${testCar._id}/images/${imageId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.images).toHaveLength(1);
+      expect(stored.size).toBe(0);
+
+      await request(app)
+        .delete(`/api/cars/${testCar._id}/images/${imageId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+  });
+
   describe('GET /api/cars/stats', () => {
     beforeEach(async () => {
       await Car.create([
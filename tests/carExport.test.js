@@ -0,0 +1,144 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import User from '../src/models/User.js';
+import Car from '../src/models/Car.js';
+import Session from '../src/models/Session.js';
+import { parseCsv } from '../src/utils/csv.js';
+import { tokenFor, carData } from './helpers.js';
+
+// Listing with the list and nested fields the export flattens
+const listing = (overrides = {}) => carData({
+  features: ['ABS', 'Airbags'],
+  images: [
+    { url: 'https://example.com/front.jpg' },
+    { url: 'https://example.com/rear.jpg' }
+  ],
+  location: {
+    city: 'Pune',
+    state: 'Maharashtra',
+    geo: { type: 'Point', coordinates: [73.8567, 18.5204] }
+  },
+  ...overrides
+});
+
+// NDJSON responses are buffered as text
+const ndjson = (response) => response.text.trim().split('\n').map(line => JSON.parse(line));
+
+describe('Car export', () => {
+  let seller;
+  let sellerToken;
+
+  beforeAll(async () => {
+    seller = await User.create({
+      username: 'exportseller',
+      email: 'exportseller@example.com',
+      password: 'password123',
+      emailVerified: true
+    });
+    sellerToken = await tokenFor(seller);
+
+    const other = await User.create({
+      username: 'exportother',
+      email: 'exportother@example.com',
+      password: 'password123'
+    });
+
+    await Car.create([
+      listing({ owner: seller._id, price: 900000, description: '=HYPERLINK("https://example.com"), "clean"' }),
+      listing({ owner: seller._id, make: 'Hyundai', model: 'Creta', price: 1500000, bodyType: 'suv' }),
+      listing({ owner: seller._id, make: 'Tata', model: 'Nexon', price: 1100000, status: 'sold' }),
+      listing({ owner: other._id, make: 'Kia', model: 'Seltos', price: 1300000, bodyType: 'suv' })
+    ]);
+  });
+
+  afterAll(async () => {
+    await Car.deleteMany({});
+    await Session.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  it('should export search results as CSV with the listing filters and sort', async () => {
+    const response = await request(app)
+      .get('/api/cars/export?bodyType=suv&sort=price&columns=make,price,features,images,location.lat,seller.phone')
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^text\/csv/);
+    expect(response.headers['content-disposition']).toBe('attachment; filename="cars.csv"');
+
+    const [header, ...rows] = parseCsv(response.text);
+    expect(header).toEqual(['make', 'price', 'features', 'images', 'location.lat', 'seller.phone']);
+    expect(rows).toEqual([
+      ['Kia', '1300000', 'ABS|Airbags', 'https://example.com/front.jpg|https://example.com/rear.jpg', '18.5204', '+91 99999 11111'],
+      ['Hyundai', '1500000', 'ABS|Airbags', 'https://example.com/front.jpg|https://example.com/rear.jpg', '18.5204', '+91 99999 11111']
+    ]);
+  });
+
+  it('should export every match without pagination and keep formulas from running', async () => {
+    const response = await request(app)
+      .get('/api/cars/export?sort=-price&limit=1&columns=make,description')
+      .expect(200);
+
+    const [, ...rows] = parseCsv(response.text);
+    // The sold Nexon is left out like in GET /api/cars
+    expect(rows.map(([make]) => make)).toEqual(['Hyundai', 'Kia', 'Honda']);
+    expect(rows[2][1]).toBe('\'=HYPERLINK("https://example.com"), "clean"');
+  });
+
+  it('should export flattened NDJSON with every column by default', async () => {
+    const response = await request(app)
+      .get('/api/cars/export?format=ndjson&make=Honda')
+      .buffer(true)
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^application\/x-ndjson/);
+
+    const [car] = ndjson(response);
+    expect(car).toMatchObject({
+      make: 'Honda',
+      features: ['ABS', 'Airbags'],
+      images: ['https://example.com/front.jpg', 'https://example.com/rear.jpg'],
+      'location.city': 'Pune',
+      'location.lng': 73.8567,
+      previousPrice: null,
+      distance: null
+    });
+    expect(car.id).toMatch(/^[0-9a-f]{24}$/);
+    expect(new Date(car.createdAt).toISOString()).toBe(car.createdAt);
+  });
+
+  it('should include the distance of radius searches', async () => {
+    const response = await request(app)
+      .get('/api/cars/export?format=ndjson&lat=18.5204&lng=73.8567&sort=distance&columns=make,distance')
+      .buffer(true)
+      .expect(200);
+
+    const cars = ndjson(response);
+    expect(cars).toHaveLength(3);
+    expect(cars[0].distance).toBeCloseTo(0);
+  });
+
+  it('should export the current user\'s listings, including sold ones', async () => {
+    const response = await request(app)
+      .get('/api/cars/my-listings/export?columns=make,status')
+      .set('Authorization', `Bearer ${sellerToken}`)
+      .expect(200);
+
+    expect(response.headers['content-disposition']).toBe('attachment; filename="my-listings.csv"');
+
+    const [, ...rows] = parseCsv(response.text);
+    expect(rows).toHaveLength(3);
+    expect(rows).toContainEqual(['Tata', 'sold']);
+    expect(rows.map(([make]) => make)).not.toContain('Kia');
+
+    await request(app).get('/api/cars/my-listings/export').expect(401);
+  });
+
+  it('should reject unknown columns and formats', async () => {
+    const response = await request(app)
+      .get('/api/cars/export?columns=make,engine')
+      .expect(400);
+    expect(response.body.errors).toEqual([{ field: 'columns', message: 'Unknown columns: engine' }]);
+
+    await request(app).get('/api/cars/export?format=xml').expect(400);
+  });
+});
@@ -0,0 +1,199 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import User from '../src/models/User.js';
+import Car from '../src/models/Car.js';
+import ImportJob from '../src/models/ImportJob.js';
+import SavedSearch from '../src/models/SavedSearch.js';
+import SearchAlert from '../src/models/SearchAlert.js';
+import { failStaleImportJobs } from '../src/utils/carImport.js';
+import Session from '../src/models/Session.js';
+import { tokenFor } from './helpers.js';
+
+const HEADER = 'make,model,year,price,mileage,fuelType,transmission,bodyType,color,description,features,images,' +
+  'location.city,location.state,seller.name,seller.phone';
+
+const VALID_ROW = 'Honda,City,2021,900000,20000,petrol,manual,sedan,White,"Clean, single owner",ABS|Airbags,' +
+  'https://example.com/city-front.jpg|https://example.com/city-rear.jpg,Pune,Maharashtra,City Motors,+91 99999 11111';
+
+const INVALID_ROW = 'Kia,Seltos,1800,900000,20000,rocket,manual,suv,Red,,,,Pune,Maharashtra,City Motors,+91 99999 11111';
+
+const csv = (...rows) => Buffer.from([HEADER, ...rows].join('\n'));
+
+describe('Car CSV import', () => {
+  let dealer;
+  let dealerToken;
+  let otherUser;
+  let otherUserToken;
+
+  const importFile = (file, { dryRun, token = dealerToken } = {}) => {
+    const req = request(app)
+      .post('/api/cars/import')
+      .set('Authorization', `Bearer ${token}`)
+      .attach('file', file, 'cars.csv');
+
+    return dryRun ? req.field('dryRun', 'true') : req;
+  };
+
+  beforeAll(async () => {
+    dealer = await User.create({
+      username: 'importdealer',
+      email: 'importdealer@example.com',
+      password: 'password123',
+      emailVerified: true,
+      trustedSeller: true
+    });
+    dealerToken = await tokenFor(dealer);
+
+    otherUser = await User.create({
+      username: 'importother',
+      email: 'importother@example.com',
+      password: 'password123',
+      emailVerified: true
+    });
+    otherUserToken = await tokenFor(otherUser);
+  });
+
+  afterEach(async () => {
+    delete process.env.IMPORT_SYNC_ROWS;
+    await ImportJob.deleteMany({});
+    await SearchAlert.deleteMany({});
+    await SavedSearch.deleteMany({});
+    await Car.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await Session.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  it('should create listings for valid rows and report invalid ones', async () => {
+    const response = await importFile(csv(VALID_ROW, INVALID_ROW)).expect(200);
+
+    const job = response.body.data;
+    expect(job.status).toBe('completed');
+    expect(job.totalRows).toBe(2);
+    expect(job.succeeded).toBe(1);
+    expect(job.failed).toBe(1);
+
+    expect(job.rows[0]).toMatchObject({ line: 2, success: true });
+    expect(job.rows[1].line).toBe(3);
+    expect(job.rows[1].success).toBe(false);
+    expect(job.rows[1].issues.map(error => error.field)).toEqual(expect.arrayContaining(['year', 'fuelType']));
+
+    const car = await Car.findById(job.rows[0].car);
+    expect(car.owner.toString()).toBe(dealer._id.toString());
+    expect(car.description).toBe('Clean, single owner');
+    expect(car.features).toEqual(['ABS', 'Airbags']);
+    expect(car.images.map(image => image.url)).toEqual([
+      'https://example.com/city-front.jpg',
+      'https://example.com/city-rear.jpg'
+    ]);
+    expect(car.location.city).toBe('Pune');
+    expect(car.seller.email).toBe('importdealer@example.com');
+    expect(await Car.countDocuments()).toBe(1);
+  });
+
+  it('should only validate rows in a dry run', async () => {
+    const response = await importFile(csv(VALID_ROW, INVALID_ROW), { dryRun: true }).expect(200);
+
+    expect(response.body.data.dryRun).toBe(true);
+    expect(response.body.data.succeeded).toBe(1);
+    expect(response.body.data.failed).toBe(1);
+    expect(response.body.data.rows[0].car).toBeUndefined();
+    expect(await Car.countDocuments()).toBe(0);
+  });
+
+  it('should process large files in the background', async () => {
+    process.env.IMPORT_SYNC_ROWS = '1';
+
+    const response = await importFile(csv(VALID_ROW, VALID_ROW, INVALID_ROW)).expect(202);
+    expect(response.body.data.url).toBe(`/api/cars/imports/${response.body.data.id}`);
+
+    let job;
+    for (let attempt = 0; attempt < 50; attempt += 1) {
+      const status = await request(app)
+        .get(response.body.data.url)
+        .set('Authorization', `Bearer ${dealerToken}`)
+        .expect(200);
+      job = status.body.data;
+      if (job.status === 'completed') break;
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    expect(job.status).toBe('completed');
+    expect(job.processedRows).toBe(3);
+    expect(job.succeeded).toBe(2);
+    expect(await Car.countDocuments()).toBe(2);
+
+    const list = await request(app)
+      .get('/api/cars/imports')
+      .set('Authorization', `Bearer ${dealerToken}`)
+      .expect(200);
+    expect(list.body.data).toHaveLength(1);
+    expect(list.body.data[0].rows).toBeUndefined();
+
+    await request(app)
+      .get(response.body.data.url)
+      .set('Authorization', `Bearer ${otherUserToken}`)
+      .expect(404);
+  });
+
+  it('should alert saved searches that match imported listings', async () => {
+    const hondas = await SavedSearch.create({ user: otherUser._id, name: 'Hondas', query: { make: 'Honda' } });
+    const suvs = await SavedSearch.create({ user: otherUser._id, name: 'SUVs', query: { bodyType: 'suv' } });
+
+    await importFile(csv(VALID_ROW, VALID_ROW, INVALID_ROW)).expect(200);
+
+    expect(await SearchAlert.countDocuments({ savedSearch: hondas._id })).toBe(2);
+    expect(await SearchAlert.countDocuments({ savedSearch: suvs._id })).toBe(0);
+  });
+
+  it('should report rows by their line in the file', async () => {
+    const file = Buffer.from([HEADER, '', VALID_ROW, '', '', INVALID_ROW].join('\n'));
+    const response = await importFile(file, { dryRun: true }).expect(200);
+
+    expect(response.body.data.rows.map(row => row.line)).toEqual([3, 6]);
+  });
+
+  it('should mark background imports that stopped making progress as failed', async () => {
+    const job = await ImportJob.create({ owner: dealer._id, totalRows: 100, status: 'processing' });
+    const fresh = await ImportJob.create({ owner: dealer._id, totalRows: 100, status: 'processing' });
+    await ImportJob.updateOne(
+      { _id: job._id },
+      { updatedAt: new Date(Date.now() - 60 * 60 * 1000) },
+      { timestamps: false }
+    );
+
+    expect(await failStaleImportJobs()).toBe(1);
+
+    const failed = await ImportJob.findById(job._id);
+    expect(failed.status).toBe('failed');
+    expect(failed.error).toMatch(/interrupted/);
+    expect((await ImportJob.findById(fresh._id)).status).toBe('processing');
+  });
+
+  it('should reject files with unknown columns', async () => {
+    const response = await importFile(Buffer.from('make,model,engine\nHonda,City,1.5')).expect(400);
+
+    expect(response.body.message).toBe('Unknown columns: engine');
+  });
+
+  it('should report rows with more cells than the header', async () => {
+    const response = await importFile(csv(`${VALID_ROW},extra`)).expect(200);
+
+    expect(response.body.data.rows[0].success).toBe(false);
+    expect(response.body.data.rows[0].issues[0].message).toBe('Row has 17 cells but the header has 16 columns');
+  });
+
+  it('should reject a missing file, malformed CSV or a header without rows', async () => {
+    await request(app)
+      .post('/api/cars/import')
+      .set('Authorization', `Bearer ${dealerToken}`)
+      .expect(400);
+
+    const malformed = await importFile(Buffer.from(`${HEADER}\n"Honda,City`)).expect(400);
+    expect(malformed.body.message).toMatch(/^Invalid CSV/);
+
+    await importFile(Buffer.from(HEADER)).expect(400);
+  });
+});
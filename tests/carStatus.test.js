@@ -0,0 +1,148 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import User from '../src/models/User.js';
+import Car from '../src/models/Car.js';
+import StatusHistory from '../src/models/StatusHistory.js';
+import Session from '../src/models/Session.js';
+import { expireReservations } from '../src/utils/carStatus.js';
+import { tokenFor, carData } from './helpers.js';
+
+describe('Car status transitions', () => {
+  let sellerToken;
+  let adminToken;
+  let otherUserToken;
+  let seller;
+  let car;
+
+  const transition = (action, token = sellerToken, body = {}) => request(app)
+    .post(`/api/cars/${car._id}/${action}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  beforeAll(async () => {
+    seller = await User.create({
+      username: 'statusseller',
+      email: 'statusseller@example.com',
+      password: 'password123'
+    });
+    sellerToken = await tokenFor(seller);
+
+    const admin = await User.create({
+      username: 'statusadmin',
+      email: 'statusadmin@example.com',
+      password: 'password123',
+      role: 'admin'
+    });
+    adminToken = await tokenFor(admin);
+
+    const otherUser = await User.create({
+      username: 'statusother',
+      email: 'statusother@example.com',
+      password: 'password123'
+    });
+    otherUserToken = await tokenFor(otherUser);
+  });
+
+  beforeEach(async () => {
+    car = await Car.create(carData({ owner: seller._id }));
+  });
+
+  afterEach(async () => {
+    await StatusHistory.deleteMany({});
+    await Car.deleteMany({});
+  });
+
+  afterAll(async () => {
+    // Clean up test data
+    await Session.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  it('should reserve, release, sell and relist a car and record each change', async () => {
+    const reserved = await transition('reserve', sellerToken, { reason: 'Deposit paid' }).expect(200);
+    expect(reserved.body.data.status).toBe('reserved');
+    expect(new Date(reserved.body.data.reservation.expiresAt).getTime()).toBeGreaterThan(Date.now());
+
+    await transition('release').expect(200);
+    await transition('mark-sold').expect(200);
+
+    const relisted = await transition('relist').expect(200);
+    expect(relisted.body.data.status).toBe('available');
+    expect(relisted.body.data.reservation).toBeUndefined();
+
+    const history = await request(app)
+      .get(`/api/cars/${car._id}/status-history`)
+      .set('Authorization', `Bearer ${sellerToken}`)
+      .expect(200);
+
+    expect(history.body.data.history.map(change => `${change.from}>${change.to}`)).toEqual([
+      'available>reserved',
+      'reserved>available',
+      'available>sold',
+      'sold>available'
+    ]);
+    expect(history.body.data.history[0].reason).toBe('Deposit paid');
+    expect(history.body.data.history[0].changedBy.username).toBe('statusseller');
+  });
+
+  it('should reject transitions that are not allowed', async () => {
+    const response = await transition('release').expect(400);
+    expect(response.body.message).toBe('Cannot release a car that is available');
+
+    await transition('relist').expect(400);
+    await transition('mark-sold').expect(200);
+    await transition('reserve').expect(400);
+  });
+
+  it('should only let the owner or an admin change the status', async () => {
+    await transition('reserve', otherUserToken).expect(403);
+    await transition('reserve', adminToken).expect(200);
+  });
+
+  it('should reject reservations expiring in the past or too far ahead', async () => {
+    await transition('reserve', sellerToken, { expiresAt: '2020-01-01T00:00:00Z' }).expect(400);
+
+    const tooLate = new Date(Date.now() + 40 * 24 * 60 * 60 * 1000).toISOString();
+    await transition('reserve', sellerToken, { expiresAt: tooLate }).expect(400);
+  });
+
+  it('should release expired reservations', async () => {
+    await transition('reserve').expect(200);
+    await Car.updateOne({ _id: car._id }, { 'reservation.expiresAt': new Date(Date.now() - 1000) });
+
+    expect(await expireReservations()).toBe(1);
+
+    const released = await Car.findById(car._id);
+    expect(released.status).toBe('available');
+
+    const change = await StatusHistory.findOne({ car: car._id, to: 'available' });
+    expect(change.changedBy).toBeNull();
+    expect(change.reason).toBe('Reservation expired');
+  });
+
+  it('should not change the status through a full update', async () => {
+    const response = await request(app)
+      .put(`/api/cars/${car._id}`)
+      .set('Authorization', `Bearer ${sellerToken}`)
+      .send(carData({ status: 'sold' }))
+      .expect(400);
+
+    expect(response.body.message).toBe('Use the reserve, release, mark-sold and relist endpoints to change the status');
+  });
+
+  it('should only let admins edit sold listings', async () => {
+    await transition('mark-sold').expect(200);
+
+    await request(app)
+      .put(`/api/cars/${car._id}`)
+      .set('Authorization', `Bearer ${sellerToken}`)
+      .send(carData({ color: 'Black' }))
+      .expect(403);
+
+    await request(app)
+      .put(`/api/cars/${car._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(carData({ color: 'Black' }))
+      .expect(200);
+  });
+});
@@ -0,0 +1,222 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import User from '../src/models/User.js';
+import Car from '../src/models/Car.js';
+import Conversation from '../src/models/Conversation.js';
+import Message from '../src/models/Message.js';
+import UserBlock from '../src/models/UserBlock.js';
+import UserReport from '../src/models/UserReport.js';
+import Session from '../src/models/Session.js';
+import { tokenFor, carData } from './helpers.js';
+
+describe('Conversations API', () => {
+  let seller;
+  let buyer;
+  let sellerToken;
+  let buyerToken;
+  let outsiderToken;
+  let car;
+
+  const inquire = (token, message = 'Is the car still available?') => request(app)
+    .post(`/api/cars/${car._id}/inquiries`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ message });
+
+  beforeAll(async () => {
+    seller = await User.create({
+      username: 'carseller',
+      email: 'carseller@example.com',
+      password: 'password123'
+    });
+    sellerToken = await tokenFor(seller);
+
+    buyer = await User.create({
+      username: 'carbuyer',
+      email: 'carbuyer@example.com',
+      password: 'password123'
+    });
+    buyerToken = await tokenFor(buyer);
+
+    const outsider = await User.create({
+      username: 'outsider',
+      email: 'outsider@example.com',
+      password: 'password123'
+    });
+    outsiderToken = await tokenFor(outsider);
+  });
+
+  beforeEach(async () => {
+    car = await Car.create(carData({ owner: seller._id }));
+  });
+
+  afterEach(async () => {
+    await Message.deleteMany({});
+    await Conversation.deleteMany({});
+    await UserBlock.deleteMany({});
+    await UserReport.deleteMany({});
+    await Car.deleteMany({});
+  });
+
+  afterAll(async () => {
+    // Clean up test data
+    await Session.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  describe('POST /api/cars/:id/inquiries', () => {
+    it('should start one conversation per buyer and car', async () => {
+      const first = await inquire(buyerToken).expect(201);
+      const second = await inquire(buyerToken, 'Can I see it this weekend?').expect(201);
+
+      expect(second.body.data.conversation._id).toBe(first.body.data.conversation._id);
+      expect(first.body.data.conversation.role).toBe('buyer');
+      expect(first.body.data.conversation.otherParticipant.username).toBe('carseller');
+      expect(await Message.countDocuments()).toBe(2);
+
+      const conversation = await Conversation.findById(first.body.data.conversation._id);
+      expect(conversation.sellerUnread).toBe(2);
+      expect(conversation.buyerUnread).toBe(0);
+    });
+
+    it('should not let owners inquire about their own car', async () => {
+      const response = await inquire(sellerToken).expect(400);
+
+      expect(response.body.message).toBe('You cannot send an inquiry about your own listing');
+    });
+
+    it('should require a message', async () => {
+      await inquire(buyerToken, '').expect(400);
+    });
+  });
+
+  describe('GET /api/conversations', () => {
+    it('should list threads for both parties with unread counts', async () => {
+      await inquire(buyerToken).expect(201);
+
+      const sellerView = await request(app)
+        .get('/api/conversations')
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .expect(200);
+
+      expect(sellerView.body.count).toBe(1);
+      expect(sellerView.body.unreadCount).toBe(1);
+      expect(sellerView.body.data[0].role).toBe('seller');
+      expect(sellerView.body.data[0].unreadCount).toBe(1);
+      expect(sellerView.body.data[0].lastMessage.body).toBe('Is the car still available?');
+
+      const buyerView = await request(app)
+        .get('/api/conversations?role=seller')
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .expect(200);
+
+      expect(buyerView.body.count).toBe(0);
+    });
+  });
+
+  describe('GET /api/conversations/:id', () => {
+    it('should mark the thread read and show read receipts', async () => {
+      const inquiry = await inquire(buyerToken).expect(201);
+      const conversationId = inquiry.body.data.conversation._id;
+      expect(inquiry.body.data.message.read).toBe(false);
+
+      await request(app)
+        .get(`/api/conversations/${conversationId}`)
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .expect(200);
+
+      const buyerView = await request(app)
+        .get(`/api/conversations/${conversationId}`)
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .expect(200);
+
+      expect(buyerView.body.data.messages).toHaveLength(1);
+      expect(buyerView.body.data.messages[0].isMine).toBe(true);
+      expect(buyerView.body.data.messages[0].read).toBe(true);
+
+      const list = await request(app)
+        .get('/api/conversations')
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .expect(200);
+      expect(list.body.unreadCount).toBe(0);
+    });
+
+    it('should hide the thread from other users', async () => {
+      const inquiry = await inquire(buyerToken).expect(201);
+
+      await request(app)
+        .get(`/api/conversations/${inquiry.body.data.conversation._id}`)
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .expect(403);
+
+      await request(app)
+        .post(`/api/conversations/${inquiry.body.data.conversation._id}/messages`)
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .send({ message: 'Hello' })
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/conversations/:id/messages', () => {
+    it('should let the seller reply', async () => {
+      const inquiry = await inquire(buyerToken).expect(201);
+
+      const reply = await request(app)
+        .post(`/api/conversations/${inquiry.body.data.conversation._id}/messages`)
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .send({ message: 'Yes, it is' })
+        .expect(201);
+
+      expect(reply.body.data.isMine).toBe(true);
+
+      const conversation = await Conversation.findById(inquiry.body.data.conversation._id);
+      expect(conversation.buyerUnread).toBe(1);
+      expect(conversation.sellerUnread).toBe(0);
+    });
+
+    it('should stop messages in both directions once a user is blocked', async () => {
+      const inquiry = await inquire(buyerToken).expect(201);
+
+      await request(app)
+        .post(`/api/users/${buyer._id}/block`)
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .expect(201);
+
+      await request(app)
+        .post(`/api/conversations/${inquiry.body.data.conversation._id}/messages`)
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .send({ message: 'Hello?' })
+        .expect(403);
+      await inquire(buyerToken).expect(403);
+
+      await request(app)
+        .delete(`/api/users/${buyer._id}/block`)
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .expect(200);
+      await inquire(buyerToken).expect(201);
+    });
+  });
+
+  describe('POST /api/users/:id/report', () => {
+    it('should record a report about a conversation', async () => {
+      const inquiry = await inquire(buyerToken).expect(201);
+
+      const response = await request(app)
+        .post(`/api/users/${buyer._id}/report`)
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .send({ reason: 'spam', conversation: inquiry.body.data.conversation._id })
+        .expect(201);
+
+      expect(response.body.data.status).toBe('open');
+    });
+
+    it('should reject conversations the users are not both part of', async () => {
+      const inquiry = await inquire(buyerToken).expect(201);
+
+      await request(app)
+        .post(`/api/users/${buyer._id}/report`)
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .send({ reason: 'spam', conversation: inquiry.body.data.conversation._id })
+        .expect(400);
+    });
+  });
+});
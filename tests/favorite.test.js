@@ -0,0 +1,161 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import User from '../src/models/User.js';
+import Car from '../src/models/Car.js';
+import Favorite from '../src/models/Favorite.js';
+import Session from '../src/models/Session.js';
+import { tokenFor, carData } from './helpers.js';
+
+describe('Favorites API', () => {
+  let buyer;
+  let buyerToken;
+  let otherBuyerToken;
+  let car;
+
+  beforeAll(async () => {
+    buyer = await User.create({
+      username: 'buyer',
+      email: 'buyer@example.com',
+      password: 'password123'
+    });
+    buyerToken = await tokenFor(buyer);
+
+    const otherBuyer = await User.create({
+      username: 'otherbuyer',
+      email: 'otherbuyer@example.com',
+      password: 'password123'
+    });
+    otherBuyerToken = await tokenFor(otherBuyer);
+  });
+
+  beforeEach(async () => {
+    car = await Car.create(carData());
+  });
+
+  afterEach(async () => {
+    await Favorite.deleteMany({});
+    await Car.deleteMany({});
+  });
+
+  afterAll(async () => {
+    // Clean up test data
+    await Session.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  describe('POST /api/cars/:id/favorite', () => {
+    it('should favorite a car once and count each user', async () => {
+      const first = await request(app)
+        .post(`/api/cars/${car._id}/favorite`)
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .expect(201);
+
+      expect(first.body.data).toEqual({ isFavorited: true, favoriteCount: 1 });
+
+      // Favoriting again does not count twice
+      const repeat = await request(app)
+        .post(`/api/cars/${car._id}/favorite`)
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .expect(200);
+
+      expect(repeat.body.data.favoriteCount).toBe(1);
+
+      const other = await request(app)
+        .post(`/api/cars/${car._id}/favorite`)
+        .set('Authorization', `Bearer ${otherBuyerToken}`)
+        .expect(201);
+
+      expect(other.body.data.favoriteCount).toBe(2);
+
+      const response = await request(app)
+        .get(`/api/cars/${car._id}`)
+        .expect(200);
+
+      expect(response.body.data.favoriteCount).toBe(2);
+    });
+
+    it('should not favorite a deleted car', async () => {
+      await Car.findByIdAndUpdate(car._id, { isActive: false });
+
+      await request(app)
+        .post(`/api/cars/${car._id}/favorite`)
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .expect(404);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .post(`/api/cars/${car._id}/favorite`)
+        .expect(401);
+    });
+  });
+
+  describe('DELETE /api/cars/:id/favorite', () => {
+    it('should remove a favorite and decrement the count', async () => {
+      await request(app)
+        .post(`/api/cars/${car._id}/favorite`)
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .expect(201);
+
+      const response = await request(app)
+        .delete(`/api/cars/${car._id}/favorite`)
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual({ isFavorited: false, favoriteCount: 0 });
+
+      await request(app)
+        .delete(`/api/cars/${car._id}/favorite`)
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/auth/me/favorites', () => {
+    it('should list favorites, skipping deleted cars and flagging sold ones', async () => {
+      const sold = await Car.create(carData({ model: 'Jazz', status: 'sold' }));
+      const deleted = await Car.create(carData({ model: 'Amaze' }));
+
+      await Favorite.create([
+        { user: buyer._id, car: car._id },
+        { user: buyer._id, car: sold._id },
+        { user: buyer._id, car: deleted._id }
+      ]);
+      await Car.findByIdAndUpdate(deleted._id, { isActive: false });
+
+      const response = await request(app)
+        .get('/api/auth/me/favorites?limit=10')
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .expect(200);
+
+      expect(response.body.pagination.total).toBe(2);
+      expect(response.body.data).toHaveLength(2);
+
+      const soldFavorite = response.body.data.find(favorite => favorite._id === sold._id.toString());
+      expect(soldFavorite.isSold).toBe(true);
+      expect(soldFavorite.favoritedAt).toBeDefined();
+    });
+  });
+
+  describe('isFavorited flag', () => {
+    it('should flag favorites in the listing for the authenticated caller only', async () => {
+      const other = await Car.create(carData({ model: 'Civic' }));
+      await Favorite.create({ user: buyer._id, car: car._id });
+
+      const response = await request(app)
+        .get('/api/cars')
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .expect(200);
+
+      const flags = Object.fromEntries(response.body.data.map(item => [item._id, item.isFavorited]));
+      expect(flags[car._id.toString()]).toBe(true);
+      expect(flags[other._id.toString()]).toBe(false);
+
+      const anonymous = await request(app)
+        .get('/api/cars')
+        .expect(200);
+
+      expect(anonymous.body.data[0].isFavorited).toBeUndefined();
+    });
+  });
+});
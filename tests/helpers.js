@@ -0,0 +1,37 @@
+import Session, { SESSION_TTL_MS } from '../src/models/Session.js';
+import { generateTokens } from '../src/utils/jwt.js';
+
+/**
+ * Sign in a user for a test; access tokens are only accepted for a live session
+ * @param {Object} user - User document
+ * @returns {Promise<string>} Access token
+ */
+export const tokenFor = async (user) => {
+  const session = await Session.create({
+    user: user._id,
+    tokenId: Session.generateTokenId(),
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+  });
+
+  return generateTokens(user, session).accessToken;
+};
+
+/**
+ * Build a valid listing body
+ * @param {Object} [overrides] - Fields to replace (nested objects such as location are replaced whole)
+ * @returns {Object} Listing fields for POST /api/cars or Car.create
+ */
+export const carData = (overrides = {}) => ({
+  make: 'Honda',
+  model: 'City',
+  year: 2021,
+  price: 900000,
+  mileage: 20000,
+  fuelType: 'petrol',
+  transmission: 'manual',
+  bodyType: 'sedan',
+  color: 'White',
+  location: { city: 'Pune', state: 'Maharashtra', country: 'India' },
+  seller: { name: 'Honda Seller', phone: '+91 99999 11111' },
+  ...overrides
+});
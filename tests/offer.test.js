@@ -0,0 +1,208 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import User from '../src/models/User.js';
+import Car from '../src/models/Car.js';
+import Offer from '../src/models/Offer.js';
+import Notification from '../src/models/Notification.js';
+import StatusHistory from '../src/models/StatusHistory.js';
+import UserBlock from '../src/models/UserBlock.js';
+import Session from '../src/models/Session.js';
+import { expireOffers } from '../src/utils/offers.js';
+import { tokenFor, carData } from './helpers.js';
+
+describe('Offers API', () => {
+  let seller;
+  let sellerToken;
+  let buyer;
+  let buyerToken;
+  let otherBuyerToken;
+  let car;
+
+  const makeOffer = (token, amount = 800000) => request(app)
+    .post(`/api/cars/${car._id}/offers`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ amount, message: 'Would you take this?' });
+
+  const move = (offerId, action, token, body = {}) => request(app)
+    .post(`/api/offers/${offerId}/${action}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  beforeAll(async () => {
+    seller = await User.create({
+      username: 'offerseller',
+      email: 'offerseller@example.com',
+      password: 'password123'
+    });
+    sellerToken = await tokenFor(seller);
+
+    buyer = await User.create({
+      username: 'offerbuyer',
+      email: 'offerbuyer@example.com',
+      password: 'password123'
+    });
+    buyerToken = await tokenFor(buyer);
+
+    const otherBuyer = await User.create({
+      username: 'otherofferbuyer',
+      email: 'otherofferbuyer@example.com',
+      password: 'password123'
+    });
+    otherBuyerToken = await tokenFor(otherBuyer);
+  });
+
+  beforeEach(async () => {
+    car = await Car.create(carData({ owner: seller._id }));
+  });
+
+  afterEach(async () => {
+    await UserBlock.deleteMany({});
+    await Notification.deleteMany({});
+    await StatusHistory.deleteMany({});
+    await Offer.deleteMany({});
+    await Car.deleteMany({});
+  });
+
+  afterAll(async () => {
+    // Clean up test data
+    await Session.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  describe('POST /api/cars/:id/offers', () => {
+    it('should create a pending offer awaiting the seller', async () => {
+      const response = await makeOffer(buyerToken).expect(201);
+
+      expect(response.body.data.status).toBe('pending');
+      expect(response.body.data.awaiting).toBe('seller');
+      expect(response.body.data.history).toHaveLength(1);
+      expect(await Notification.countDocuments({ type: 'offer' })).toBe(1);
+    });
+
+    it('should require an amount below the asking price', async () => {
+      const response = await makeOffer(buyerToken, 900000).expect(400);
+
+      expect(response.body.message).toBe('Offer must be below the asking price');
+    });
+
+    it('should allow one open offer per buyer', async () => {
+      await makeOffer(buyerToken).expect(201);
+      await makeOffer(buyerToken, 820000).expect(400);
+    });
+  });
+
+  describe('negotiation', () => {
+    it('should let the seller and buyer counter in turn and keep the history', async () => {
+      const { body: { data: offer } } = await makeOffer(buyerToken).expect(201);
+
+      // Only the seller can respond to a pending offer
+      await move(offer._id, 'counter', buyerToken, { amount: 810000 }).expect(400);
+
+      const countered = await move(offer._id, 'counter', sellerToken, { amount: 870000 }).expect(200);
+      expect(countered.body.data.status).toBe('countered');
+      expect(countered.body.data.awaiting).toBe('buyer');
+
+      const recountered = await move(offer._id, 'counter', buyerToken, { amount: 850000 }).expect(200);
+      expect(recountered.body.data.status).toBe('pending');
+      expect(recountered.body.data.amount).toBe(850000);
+      expect(recountered.body.data.history.map(event => event.action)).toEqual(['offer', 'counter', 'counter']);
+    });
+
+    it('should not let counter-offers exceed the asking price', async () => {
+      const { body: { data: offer } } = await makeOffer(buyerToken).expect(201);
+
+      await move(offer._id, 'counter', sellerToken, { amount: 950000 }).expect(400);
+    });
+
+    it('should let the buyer withdraw and the seller reject', async () => {
+      const { body: { data: first } } = await makeOffer(buyerToken).expect(201);
+      const { body: { data: second } } = await makeOffer(otherBuyerToken).expect(201);
+
+      const withdrawn = await move(first._id, 'withdraw', buyerToken).expect(200);
+      expect(withdrawn.body.data.status).toBe('withdrawn');
+
+      await move(second._id, 'withdraw', sellerToken).expect(400);
+      const rejected = await move(second._id, 'reject', sellerToken, { message: 'Too low' }).expect(200);
+      expect(rejected.body.data.status).toBe('rejected');
+    });
+
+    it('should only let blocked parties end the negotiation', async () => {
+      const { body: { data: offer } } = await makeOffer(buyerToken).expect(201);
+      await UserBlock.create({ blocker: seller._id, blocked: buyer._id });
+
+      await move(offer._id, 'counter', sellerToken, { amount: 870000 }).expect(403);
+      await move(offer._id, 'accept', sellerToken).expect(403);
+      expect((await Car.findById(car._id)).status).toBe('available');
+
+      await move(offer._id, 'reject', sellerToken).expect(200);
+    });
+
+    it('should hide offers from other users', async () => {
+      const { body: { data: offer } } = await makeOffer(buyerToken).expect(201);
+
+      await request(app)
+        .get(`/api/offers/${offer._id}`)
+        .set('Authorization', `Bearer ${otherBuyerToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/offers/:id/accept', () => {
+    it('should reserve the car and decline the other open offers', async () => {
+      const { body: { data: offer } } = await makeOffer(buyerToken).expect(201);
+      const { body: { data: other } } = await makeOffer(otherBuyerToken, 780000).expect(201);
+
+      const accepted = await move(offer._id, 'accept', sellerToken).expect(200);
+      expect(accepted.body.data.status).toBe('accepted');
+
+      const reservedCar = await Car.findById(car._id);
+      expect(reservedCar.status).toBe('reserved');
+      expect(reservedCar.reservation.expiresAt).toBeDefined();
+
+      const declined = await Offer.findById(other._id);
+      expect(declined.status).toBe('declined');
+      expect(declined.history.at(-1).action).toBe('decline');
+    });
+
+    it('should let the buyer accept a counter-offer', async () => {
+      const { body: { data: offer } } = await makeOffer(buyerToken).expect(201);
+      await move(offer._id, 'counter', sellerToken, { amount: 860000 }).expect(200);
+
+      const accepted = await move(offer._id, 'accept', buyerToken).expect(200);
+
+      expect(accepted.body.data.amount).toBe(860000);
+    });
+
+    it('should not reserve a listing that is back in moderation', async () => {
+      const { body: { data: offer } } = await makeOffer(buyerToken).expect(201);
+      await Car.updateOne({ _id: car._id }, { moderation: { status: 'pending', submittedAt: new Date() } });
+
+      await move(offer._id, 'accept', sellerToken).expect(400);
+
+      expect((await Car.findById(car._id)).status).toBe('available');
+      expect((await Offer.findById(offer._id)).status).toBe('pending');
+    });
+  });
+
+  describe('expiry', () => {
+    it('should expire offers nobody answered', async () => {
+      const { body: { data: offer } } = await makeOffer(buyerToken).expect(201);
+      await Offer.updateOne({ _id: offer._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+      await move(offer._id, 'accept', sellerToken).expect(400);
+      expect((await Offer.findById(offer._id)).status).toBe('expired');
+      expect(await expireOffers()).toBe(0);
+    });
+
+    it('should decline open offers when the car is sold', async () => {
+      const { body: { data: offer } } = await makeOffer(buyerToken).expect(201);
+
+      await request(app)
+        .post(`/api/cars/${car._id}/mark-sold`)
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .expect(200);
+
+      expect((await Offer.findById(offer._id)).status).toBe('declined');
+    });
+  });
+});
@@ -0,0 +1,168 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import User from '../src/models/User.js';
+import Car from '../src/models/Car.js';
+import Favorite from '../src/models/Favorite.js';
+import PriceHistory from '../src/models/PriceHistory.js';
+import Notification from '../src/models/Notification.js';
+import Session from '../src/models/Session.js';
+import { tokenFor, carData } from './helpers.js';
+
+describe('Price history', () => {
+  let buyer;
+  let buyerToken;
+  let sellerToken;
+  let newSellerToken;
+  let adminToken;
+
+  beforeAll(async () => {
+    buyer = await User.create({
+      username: 'buyer',
+      email: 'buyer@example.com',
+      password: 'password123'
+    });
+    buyerToken = await tokenFor(buyer);
+
+    const seller = await User.create({
+      username: 'seller',
+      email: 'seller@example.com',
+      password: 'password123',
+      emailVerified: true,
+      trustedSeller: true
+    });
+    sellerToken = await tokenFor(seller);
+
+    const newSeller = await User.create({
+      username: 'newseller',
+      email: 'newseller@example.com',
+      password: 'password123',
+      emailVerified: true
+    });
+    newSellerToken = await tokenFor(newSeller);
+
+    const admin = await User.create({
+      username: 'admin',
+      email: 'admin@example.com',
+      password: 'password123',
+      role: 'admin'
+    });
+    adminToken = await tokenFor(admin);
+  });
+
+  afterEach(async () => {
+    await Notification.deleteMany({});
+    await PriceHistory.deleteMany({});
+    await Favorite.deleteMany({});
+    await Car.deleteMany({});
+  });
+
+  afterAll(async () => {
+    // Clean up test data
+    await Session.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  const createCar = (token) => request(app)
+    .post('/api/cars')
+    .set('Authorization', `Bearer ${token}`)
+    .send(carData({ price: 1400000 }))
+    .expect(201);
+
+  const changePrice = (token, car, price) => request(app)
+    .put(`/api/cars/${car._id}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(carData({ price }))
+    .expect(200);
+
+  const favorite = (car) => request(app)
+    .post(`/api/cars/${car._id}/favorite`)
+    .set('Authorization', `Bearer ${buyerToken}`)
+    .expect(201);
+
+  it('should record price changes and show the latest drop', async () => {
+    const { body: { data: car } } = await createCar(sellerToken);
+
+    await changePrice(sellerToken, car, 1500000);
+    await changePrice(sellerToken, car, 1200000);
+
+    const history = await request(app)
+      .get(`/api/cars/${car._id}/price-history`)
+      .expect(200);
+
+    expect(history.body.data.history.map(entry => entry.price)).toEqual([1400000, 1500000, 1200000]);
+    expect(history.body.data.history[0].previousPrice).toBeNull();
+
+    const response = await request(app)
+      .get(`/api/cars/${car._id}`)
+      .expect(200);
+
+    expect(response.body.data.previousPrice).toBe(1500000);
+    expect(response.body.data.priceDrop).toEqual({ previousPrice: 1500000, amount: 300000, percent: 20 });
+  });
+
+  it('should filter cars whose price dropped', async () => {
+    const { body: { data: dropped } } = await createCar(sellerToken);
+    const { body: { data: raised } } = await createCar(sellerToken);
+
+    await changePrice(sellerToken, dropped, 1300000);
+    await changePrice(sellerToken, raised, 1500000);
+
+    const response = await request(app)
+      .get('/api/cars?priceDropped=true')
+      .expect(200);
+
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0]._id).toBe(dropped._id);
+  });
+
+  it('should notify users who favorited the car when the price drops', async () => {
+    const { body: { data: car } } = await createCar(sellerToken);
+    await favorite(car);
+
+    // A price rise is not announced
+    await changePrice(sellerToken, car, 1450000);
+    await changePrice(sellerToken, car, 1305000);
+
+    const response = await request(app)
+      .get('/api/notifications')
+      .set('Authorization', `Bearer ${buyerToken}`)
+      .expect(200);
+
+    expect(response.body.unreadCount).toBe(1);
+    expect(response.body.data[0].type).toBe('price_drop');
+    expect(response.body.data[0].data).toEqual({ previousPrice: 1450000, price: 1305000, percent: 10 });
+
+    await request(app)
+      .post(`/api/notifications/${response.body.data[0]._id}/read`)
+      .set('Authorization', `Bearer ${buyerToken}`)
+      .expect(200);
+
+    const after = await request(app)
+      .get('/api/notifications?unread=true')
+      .set('Authorization', `Bearer ${buyerToken}`)
+      .expect(200);
+
+    expect(after.body.unreadCount).toBe(0);
+    expect(after.body.data).toHaveLength(0);
+  });
+
+  it('should announce a drop awaiting review once the listing is approved', async () => {
+    const { body: { data: car } } = await createCar(newSellerToken);
+    await request(app)
+      .post(`/api/admin/listings/${car._id}/approve`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    await favorite(car);
+
+    // Price edits from sellers who are not trusted go back to moderation
+    await changePrice(newSellerToken, car, 1000000);
+    expect(await Notification.countDocuments({ user: buyer._id })).toBe(0);
+
+    await request(app)
+      .post(`/api/admin/listings/${car._id}/approve`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(await Notification.countDocuments({ user: buyer._id, type: 'price_drop' })).toBe(1);
+  });
+});
@@ -0,0 +1,191 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import User from '../src/models/User.js';
+import Car from '../src/models/Car.js';
+import CarRevision from '../src/models/CarRevision.js';
+import PriceHistory from '../src/models/PriceHistory.js';
+import Session from '../src/models/Session.js';
+import { tokenFor, carData } from './helpers.js';
+
+// Listing with the description and image that the revisions below edit and restore
+const listing = (overrides = {}) => carData({
+  description: 'Single owner, full service history',
+  images: [{ url: 'https://example.com/front.jpg', alt: 'Front' }],
+  ...overrides
+});
+
+describe('Listing revisions', () => {
+  let sellerToken;
+  let otherUserToken;
+  let carId;
+
+  const edit = (body, token = sellerToken) => request(app)
+    .put(`/api/cars/${carId}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const revert = (revision, token = sellerToken) => request(app)
+    .post(`/api/cars/${carId}/revisions/${revision}/revert`)
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    const seller = await User.create({
+      username: 'revisionseller',
+      email: 'revisionseller@example.com',
+      password: 'password123',
+      emailVerified: true,
+      trustedSeller: true
+    });
+    sellerToken = await tokenFor(seller);
+
+    const otherUser = await User.create({
+      username: 'revisionother',
+      email: 'revisionother@example.com',
+      password: 'password123'
+    });
+    otherUserToken = await tokenFor(otherUser);
+  });
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/cars')
+      .set('Authorization', `Bearer ${sellerToken}`)
+      .send(listing())
+      .expect(201);
+    carId = response.body.data._id;
+  });
+
+  afterEach(async () => {
+    await CarRevision.deleteMany({});
+    await PriceHistory.deleteMany({});
+    await Car.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await Session.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  it('should save a revision on creation and on every edit', async () => {
+    await edit(listing({ description: 'Oops, wrong text' })).expect(200);
+    await edit(listing({ description: 'Oops, wrong text', price: 1750000 })).expect(200);
+
+    const response = await request(app)
+      .get(`/api/cars/${carId}/revisions`)
+      .set('Authorization', `Bearer ${sellerToken}`)
+      .expect(200);
+
+    expect(response.body.data.map(revision => revision.revision)).toEqual([3, 2, 1]);
+    expect(response.body.data.map(revision => revision.type)).toEqual(['edited', 'edited', 'created']);
+    expect(response.body.data[0].changedFields).toEqual(['price']);
+    expect(response.body.data[1].changedFields).toEqual(['description']);
+    expect(response.body.data[0].editedBy.username).toBe('revisionseller');
+    expect(response.body.pagination.total).toBe(3);
+  });
+
+  it('should show a field-level diff between two revisions', async () => {
+    await edit(listing({
+      description: 'Oops, wrong text',
+      location: { city: 'Nashik', state: 'Maharashtra', country: 'India' }
+    })).expect(200);
+
+    const response = await request(app)
+      .get(`/api/cars/${carId}/revisions/diff?from=1&to=2`)
+      .set('Authorization', `Bearer ${sellerToken}`)
+      .expect(200);
+
+    const changes = Object.fromEntries(response.body.data.changes.map(change => [change.path, change]));
+    expect(changes.description).toMatchObject({ before: 'Single owner, full service history', after: 'Oops, wrong text' });
+    expect(changes['location.city']).toMatchObject({ before: 'Pune', after: 'Nashik' });
+    expect(changes.price).toBeUndefined();
+
+    await request(app)
+      .get(`/api/cars/${carId}/revisions/diff?from=1&to=9`)
+      .set('Authorization', `Bearer ${sellerToken}`)
+      .expect(404);
+
+    await request(app)
+      .get(`/api/cars/${carId}/revisions/diff?from=1`)
+      .set('Authorization', `Bearer ${sellerToken}`)
+      .expect(400);
+  });
+
+  it('should revert to an earlier revision as a new revision', async () => {
+    await edit(listing({
+      description: 'Oops, wrong text',
+      images: [{ url: 'https://example.com/wrong.jpg', alt: 'Wrong car' }],
+      price: 1700000
+    })).expect(200);
+
+    const response = await revert(1).expect(200);
+
+    expect(response.body.message).toBe('Car listing reverted to revision 1');
+    expect(response.body.data.description).toBe('Single owner, full service history');
+    expect(response.body.data.images.map(image => image.url)).toEqual(['https://example.com/front.jpg']);
+    expect(response.body.data.price).toBe(900000);
+
+    const latest = await request(app)
+      .get(`/api/cars/${carId}/revisions/3`)
+      .set('Authorization', `Bearer ${sellerToken}`)
+      .expect(200);
+
+    expect(latest.body.data.type).toBe('reverted');
+    expect(latest.body.data.revertedFrom).toBe(1);
+    expect(latest.body.data.snapshot.description).toBe('Single owner, full service history');
+
+    // The mistaken edit is still there and can be restored
+    await revert(2).expect(200);
+    const car = await Car.findById(carId);
+    expect(car.description).toBe('Oops, wrong text');
+  });
+
+  it('should clear fields the revision did not have', async () => {
+    const created = await request(app)
+      .post('/api/cars')
+      .set('Authorization', `Bearer ${sellerToken}`)
+      .send(listing({ description: undefined }))
+      .expect(201);
+    carId = created.body.data._id;
+
+    await edit(listing({ description: 'Added later' })).expect(200);
+    const response = await revert(1).expect(200);
+
+    expect(response.body.data.description).toBeUndefined();
+  });
+
+  it('should capture changes made outside of edits before editing', async () => {
+    // Simulates an image upload, which does not save a revision
+    await Car.updateOne({ _id: carId }, { $push: { images: { url: 'https://example.com/rear.jpg', alt: 'Rear' } } });
+
+    await edit(listing({ images: [] })).expect(200);
+
+    const revisions = await CarRevision.find({ car: carId }).sort('revision');
+    expect(revisions.map(revision => revision.type)).toEqual(['created', 'captured', 'edited']);
+    expect(revisions[1].editedBy).toBeNull();
+
+    const response = await revert(2).expect(200);
+    expect(response.body.data.images).toHaveLength(2);
+  });
+
+  it('should refuse to revert to the current state', async () => {
+    const response = await revert(1).expect(400);
+
+    expect(response.body.message).toBe('The listing already matches revision 1');
+  });
+
+  it('should return 404 for unknown revisions', async () => {
+    await revert(7).expect(404);
+    await revert('abc').expect(404);
+  });
+
+  it('should only let the owner or an admin see and revert revisions', async () => {
+    await edit(listing({ description: 'Oops, wrong text' })).expect(200);
+
+    await request(app)
+      .get(`/api/cars/${carId}/revisions`)
+      .set('Authorization', `Bearer ${otherUserToken}`)
+      .expect(403);
+
+    await revert(1, otherUserToken).expect(403);
+  });
+});
@@ -0,0 +1,195 @@
+import request from 'supertest';
+import app from '../src/server.js';
+import User from '../src/models/User.js';
+import Car from '../src/models/Car.js';
+import SavedSearch from '../src/models/SavedSearch.js';
+import SearchAlert from '../src/models/SearchAlert.js';
+import Session from '../src/models/Session.js';
+import { tokenFor, carData } from './helpers.js';
+
+describe('Saved Searches API', () => {
+  let buyerToken;
+  let sellerToken;
+
+  beforeAll(async () => {
+    const buyer = await User.create({
+      username: 'buyer',
+      email: 'buyer@example.com',
+      password: 'password123'
+    });
+    buyerToken = await tokenFor(buyer);
+
+    // Trusted sellers' listings go live straight away
+    const seller = await User.create({
+      username: 'seller',
+      email: 'seller@example.com',
+      password: 'password123',
+      emailVerified: true,
+      trustedSeller: true
+    });
+    sellerToken = await tokenFor(seller);
+  });
+
+  afterEach(async () => {
+    await SearchAlert.deleteMany({});
+    await SavedSearch.deleteMany({});
+    await Car.deleteMany({});
+  });
+
+  afterAll(async () => {
+    // Clean up test data
+    await Session.deleteMany({});
+    await User.deleteMany({});
+  });
+
+  const saveSearch = (body) => request(app)
+    .post('/api/saved-searches')
+    .set('Authorization', `Bearer ${buyerToken}`)
+    .send(body);
+
+  const createCar = (overrides) => request(app)
+    .post('/api/cars')
+    .set('Authorization', `Bearer ${sellerToken}`)
+    .send(carData({ bodyType: 'suv', fuelType: 'diesel', ...overrides }))
+    .expect(201);
+
+  describe('POST /api/saved-searches', () => {
+    it('should save a search without pagination parameters', async () => {
+      const response = await saveSearch({
+        name: 'Diesel SUVs',
+        query: { bodyType: 'suv', fuelType: 'diesel', maxPrice: 1000000, page: 2, limit: 5 }
+      }).expect(201);
+
+      expect(response.body.data.name).toBe('Diesel SUVs');
+      expect(response.body.data.query).toEqual({
+        bodyType: 'suv',
+        fuelType: 'diesel',
+        maxPrice: 1000000,
+        status: 'available',
+        sort: '-createdAt'
+      });
+      expect(response.body.data.newCount).toBe(0);
+    });
+
+    it('should reject a duplicate name', async () => {
+      await saveSearch({ name: 'SUVs', query: { bodyType: 'suv' } }).expect(201);
+      const response = await saveSearch({ name: 'SUVs', query: { bodyType: 'sedan' } }).expect(400);
+
+      expect(response.body.message).toContain('already have a saved search');
+    });
+
+    it('should reject invalid search parameters', async () => {
+      await saveSearch({ name: 'Bad', query: { fuelType: 'steam' } }).expect(400);
+    });
+  });
+
+  describe('Alerts', () => {
+    it('should alert matching searches when a car is listed', async () => {
+      const { body: { data: suvs } } = await saveSearch({
+        name: 'Diesel SUVs',
+        query: { bodyType: 'suv', fuelType: 'diesel', maxPrice: 1000000 }
+      }).expect(201);
+      const { body: { data: sedans } } = await saveSearch({
+        name: 'Sedans',
+        query: { bodyType: 'sedan' }
+      }).expect(201);
+
+      await createCar();
+      // Too expensive for the SUV search
+      await createCar({ price: 1500000 });
+
+      const list = await request(app)
+        .get('/api/saved-searches')
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .expect(200);
+
+      const counts = Object.fromEntries(list.body.data.map(search => [search._id, search.newCount]));
+      expect(counts[suvs._id]).toBe(1);
+      expect(counts[sedans._id]).toBe(0);
+
+      const alerts = await request(app)
+        .get(`/api/saved-searches/${suvs._id}/alerts`)
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .expect(200);
+
+      expect(alerts.body.data).toHaveLength(1);
+      expect(alerts.body.data[0].isNew).toBe(true);
+      expect(alerts.body.data[0].car.price).toBe(900000);
+
+      // Viewing the alerts resets the new count
+      const search = await request(app)
+        .get(`/api/saved-searches/${suvs._id}`)
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .expect(200);
+
+      expect(search.body.data.newCount).toBe(0);
+    });
+
+    it('should alert again when a sold car is relisted', async () => {
+      const { body: { data: search } } = await saveSearch({
+        name: 'SUVs',
+        query: { bodyType: 'suv' }
+      }).expect(201);
+
+      const { body: { data: car } } = await createCar();
+      await request(app)
+        .post(`/api/cars/${car._id}/mark-sold`)
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .expect(200);
+      await SearchAlert.deleteMany({});
+
+      await request(app)
+        .post(`/api/cars/${car._id}/relist`)
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .expect(200);
+
+      expect(await SearchAlert.countDocuments({ savedSearch: search._id })).toBe(1);
+    });
+
+    it('should not alert searches with alerts disabled', async () => {
+      const { body: { data: search } } = await saveSearch({
+        name: 'SUVs',
+        query: { bodyType: 'suv' },
+        alertsEnabled: false
+      }).expect(201);
+
+      await createCar();
+
+      expect(await SearchAlert.countDocuments({ savedSearch: search._id })).toBe(0);
+    });
+  });
+
+  describe('PUT and DELETE /api/saved-searches/:id', () => {
+    it('should update and delete a saved search', async () => {
+      const { body: { data: search } } = await saveSearch({ name: 'SUVs', query: { bodyType: 'suv' } }).expect(201);
+
+      const updated = await request(app)
+        .put(`/api/saved-searches/${search._id}`)
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .send({ name: 'Cheap SUVs', query: { bodyType: 'suv', maxPrice: 500000 } })
+        .expect(200);
+
+      expect(updated.body.data.name).toBe('Cheap SUVs');
+      expect(updated.body.data.query.maxPrice).toBe(500000);
+
+      await request(app)
+        .delete(`/api/saved-searches/${search._id}`)
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/saved-searches/${search._id}`)
+        .set('Authorization', `Bearer ${buyerToken}`)
+        .expect(404);
+    });
+
+    it('should not expose another user\'s saved search', async () => {
+      const { body: { data: search } } = await saveSearch({ name: 'SUVs', query: { bodyType: 'suv' } }).expect(201);
+
+      await request(app)
+        .delete(`/api/saved-searches/${search._id}`)
+        .set('Authorization', `Bearer ${sellerToken}`)
+        .expect(404);
+    });
+  });
+});
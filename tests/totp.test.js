@@ -0,0 +1,73 @@
+import {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+} from '../src/utils/totp.js';
+
+// RFC 6238 Appendix B test secret (SHA-1)
+const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP utilities', () => {
+  describe('base32', () => {
+    it('should round-trip arbitrary bytes', () => {
+      const bytes = Buffer.from('car-listing-api');
+      expect(base32Decode(base32Encode(bytes)).equals(bytes)).toBe(true);
+    });
+
+    it('should match the RFC 4648 test vector', () => {
+      expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+      expect(base32Decode('mzxw6ytboi======').toString()).toBe('foobar');
+    });
+
+    it('should generate 160-bit secrets', () => {
+      expect(base32Decode(generateSecret())).toHaveLength(20);
+    });
+  });
+
+  describe('generateTotp', () => {
+    it.each([
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+      [20000000000, '65353130']
+    ])('should match the RFC 6238 vector at %i seconds', (seconds, expected) => {
+      expect(generateTotp(rfcSecret, { time: seconds * 1000, digits: 8 })).toBe(expected);
+    });
+  });
+
+  describe('verifyTotp', () => {
+    const time = 1234567890 * 1000;
+
+    it('should accept the current code and return its time step', () => {
+      const code = generateTotp(rfcSecret, { time });
+      expect(verifyTotp(rfcSecret, code, { time })).toBe(Math.floor(time / 30000));
+    });
+
+    it('should accept a code from the previous step within the window', () => {
+      const code = generateTotp(rfcSecret, { time: time - 30000 });
+      expect(verifyTotp(rfcSecret, code, { time })).not.toBeNull();
+    });
+
+    it('should reject codes outside the window', () => {
+      const code = generateTotp(rfcSecret, { time: time - 90000 });
+      expect(verifyTotp(rfcSecret, code, { time })).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(verifyTotp(rfcSecret, '12345', { time })).toBeNull();
+      expect(verifyTotp(rfcSecret, undefined, { time })).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('should build an authenticator-compatible URI', () => {
+      const uri = buildOtpauthUri({ secret: 'ABC', accountName: 'a@b.com', issuer: 'Car Listing' });
+      expect(uri).toBe('otpauth://totp/Car%20Listing%3Aa%40b.com?secret=ABC&issuer=Car+Listing&algorithm=SHA1&digits=6&period=30');
+    });
+  });
+});